@@ -1,33 +1,78 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import {connect} from 'react-redux';
-import logo from '../logo.svg';
+import OrderEntry from './OrderEntry';
+import OrderBook from './OrderBook';
+import TradeTape from './TradeTape';
+import Balances from './Balances';
+import OpenOrders from './OpenOrders';
+import { placeOrder, cancelOrder } from '../reducers/ducks/openOrders';
 import './App.css';
 
 export class App extends Component {
     render() {
+        const { name, book, trades, balances, orders, error, onPlaceOrder, onCancelOrder } = this.props;
         return (
             <div className="App">
                 <div className="App-header">
-                    <img src={logo} className="App-logo" alt="logo"/>
-                    <h2>Welcome to React {this.props.name}</h2>
+                    <h2>Bitcoin Exchange</h2>
+                    <span className="App-trader">{name}</span>
                 </div>
-                <p className="App-intro">
-                    To get started, edit <code>src/App.js</code> and save to reload.
-                </p>
+                {error && <p className="App-error">{error.message}</p>}
+                <div className="App-body">
+                    <div className="App-column">
+                        <OrderEntry onSubmit={onPlaceOrder}/>
+                        <Balances balances={balances}/>
+                    </div>
+                    <div className="App-column">
+                        <OrderBook book={book}/>
+                    </div>
+                    <div className="App-column">
+                        <TradeTape trades={trades}/>
+                    </div>
+                </div>
+                <OpenOrders orders={orders} onCancel={onCancelOrder}/>
             </div>
         );
     }
 }
 
 App.propTypes = {
-    name: PropTypes.string.isRequired
+    name: PropTypes.string.isRequired,
+    book: PropTypes.object,
+    trades: PropTypes.array,
+    balances: PropTypes.object,
+    orders: PropTypes.array,
+    error: PropTypes.shape({ message: PropTypes.string.isRequired }),
+    onPlaceOrder: PropTypes.func,
+    onCancelOrder: PropTypes.func
+};
+
+App.defaultProps = {
+    book: { buy: [], sell: [], spread: null, midPrice: null },
+    trades: [],
+    balances: null,
+    orders: [],
+    error: null,
+    onPlaceOrder: () => {},
+    onCancelOrder: () => {}
 };
 
 function mapStateToProps(state) {
+    const { orders, pending, error } = state.openOrders;
     return {
-        name: state.example.name
+        name: state.example.name,
+        book: state.orderBook,
+        trades: state.trades,
+        balances: state.account.balances,
+        orders: [...orders, ...pending.map(order => ({ ...order, id: `pending-${order.requestId}`, pending: true }))],
+        error: error || state.account.error
     };
 }
 
-export default connect(mapStateToProps)(App);
+const mapDispatchToProps = {
+    onPlaceOrder: placeOrder,
+    onCancelOrder: cancelOrder
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(App);
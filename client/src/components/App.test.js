@@ -1,8 +1,39 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
-import { App } from './App';
+import {Provider} from 'react-redux';
+import ConnectedApp, { App } from './App';
+import configureStore from '../store/configure-store';
+import FakeServer from '../middleware/fake-server';
+import { placeOrder } from '../reducers/ducks/openOrders';
 
 it('renders without crashing', () => {
   const div = document.createElement('div');
   ReactDOM.render(<App name="test name" />, div);
 });
+
+it('shows every part of the exchange', () => {
+  const div = document.createElement('div');
+  ReactDOM.render(<App name="test name" />, div);
+  expect(div.querySelector('.App-trader').textContent).toBe('test name');
+  ['.OrderEntry', '.OrderBook', '.TradeTape', '.Balances', '.OpenOrders'].forEach(selector =>
+    expect(div.querySelector(selector)).not.toBeNull()
+  );
+});
+
+it('shows why the last request failed', () => {
+  const div = document.createElement('div');
+  ReactDOM.render(<App name="test name" error={{ name: 'InsufficientFundsError', message: 'Not enough money' }} />, div);
+  expect(div.querySelector('.App-error').textContent).toBe('Not enough money');
+});
+
+it('shows the exchange state from the store', () => {
+  const server = new FakeServer();
+  server.handle('placeOrder', () => {});
+  const store = configureStore({ example: { name: 'test name' } }, server.connect());
+  store.dispatch(placeOrder({ action: 'SELL', price: 1010, quantity: 2 }));
+  server.push('book', { buy: [{ price: 1000, quantity: 5, orders: 1 }], sell: [], spread: null, midPrice: null });
+  const div = document.createElement('div');
+  ReactDOM.render(<Provider store={store}><ConnectedApp /></Provider>, div);
+  expect(div.querySelector('.OrderBook-buy').firstChild.textContent).toBe('1000');
+  expect(div.querySelector('.OpenOrders-sell').lastChild.textContent).toBe('Placing');
+});
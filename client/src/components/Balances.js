@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// What the account owns, and how much of it is held for open orders
+const Balances = ({ balances }) => {
+    if (!balances) {
+        return <p className="Balances">Not signed in</p>;
+    }
+    const { money, stock, moneyHeld, stockHeld } = balances;
+    return (
+        <table className="Balances">
+            <caption>Balances</caption>
+            <thead>
+                <tr>
+                    <th/>
+                    <th>Available</th>
+                    <th>Held</th>
+                    <th>Total</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr className="Balances-money">
+                    <th>Money</th>
+                    <td>{money - moneyHeld}</td>
+                    <td>{moneyHeld}</td>
+                    <td>{money}</td>
+                </tr>
+                <tr className="Balances-stock">
+                    <th>Stock</th>
+                    <td>{stock - stockHeld}</td>
+                    <td>{stockHeld}</td>
+                    <td>{stock}</td>
+                </tr>
+            </tbody>
+        </table>
+    );
+};
+
+Balances.propTypes = {
+    balances: PropTypes.shape({
+        money: PropTypes.number.isRequired,
+        stock: PropTypes.number.isRequired,
+        moneyHeld: PropTypes.number.isRequired,
+        stockHeld: PropTypes.number.isRequired
+    })
+};
+
+export default Balances;
@@ -0,0 +1,23 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import Balances from './Balances';
+
+const render = balances => {
+  const div = document.createElement('div');
+  ReactDOM.render(<Balances balances={balances} />, div);
+  return div;
+};
+
+const cells = (div, selector) =>
+  Array.from(div.querySelectorAll(`${selector} td`)).map(cell => cell.textContent);
+
+it('shows available, held and total amounts', () => {
+  const div = render({ money: 10000, stock: 20, moneyHeld: 2500, stockHeld: 5 });
+  expect(cells(div, '.Balances-money')).toEqual(['7500', '2500', '10000']);
+  expect(cells(div, '.Balances-stock')).toEqual(['15', '5', '20']);
+});
+
+it('says when there is no account', () => {
+  const div = render(null);
+  expect(div.textContent).toBe('Not signed in');
+});
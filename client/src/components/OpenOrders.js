@@ -0,0 +1,53 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Orders still on their way to the server are shown as pending, and can only
+// be cancelled once the server has given them an id
+const OpenOrders = ({ orders, onCancel }) => (
+    <table className="OpenOrders">
+        <caption>Open orders</caption>
+        <thead>
+            <tr>
+                <th>Side</th>
+                <th>Price</th>
+                <th>Quantity</th>
+                <th/>
+            </tr>
+        </thead>
+        <tbody>
+            {orders.length === 0 && (
+                <tr>
+                    <td colSpan="4">No open orders</td>
+                </tr>
+            )}
+            {orders.map(order => (
+                <tr key={order.id} className={`OpenOrders-${order.action.toLowerCase()}`}>
+                    <td>{order.action === 'BUY' ? 'Buy' : 'Sell'}</td>
+                    <td>{order.price}</td>
+                    <td>{order.quantity}</td>
+                    <td>
+                        {order.pending ? 'Placing' : (
+                            <button type="button" disabled={order.cancelling} onClick={() => onCancel(order.id)}>
+                                {order.cancelling ? 'Cancelling' : 'Cancel'}
+                            </button>
+                        )}
+                    </td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+OpenOrders.propTypes = {
+    orders: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        action: PropTypes.string.isRequired,
+        price: PropTypes.number,
+        quantity: PropTypes.number.isRequired,
+        pending: PropTypes.bool,
+        cancelling: PropTypes.bool
+    })).isRequired,
+    onCancel: PropTypes.func.isRequired
+};
+
+export default OpenOrders;
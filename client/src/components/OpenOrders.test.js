@@ -0,0 +1,45 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import OpenOrders from './OpenOrders';
+
+const render = (orders, onCancel = jest.fn()) => {
+  const div = document.createElement('div');
+  ReactDOM.render(<OpenOrders orders={orders} onCancel={onCancel} />, div);
+  return div;
+};
+
+it('shows each open order', () => {
+  const div = render([
+    { id: 'a', action: 'BUY', price: 1000, quantity: 5 },
+    { id: 'b', action: 'SELL', price: 1020, quantity: 1 }
+  ]);
+  const rows = Array.from(div.querySelectorAll('tbody tr'));
+  expect(rows.map(row => row.className)).toEqual(['OpenOrders-buy', 'OpenOrders-sell']);
+  expect(rows.map(row => Array.from(row.children).slice(0, 3).map(cell => cell.textContent)))
+    .toEqual([['Buy', '1000', '5'], ['Sell', '1020', '1']]);
+});
+
+it('cancels an order by its id', () => {
+  const onCancel = jest.fn();
+  const div = render([{ id: 'a', action: 'BUY', price: 1000, quantity: 5 }], onCancel);
+  TestUtils.Simulate.click(div.querySelector('button'));
+  expect(onCancel).toHaveBeenCalledWith('a');
+});
+
+it('says when there are no open orders', () => {
+  const div = render([]);
+  expect(div.querySelector('tbody').textContent).toBe('No open orders');
+});
+
+it('shows pending orders without a cancel button', () => {
+  const div = render([{ id: 'pending-1', action: 'BUY', price: 1000, quantity: 5, pending: true }]);
+  expect(div.querySelector('button')).toBeNull();
+  expect(div.querySelector('tbody tr').lastChild.textContent).toBe('Placing');
+});
+
+it('disables cancelling an order twice', () => {
+  const div = render([{ id: 'a', action: 'BUY', price: 1000, quantity: 5, cancelling: true }]);
+  expect(div.querySelector('button').disabled).toBe(true);
+  expect(div.querySelector('button').textContent).toBe('Cancelling');
+});
@@ -0,0 +1,48 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const Level = ({ level, side }) => (
+    <tr className={`OrderBook-${side}`}>
+        <td>{level.price}</td>
+        <td>{level.quantity}</td>
+        <td>{level.orders}</td>
+    </tr>
+);
+
+// The depth of the book, with the best prices on each side meeting in the
+// middle: sell orders above, cheapest last, and buy orders below
+const OrderBook = ({ book }) => (
+    <table className="OrderBook">
+        <caption>Order book</caption>
+        <thead>
+            <tr>
+                <th>Price</th>
+                <th>Quantity</th>
+                <th>Orders</th>
+            </tr>
+        </thead>
+        <tbody>
+            {book.sell.slice().reverse().map(level => <Level key={level.price} level={level} side="sell"/>)}
+            <tr className="OrderBook-spread">
+                <td colSpan="3">{book.spread === null ? 'No spread' : `Spread ${book.spread}`}</td>
+            </tr>
+            {book.buy.map(level => <Level key={level.price} level={level} side="buy"/>)}
+        </tbody>
+    </table>
+);
+
+const levels = PropTypes.arrayOf(PropTypes.shape({
+    price: PropTypes.number.isRequired,
+    quantity: PropTypes.number.isRequired,
+    orders: PropTypes.number.isRequired
+})).isRequired;
+
+OrderBook.propTypes = {
+    book: PropTypes.shape({
+        buy: levels,
+        sell: levels,
+        spread: PropTypes.number
+    }).isRequired
+};
+
+export default OrderBook;
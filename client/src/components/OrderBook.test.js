@@ -0,0 +1,35 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import OrderBook from './OrderBook';
+
+const render = book => {
+  const div = document.createElement('div');
+  ReactDOM.render(<OrderBook book={book} />, div);
+  return div;
+};
+
+const prices = (div, selector) =>
+  Array.from(div.querySelectorAll(selector)).map(row => row.firstChild.textContent);
+
+it('shows sells above buys with the best prices in the middle', () => {
+  const div = render({
+    buy: [{ price: 1000, quantity: 5, orders: 2 }, { price: 990, quantity: 1, orders: 1 }],
+    sell: [{ price: 1010, quantity: 3, orders: 1 }, { price: 1020, quantity: 4, orders: 3 }],
+    spread: 10,
+    midPrice: 1005
+  });
+  expect(prices(div, 'tbody tr')).toEqual(['1020', '1010', 'Spread 10', '1000', '990']);
+  expect(prices(div, '.OrderBook-buy')).toEqual(['1000', '990']);
+  expect(prices(div, '.OrderBook-sell')).toEqual(['1020', '1010']);
+});
+
+it('shows the quantity and number of orders at each level', () => {
+  const div = render({ buy: [{ price: 1000, quantity: 5, orders: 2 }], sell: [], spread: null, midPrice: null });
+  const cells = Array.from(div.querySelectorAll('.OrderBook-buy td')).map(cell => cell.textContent);
+  expect(cells).toEqual(['1000', '5', '2']);
+});
+
+it('says when there is no spread', () => {
+  const div = render({ buy: [], sell: [], spread: null, midPrice: null });
+  expect(div.querySelector('.OrderBook-spread').textContent).toBe('No spread');
+});
@@ -0,0 +1,55 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+
+export const BUY = 'BUY';
+export const SELL = 'SELL';
+
+// prices and quantities are whole numbers of at least one
+const toCount = value => /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+
+export default class OrderEntry extends Component {
+    state = { action: BUY, price: '', quantity: '' };
+
+    handleChange = event => {
+        this.setState({ [event.target.name]: event.target.value });
+    };
+
+    handleSubmit = event => {
+        event.preventDefault();
+        const price = toCount(this.state.price);
+        const quantity = toCount(this.state.quantity);
+        if (price && quantity) {
+            this.props.onSubmit({ action: this.state.action, price, quantity });
+            this.setState({ quantity: '' });
+        }
+    };
+
+    render() {
+        const { action, price, quantity } = this.state;
+        const valid = toCount(price) && toCount(quantity);
+        return (
+            <form className="OrderEntry" onSubmit={this.handleSubmit}>
+                <h3>Place an order</h3>
+                <select name="action" value={action} onChange={this.handleChange}>
+                    <option value={BUY}>Buy</option>
+                    <option value={SELL}>Sell</option>
+                </select>
+                <label>
+                    Price
+                    <input name="price" type="number" min="1" step="1" value={price} onChange={this.handleChange}/>
+                </label>
+                <label>
+                    Quantity
+                    <input name="quantity" type="number" min="1" step="1" value={quantity} onChange={this.handleChange}/>
+                </label>
+                <button type="submit" className={`OrderEntry-${action.toLowerCase()}`} disabled={!valid}>
+                    {action === BUY ? 'Buy' : 'Sell'}
+                </button>
+            </form>
+        );
+    }
+}
+
+OrderEntry.propTypes = {
+    onSubmit: PropTypes.func.isRequired
+};
@@ -0,0 +1,56 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TestUtils from 'react-dom/test-utils';
+import OrderEntry from './OrderEntry';
+
+const render = onSubmit => {
+  const div = document.createElement('div');
+  ReactDOM.render(<OrderEntry onSubmit={onSubmit} />, div);
+  return div;
+};
+
+const change = (div, name, value) => {
+  const field = div.querySelector(`[name="${name}"]`);
+  field.value = value;
+  TestUtils.Simulate.change(field);
+};
+
+it('submits a buy order by default', () => {
+  const onSubmit = jest.fn();
+  const div = render(onSubmit);
+  change(div, 'price', '1000');
+  change(div, 'quantity', '5');
+  TestUtils.Simulate.submit(div.querySelector('form'));
+  expect(onSubmit).toHaveBeenCalledWith({ action: 'BUY', price: 1000, quantity: 5 });
+});
+
+it('submits a sell order', () => {
+  const onSubmit = jest.fn();
+  const div = render(onSubmit);
+  change(div, 'action', 'SELL');
+  change(div, 'price', '1010');
+  change(div, 'quantity', '2');
+  TestUtils.Simulate.submit(div.querySelector('form'));
+  expect(onSubmit).toHaveBeenCalledWith({ action: 'SELL', price: 1010, quantity: 2 });
+  expect(div.querySelector('button').textContent).toBe('Sell');
+});
+
+it('clears the quantity but keeps the price after submitting', () => {
+  const div = render(jest.fn());
+  change(div, 'price', '1000');
+  change(div, 'quantity', '5');
+  TestUtils.Simulate.submit(div.querySelector('form'));
+  expect(div.querySelector('[name="price"]').value).toBe('1000');
+  expect(div.querySelector('[name="quantity"]').value).toBe('');
+});
+
+it('does not submit without a whole positive price and quantity', () => {
+  const onSubmit = jest.fn();
+  const div = render(onSubmit);
+  expect(div.querySelector('button').disabled).toBe(true);
+  change(div, 'price', '0');
+  change(div, 'quantity', '1.5');
+  TestUtils.Simulate.submit(div.querySelector('form'));
+  expect(onSubmit).not.toHaveBeenCalled();
+  expect(div.querySelector('button').disabled).toBe(true);
+});
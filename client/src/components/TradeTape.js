@@ -0,0 +1,41 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Recent trades, newest first, coloured by the side that crossed the book
+const TradeTape = ({ trades }) => (
+    <table className="TradeTape">
+        <caption>Recent trades</caption>
+        <thead>
+            <tr>
+                <th>Time</th>
+                <th>Price</th>
+                <th>Quantity</th>
+            </tr>
+        </thead>
+        <tbody>
+            {trades.length === 0 && (
+                <tr>
+                    <td colSpan="3">No trades yet</td>
+                </tr>
+            )}
+            {trades.map((trade, index) => (
+                <tr key={index} className={`TradeTape-${trade.aggressor.toLowerCase()}`}>
+                    <td>{new Date(trade.time).toLocaleTimeString()}</td>
+                    <td>{trade.price}</td>
+                    <td>{trade.quantity}</td>
+                </tr>
+            ))}
+        </tbody>
+    </table>
+);
+
+TradeTape.propTypes = {
+    trades: PropTypes.arrayOf(PropTypes.shape({
+        price: PropTypes.number.isRequired,
+        quantity: PropTypes.number.isRequired,
+        aggressor: PropTypes.string.isRequired,
+        time: PropTypes.string.isRequired
+    })).isRequired
+};
+
+export default TradeTape;
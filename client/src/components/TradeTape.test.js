@@ -0,0 +1,25 @@
+import React from 'react';
+import ReactDOM from 'react-dom';
+import TradeTape from './TradeTape';
+
+const render = trades => {
+  const div = document.createElement('div');
+  ReactDOM.render(<TradeTape trades={trades} />, div);
+  return div;
+};
+
+it('shows each trade in the order given', () => {
+  const div = render([
+    { price: 1010, quantity: 2, aggressor: 'BUY', time: '2017-06-01T10:00:01.000Z' },
+    { price: 1000, quantity: 5, aggressor: 'SELL', time: '2017-06-01T10:00:00.000Z' }
+  ]);
+  const rows = Array.from(div.querySelectorAll('tbody tr'));
+  expect(rows.map(row => row.className)).toEqual(['TradeTape-buy', 'TradeTape-sell']);
+  expect(rows.map(row => row.children[1].textContent)).toEqual(['1010', '1000']);
+  expect(rows.map(row => row.children[2].textContent)).toEqual(['2', '5']);
+});
+
+it('says when there are no trades', () => {
+  const div = render([]);
+  expect(div.querySelector('tbody').textContent).toBe('No trades yet');
+});
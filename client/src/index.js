@@ -5,8 +5,15 @@ import {Provider} from 'react-redux';
 
 import './index.css';
 
+import io from 'socket.io-client';
 import configureStore from './store/configure-store';
-const store = configureStore({ example: { name: 'Joe Bloggs' }});
+import { register } from './reducers/ducks/account';
+
+const socket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:3001');
+const store = configureStore({ example: { name: 'Joe Bloggs' }}, socket);
+
+// each visit trades as a newly funded account
+store.dispatch(register(10000, 100));
 
 ReactDOM.render(
     <Provider store={store}>
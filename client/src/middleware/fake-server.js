@@ -0,0 +1,38 @@
+// A stand-in for the exchange server in tests. connect() returns a socket
+// that behaves like a socket.io client socket: commands emitted on it are
+// passed with their acknowledgement to the handler registered for them with
+// handle(), and push() sends events to it as the server would.
+export default class FakeServer {
+    handlers = {};
+    listeners = {};
+    received = [];
+
+    handle(command, handler) {
+        this.handlers[command] = handler;
+    }
+
+    push(event, data) {
+        (this.listeners[event] || []).forEach(listener => listener(data));
+    }
+
+    connect() {
+        return {
+            on: (event, listener) => {
+                this.listeners[event] = [...(this.listeners[event] || []), listener];
+            },
+            emit: (command, payload, ack) => {
+                this.received.push({ command, payload });
+                const handler = this.handlers[command];
+                if (handler) {
+                    handler(payload, ack);
+                } else {
+                    ack({ name: 'Error', message: `Unknown command ${command}` });
+                }
+            }
+        };
+    }
+
+    commands() {
+        return this.received.map(({ command }) => command);
+    }
+}
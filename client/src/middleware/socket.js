@@ -0,0 +1,70 @@
+import { REGISTER, IDENTIFY, signedIn, signInFailed, receiveBalances } from '../reducers/ducks/account';
+import {
+    PLACE_ORDER, CANCEL_ORDER, orderPlaced, orderRejected, orderCancelled, cancelRejected, orderDiscarded, receiveOrders
+} from '../reducers/ducks/openOrders';
+import { receiveBook } from '../reducers/ducks/orderBook';
+import { receiveTrade } from '../reducers/ducks/trades';
+
+// Connects the store to the exchange server over a socket.io socket. Events
+// the server pushes become actions, and actions that need the server are sent
+// on as commands, with the outcome dispatched once the server acknowledges them.
+export default function createSocketMiddleware(socket) {
+    return store => {
+        const { dispatch } = store;
+
+        // the server acknowledges commands node-style, with (error, result)
+        const send = (command, payload, onSuccess, onError) =>
+            socket.emit(command, payload, (error, result) => error ? onError(error) : onSuccess(result));
+
+        // a failed refresh leaves what we had, the next one will catch up
+        const ignore = () => {};
+
+        const refreshBalances = () =>
+            send('getBalances', {}, balances => dispatch(receiveBalances(balances)), ignore);
+
+        const refreshAccount = () => {
+            refreshBalances();
+            send('getOrders', {}, orders => dispatch(receiveOrders(orders)), ignore);
+        };
+
+        const signIn = (command, payload) => send(command, payload, ({ account, token }) => {
+            dispatch(signedIn(account, token));
+            refreshAccount();
+        }, error => dispatch(signInFailed(error)));
+
+        socket.on('book', book => dispatch(receiveBook(book)));
+        socket.on('trade', trade => dispatch(receiveTrade(trade)));
+        socket.on('fill', refreshAccount);
+        socket.on('discarded', order => {
+            dispatch(orderDiscarded(order.id));
+            refreshBalances();
+        });
+
+        return next => action => {
+            const result = next(action);
+            switch (action.type) {
+                case REGISTER:
+                    signIn('register', { money: action.money, stock: action.stock });
+                    break;
+                case IDENTIFY:
+                    signIn('identify', { account: action.account, token: action.token });
+                    break;
+                case PLACE_ORDER:
+                    send('placeOrder', action.order, placed => {
+                        dispatch(orderPlaced(action.requestId, placed));
+                        refreshBalances();
+                    }, error => dispatch(orderRejected(action.requestId, error)));
+                    break;
+                case CANCEL_ORDER:
+                    send('cancelOrder', { id: action.id }, () => {
+                        dispatch(orderCancelled(action.id));
+                        refreshBalances();
+                    }, error => dispatch(cancelRejected(action.id, error)));
+                    break;
+                default:
+                    break;
+            }
+            return result;
+        };
+    };
+}
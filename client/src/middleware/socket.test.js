@@ -0,0 +1,147 @@
+import FakeServer from './fake-server';
+import configureStore from '../store/configure-store';
+import { register, identify } from '../reducers/ducks/account';
+import { placeOrder, cancelOrder } from '../reducers/ducks/openOrders';
+
+const balances = { money: 10000, stock: 100, moneyHeld: 0, stockHeld: 0 };
+const order = { id: 'a', account: 'abc', action: 'BUY', price: 1000, quantity: 5 };
+const error = { name: 'InsufficientFundsError', message: 'Not enough money' };
+
+let server;
+let store;
+
+// a server with one funded account and nothing on the book
+beforeEach(() => {
+  server = new FakeServer();
+  server.handle('register', (payload, ack) => ack(null, { account: 'abc', token: 'abc-token' }));
+  server.handle('identify', ({ account, token }, ack) => ack(null, { account, token }));
+  server.handle('getBalances', (payload, ack) => ack(null, balances));
+  server.handle('getOrders', (payload, ack) => ack(null, []));
+  store = configureStore(undefined, server.connect());
+});
+
+const signIn = () => store.dispatch(register(10000, 100));
+
+it('keeps the book the server pushes', () => {
+  const book = { buy: [{ price: 1000, quantity: 5, orders: 1 }], sell: [], spread: null, midPrice: null };
+  server.push('book', book);
+  expect(store.getState().orderBook).toEqual(book);
+});
+
+it('keeps the trades the server pushes', () => {
+  const trade = { price: 1000, quantity: 5, aggressor: 'SELL', time: '2017-06-01T10:00:00.000Z' };
+  server.push('trade', trade);
+  expect(store.getState().trades).toEqual([trade]);
+});
+
+it('registers, then fetches the balances and open orders of the account', () => {
+  server.handle('getOrders', (payload, ack) => ack(null, [order]));
+  signIn();
+  expect(server.received[0]).toEqual({ command: 'register', payload: { money: 10000, stock: 100 } });
+  expect(server.commands()).toEqual(['register', 'getBalances', 'getOrders']);
+  expect(store.getState().account).toEqual({ account: 'abc', token: 'abc-token', signingIn: false, balances, error: null });
+  expect(store.getState().openOrders.orders).toEqual([order]);
+});
+
+it('identifies as an existing account with its token', () => {
+  store.dispatch(identify('def', 'def-token'));
+  expect(server.received[0]).toEqual({ command: 'identify', payload: { account: 'def', token: 'def-token' } });
+  expect(store.getState().account).toMatchObject({ account: 'def', token: 'def-token' });
+});
+
+it('keeps the reason the server would not sign in', () => {
+  const unknown = { name: 'UnknownAccountError', message: 'Unknown account def' };
+  server.handle('identify', (payload, ack) => ack(unknown));
+  store.dispatch(identify('def'));
+  expect(store.getState().account).toMatchObject({ account: null, signingIn: false, error: unknown });
+  expect(server.commands()).toEqual(['identify']);
+});
+
+describe('placing orders', () => {
+  let ack;
+
+  beforeEach(() => {
+    signIn();
+    server.handle('placeOrder', (payload, placed) => {
+      ack = placed;
+    });
+  });
+
+  it('sends the order and shows it as pending until the server answers', () => {
+    store.dispatch(placeOrder({ action: 'BUY', price: 1000, quantity: 5 }));
+    expect(server.received.pop()).toEqual({ command: 'placeOrder', payload: { action: 'BUY', price: 1000, quantity: 5 } });
+    expect(store.getState().openOrders.pending).toMatchObject([{ action: 'BUY', price: 1000, quantity: 5 }]);
+    expect(store.getState().openOrders.orders).toEqual([]);
+  });
+
+  it('opens the order and refreshes the balances once it is acknowledged', () => {
+    const held = { ...balances, moneyHeld: 5000 };
+    store.dispatch(placeOrder({ action: 'BUY', price: 1000, quantity: 5 }));
+    server.handle('getBalances', (payload, reply) => reply(null, held));
+    ack(null, { id: 'a', fills: [], discarded: [], outcomes: [] });
+    expect(store.getState().openOrders.pending).toEqual([]);
+    expect(store.getState().openOrders.orders).toEqual([{ id: 'a', action: 'BUY', price: 1000, quantity: 5 }]);
+    expect(store.getState().account.balances).toEqual(held);
+  });
+
+  it('rolls the order back when the server rejects it', () => {
+    store.dispatch(placeOrder({ action: 'BUY', price: 1000, quantity: 50 }));
+    ack(error);
+    expect(store.getState().openOrders).toEqual({ orders: [], pending: [], error });
+  });
+
+  it('settles each of several orders with its own acknowledgement', () => {
+    const acks = [];
+    server.handle('placeOrder', (payload, placed) => acks.push(placed));
+    store.dispatch(placeOrder({ action: 'BUY', price: 1000, quantity: 5 }));
+    store.dispatch(placeOrder({ action: 'BUY', price: 990, quantity: 50 }));
+    acks[1](error);
+    expect(store.getState().openOrders.pending).toMatchObject([{ price: 1000 }]);
+    acks[0](null, { id: 'a', fills: [], discarded: [], outcomes: [] });
+    expect(store.getState().openOrders).toMatchObject({ orders: [{ id: 'a', price: 1000 }], pending: [], error });
+  });
+});
+
+describe('cancelling orders', () => {
+  beforeEach(() => {
+    server.handle('getOrders', (payload, ack) => ack(null, [order]));
+    signIn();
+  });
+
+  it('removes the order once the server has cancelled it', () => {
+    let ack;
+    server.handle('cancelOrder', (payload, cancelled) => {
+      ack = cancelled;
+    });
+    store.dispatch(cancelOrder('a'));
+    expect(server.received.pop()).toEqual({ command: 'cancelOrder', payload: { id: 'a' } });
+    expect(store.getState().openOrders.orders[0].cancelling).toBe(true);
+    ack(null, order);
+    expect(store.getState().openOrders.orders).toEqual([]);
+    expect(server.commands().pop()).toBe('getBalances');
+  });
+
+  it('keeps the order when the server will not cancel it', () => {
+    const unknown = { name: 'Error', message: 'Unknown order a' };
+    server.handle('cancelOrder', (payload, ack) => ack(unknown));
+    store.dispatch(cancelOrder('a'));
+    expect(store.getState().openOrders.orders).toEqual([{ ...order, cancelling: false }]);
+    expect(store.getState().openOrders.error).toBe(unknown);
+  });
+});
+
+it('refreshes the account when one of its orders fills', () => {
+  signIn();
+  server.handle('getOrders', (payload, ack) => ack(null, [{ ...order, quantity: 3 }]));
+  server.push('fill', { buyer: 'abc', seller: 'def', price: 1000, quantity: 2 });
+  expect(server.commands().slice(-2)).toEqual(['getBalances', 'getOrders']);
+  expect(store.getState().openOrders.orders).toEqual([{ ...order, quantity: 3 }]);
+});
+
+it('removes orders the server discards', () => {
+  server.handle('getOrders', (payload, ack) => ack(null, [order]));
+  signIn();
+  server.push('discarded', order);
+  expect(store.getState().openOrders.orders).toEqual([]);
+  expect(server.commands().pop()).toBe('getBalances');
+});
@@ -0,0 +1,50 @@
+// Actions
+export const REGISTER = 'account/REGISTER';
+export const IDENTIFY = 'account/IDENTIFY';
+const SIGNED_IN = 'account/SIGNED_IN';
+const SIGN_IN_FAILED = 'account/SIGN_IN_FAILED';
+const BALANCES_RECEIVED = 'account/BALANCES_RECEIVED';
+
+// the token is what identifies as the account again, so is kept along with it
+const initialState = { account: null, token: null, signingIn: false, balances: null, error: null };
+
+// Reducer
+export function reducer(state = initialState, action = {}) {
+    switch (action.type) {
+        case REGISTER:
+        case IDENTIFY:
+            return { ...state, signingIn: true, error: null };
+        case SIGNED_IN:
+            return { ...state, account: action.account, token: action.token, signingIn: false };
+        case SIGN_IN_FAILED:
+            return { ...state, signingIn: false, error: action.error };
+        case BALANCES_RECEIVED: {
+            const { money, stock, moneyHeld, stockHeld } = action.balances;
+            return { ...state, balances: { money, stock, moneyHeld, stockHeld } };
+        }
+        default:
+            return state;
+    }
+}
+
+// Action Creators
+// register and identify are sent to the server by the socket middleware
+export function register(money, stock) {
+    return { type: REGISTER, money, stock };
+}
+
+export function identify(account, token) {
+    return { type: IDENTIFY, account, token };
+}
+
+export function signedIn(account, token) {
+    return { type: SIGNED_IN, account, token };
+}
+
+export function signInFailed(error) {
+    return { type: SIGN_IN_FAILED, error };
+}
+
+export function receiveBalances(balances) {
+    return { type: BALANCES_RECEIVED, balances };
+}
@@ -0,0 +1,24 @@
+import { reducer, register, identify, signedIn, signInFailed, receiveBalances } from './account';
+
+it('is signing in until the server answers', () => {
+  expect(reducer(undefined, register(10000, 100)).signingIn).toBe(true);
+  expect(reducer(undefined, identify('abc')).signingIn).toBe(true);
+});
+
+it('keeps the account it signed in as', () => {
+  const state = reducer(reducer(undefined, register(10000, 100)), signedIn('abc', 'abc-token'));
+  expect(state).toMatchObject({ account: 'abc', token: 'abc-token', signingIn: false, error: null });
+});
+
+it('keeps the reason signing in failed, until the next attempt', () => {
+  const error = { name: 'UnknownAccountError', message: 'Unknown account abc' };
+  const failed = reducer(reducer(undefined, identify('abc')), signInFailed(error));
+  expect(failed).toMatchObject({ account: null, signingIn: false, error });
+  expect(reducer(failed, identify('abc')).error).toBeNull();
+});
+
+it('keeps only the balances themselves', () => {
+  const balances = { money: 10000, stock: 100, moneyHeld: 500, stockHeld: 0, available: { money: 9500, stock: 100 } };
+  expect(reducer(undefined, receiveBalances(balances)).balances)
+    .toEqual({ money: 10000, stock: 100, moneyHeld: 500, stockHeld: 0 });
+});
@@ -0,0 +1,123 @@
+// Actions
+export const PLACE_ORDER = 'openOrders/PLACE_ORDER';
+export const CANCEL_ORDER = 'openOrders/CANCEL_ORDER';
+const ORDER_PLACED = 'openOrders/ORDER_PLACED';
+const ORDER_REJECTED = 'openOrders/ORDER_REJECTED';
+const ORDER_CANCELLED = 'openOrders/ORDER_CANCELLED';
+const CANCEL_REJECTED = 'openOrders/CANCEL_REJECTED';
+const ORDER_DISCARDED = 'openOrders/ORDER_DISCARDED';
+const ORDERS_RECEIVED = 'openOrders/ORDERS_RECEIVED';
+
+// Orders the server has accepted are kept in `orders`. Orders we have sent
+// but not yet heard back about are shown straight away from `pending`, keyed
+// by a request id, until the server acknowledges or rejects them.
+const initialState = { orders: [], pending: [], error: null };
+
+// How much of an order is left after one outcome of placing it. Other orders
+// can trade too, such as stops that its trades set off, so only fills and
+// self-trade cuts that name the order change it.
+const remainingAfter = (remaining, outcome, id) => {
+    if (outcome.type === 'fill' && outcome.buyOrder === id) {
+        return outcome.buyRemaining;
+    }
+    if (outcome.type === 'fill' && outcome.sellOrder === id) {
+        return outcome.sellRemaining;
+    }
+    if (outcome.type === 'selfTrade' && outcome.newest.id === id) {
+        return outcome.newest.quantity - Math.min(outcome.cuts.newest, outcome.newest.quantity);
+    }
+    if (outcome.type === 'selfTrade' && outcome.oldest.id === id) {
+        return outcome.oldest.quantity - Math.min(outcome.cuts.oldest, outcome.oldest.quantity);
+    }
+    return remaining;
+};
+
+// What is left of a newly placed order once it has traded against the book
+const remainderOf = (order, { id, outcomes, discarded }) => {
+    if (discarded.some(discardedOrder => discardedOrder.id === id)) {
+        return null;
+    }
+    const quantity = outcomes.reduce((remaining, outcome) => remainingAfter(remaining, outcome, id), order.quantity);
+    return quantity > 0 ? { ...order, id, quantity } : null;
+};
+
+const withoutRequest = (pending, requestId) => pending.filter(order => order.requestId !== requestId);
+
+const withoutOrder = (orders, id) => orders.filter(order => order.id !== id);
+
+const setCancelling = (orders, id, cancelling) =>
+    orders.map(order => order.id === id ? { ...order, cancelling } : order);
+
+// Reducer
+export function reducer(state = initialState, action = {}) {
+    switch (action.type) {
+        case PLACE_ORDER:
+            return {
+                ...state,
+                pending: [...state.pending, { ...action.order, requestId: action.requestId }],
+                error: null
+            };
+        case ORDER_PLACED: {
+            const placed = state.pending.find(order => order.requestId === action.requestId);
+            if (!placed) {
+                return state;
+            }
+            const { requestId, ...order } = placed;
+            const remainder = remainderOf(order, action.result);
+            return {
+                ...state,
+                orders: remainder ? [...withoutOrder(state.orders, remainder.id), remainder] : state.orders,
+                pending: withoutRequest(state.pending, requestId)
+            };
+        }
+        case ORDER_REJECTED:
+            return { ...state, pending: withoutRequest(state.pending, action.requestId), error: action.error };
+        case CANCEL_ORDER:
+            return { ...state, orders: setCancelling(state.orders, action.id, true), error: null };
+        case ORDER_CANCELLED:
+        case ORDER_DISCARDED:
+            return { ...state, orders: withoutOrder(state.orders, action.id) };
+        case CANCEL_REJECTED:
+            return { ...state, orders: setCancelling(state.orders, action.id, false), error: action.error };
+        case ORDERS_RECEIVED:
+            return { ...state, orders: action.orders };
+        default:
+            return state;
+    }
+}
+
+// Action Creators
+let nextRequestId = 1;
+
+// placeOrder and cancelOrder are sent to the server by the socket middleware
+export function placeOrder({ action, price, quantity }) {
+    return { type: PLACE_ORDER, order: { action, price, quantity }, requestId: nextRequestId++ };
+}
+
+export function orderPlaced(requestId, result) {
+    return { type: ORDER_PLACED, requestId, result };
+}
+
+export function orderRejected(requestId, error) {
+    return { type: ORDER_REJECTED, requestId, error };
+}
+
+export function cancelOrder(id) {
+    return { type: CANCEL_ORDER, id };
+}
+
+export function orderCancelled(id) {
+    return { type: ORDER_CANCELLED, id };
+}
+
+export function cancelRejected(id, error) {
+    return { type: CANCEL_REJECTED, id, error };
+}
+
+export function orderDiscarded(id) {
+    return { type: ORDER_DISCARDED, id };
+}
+
+export function receiveOrders(orders) {
+    return { type: ORDERS_RECEIVED, orders };
+}
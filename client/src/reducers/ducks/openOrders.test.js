@@ -0,0 +1,102 @@
+import {
+  reducer, placeOrder, orderPlaced, orderRejected, cancelOrder, orderCancelled, cancelRejected, orderDiscarded,
+  receiveOrders
+} from './openOrders';
+
+const error = { name: 'InsufficientFundsError', message: 'Not enough money' };
+
+const placed = (order, result) => {
+  const place = placeOrder(order);
+  return reducer(reducer(undefined, place), orderPlaced(place.requestId, result));
+};
+
+it('shows a placed order as pending straight away', () => {
+  const place = placeOrder({ action: 'BUY', price: 1000, quantity: 5 });
+  expect(reducer(undefined, place)).toEqual({
+    orders: [],
+    pending: [{ action: 'BUY', price: 1000, quantity: 5, requestId: place.requestId }],
+    error: null
+  });
+});
+
+it('gives each order placed its own request id', () => {
+  const order = { action: 'BUY', price: 1000, quantity: 5 };
+  expect(placeOrder(order).requestId).not.toBe(placeOrder(order).requestId);
+});
+
+it('turns a pending order into an open order once it is acknowledged', () => {
+  const state = placed({ action: 'BUY', price: 1000, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes: [] });
+  expect(state.pending).toEqual([]);
+  expect(state.orders).toEqual([{ id: 'a', action: 'BUY', price: 1000, quantity: 5 }]);
+});
+
+const fill = (buyOrder, sellOrder, quantity, buyRemaining, sellRemaining) =>
+  ({ type: 'fill', entry: { price: 1000, quantity }, buyOrder, sellOrder, buyRemaining, sellRemaining });
+
+it('keeps only what is left of an order that traded when it was placed', () => {
+  const outcomes = [fill('x', 'a', 2, 0, 3), fill('y', 'a', 1, 0, 2)];
+  const state = placed({ action: 'SELL', price: 990, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes });
+  expect(state.orders).toEqual([{ id: 'a', action: 'SELL', price: 990, quantity: 2 }]);
+});
+
+it("only counts the placed order's own fills and self-trade cuts", () => {
+  // a stop the order set off trades as well, and one of the account's own
+  // resting orders takes some off it
+  const outcomes = [
+    fill('a', 'x', 1, 5, 0),
+    { type: 'trigger', order: { id: 's' } },
+    fill('s', 'y', 3, 0, 2),
+    {
+      type: 'selfTrade',
+      newest: { id: 'a', quantity: 5 },
+      oldest: { id: 'z', quantity: 1 },
+      cuts: { newest: 1, oldest: 0 }
+    }
+  ];
+  const state = placed({ action: 'BUY', price: 1000, quantity: 6 }, { id: 'a', fills: [], discarded: [], outcomes });
+  expect(state.orders).toEqual([{ id: 'a', action: 'BUY', price: 1000, quantity: 4 }]);
+});
+
+it('forgets an order that filled or was discarded as soon as it was placed', () => {
+  const order = { action: 'BUY', price: 1000, quantity: 2 };
+  expect(placed(order, { id: 'a', fills: [], discarded: [], outcomes: [fill('a', 'x', 2, 0, 0)] }).orders).toEqual([]);
+  expect(placed(order, { id: 'a', fills: [], discarded: [{ id: 'a' }], outcomes: [] }).orders).toEqual([]);
+});
+
+it('does not add an order twice if the server already listed it', () => {
+  const place = placeOrder({ action: 'BUY', price: 1000, quantity: 5 });
+  const listed = reducer(reducer(undefined, place), receiveOrders([{ id: 'a', action: 'BUY', price: 1000, quantity: 5 }]));
+  const state = reducer(listed, orderPlaced(place.requestId, { id: 'a', fills: [], discarded: [], outcomes: [] }));
+  expect(state.orders.map(order => order.id)).toEqual(['a']);
+});
+
+it('rolls back a rejected order and keeps the reason', () => {
+  const place = placeOrder({ action: 'BUY', price: 1000, quantity: 5 });
+  const state = reducer(reducer(undefined, place), orderRejected(place.requestId, error));
+  expect(state).toEqual({ orders: [], pending: [], error });
+});
+
+it('marks an order as cancelling until the server confirms it', () => {
+  const open = placed({ action: 'BUY', price: 1000, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes: [] });
+  const cancelling = reducer(open, cancelOrder('a'));
+  expect(cancelling.orders[0].cancelling).toBe(true);
+  expect(reducer(cancelling, orderCancelled('a')).orders).toEqual([]);
+});
+
+it('restores an order the server would not cancel', () => {
+  const open = placed({ action: 'BUY', price: 1000, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes: [] });
+  const state = reducer(reducer(open, cancelOrder('a')), cancelRejected('a', error));
+  expect(state.orders[0].cancelling).toBe(false);
+  expect(state.error).toBe(error);
+});
+
+it('removes discarded orders', () => {
+  const open = placed({ action: 'BUY', price: 1000, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes: [] });
+  expect(reducer(open, orderDiscarded('a')).orders).toEqual([]);
+});
+
+it('replaces the open orders with those the server lists', () => {
+  const orders = [{ id: 'b', action: 'SELL', price: 1020, quantity: 1 }];
+  const open = placed({ action: 'BUY', price: 1000, quantity: 5 }, { id: 'a', fills: [], discarded: [], outcomes: [] });
+  expect(reducer(open, receiveOrders(orders)).orders).toEqual(orders);
+});
@@ -0,0 +1,21 @@
+// Actions
+const RECEIVED = 'orderBook/RECEIVED';
+
+const empty = { buy: [], sell: [], spread: null, midPrice: null };
+
+// Reducer
+// The server always sends the whole depth of the book, so it simply replaces
+// what we had
+export function reducer(state = empty, action = {}) {
+    switch (action.type) {
+        case RECEIVED:
+            return action.book;
+        default:
+            return state;
+    }
+}
+
+// Action Creators
+export function receiveBook(book) {
+    return { type: RECEIVED, book };
+}
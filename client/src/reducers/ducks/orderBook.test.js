@@ -0,0 +1,15 @@
+import { reducer, receiveBook } from './orderBook';
+
+it('starts with an empty book', () => {
+  expect(reducer(undefined, {})).toEqual({ buy: [], sell: [], spread: null, midPrice: null });
+});
+
+it('replaces the book with the depth the server sends', () => {
+  const book = {
+    buy: [{ price: 1000, quantity: 5, orders: 2 }],
+    sell: [{ price: 1010, quantity: 3, orders: 1 }],
+    spread: 10,
+    midPrice: 1005
+  };
+  expect(reducer(reducer(undefined, {}), receiveBook(book))).toEqual(book);
+});
@@ -0,0 +1,20 @@
+// Actions
+const RECEIVED = 'trades/RECEIVED';
+
+// how many of the most recent trades are kept for the tape
+export const MAX_TRADES = 50;
+
+// Reducer
+export function reducer(state = [], action = {}) {
+    switch (action.type) {
+        case RECEIVED:
+            return [action.trade, ...state].slice(0, MAX_TRADES);
+        default:
+            return state;
+    }
+}
+
+// Action Creators
+export function receiveTrade(trade) {
+    return { type: RECEIVED, trade };
+}
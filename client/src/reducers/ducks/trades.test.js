@@ -0,0 +1,18 @@
+import { reducer, receiveTrade, MAX_TRADES } from './trades';
+
+const trade = price => ({ price, quantity: 1, aggressor: 'BUY', time: '2017-06-01T10:00:00.000Z' });
+
+it('puts the newest trade first', () => {
+  const state = [trade(1000), trade(1010)].reduce((state, t) => reducer(state, receiveTrade(t)), undefined);
+  expect(state.map(t => t.price)).toEqual([1010, 1000]);
+});
+
+it('keeps only the most recent trades', () => {
+  let state = reducer(undefined, {});
+  for (let price = 1; price <= MAX_TRADES + 5; price++) {
+    state = reducer(state, receiveTrade(trade(price)));
+  }
+  expect(state.length).toBe(MAX_TRADES);
+  expect(state[0].price).toBe(MAX_TRADES + 5);
+  expect(state[MAX_TRADES - 1].price).toBe(6);
+});
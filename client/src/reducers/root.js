@@ -1,5 +1,9 @@
 import {combineReducers} from 'redux';
 import { reducer as example } from './ducks/example';
+import { reducer as orderBook } from './ducks/orderBook';
+import { reducer as trades } from './ducks/trades';
+import { reducer as account } from './ducks/account';
+import { reducer as openOrders } from './ducks/openOrders';
 
-const rootReducer = combineReducers({ example });
-export default rootReducer;
\ No newline at end of file
+const rootReducer = combineReducers({ example, orderBook, trades, account, openOrders });
+export default rootReducer;
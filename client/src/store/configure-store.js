@@ -1,6 +1,7 @@
 import rootReducer from '../reducers/root';
-import {createStore} from 'redux';
+import {createStore, applyMiddleware} from 'redux';
+import createSocketMiddleware from '../middleware/socket';
 
-export default (initialState) => {
-    return createStore(rootReducer, initialState);
-};
\ No newline at end of file
+export default (initialState, socket) => {
+    return createStore(rootReducer, initialState, applyMiddleware(createSocketMiddleware(socket)));
+};
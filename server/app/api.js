@@ -0,0 +1,229 @@
+import crypto from 'crypto'
+import express from 'express'
+import moment from 'moment'
+import t from 'tcomb'
+import { validate } from 'tcomb-validation'
+
+import { ExchangeError, NotAllowedError, UnknownAccountError, UnknownOrderError, ValidationError } from './errors'
+import { Interval } from './candles'
+import { Balance, MarketState } from './matcher'
+import { Order } from './order'
+
+export const DEFAULT_PAGE_SIZE = 100
+export const MAX_PAGE_SIZE = 1000
+
+// A request body type made of the fields of one of the matcher's own types
+// that a client is allowed to send, and nothing else. Fields the type has a
+// default for may be left out.
+const requestType = (type, fields, name) => {
+  const props = {}
+  fields.forEach(field => {
+    const hasDefault = type.meta.defaultProps.hasOwnProperty(field)
+    props[field] = hasDefault ? t.maybe(type.meta.props[field]) : type.meta.props[field]
+  })
+  return t.struct(props, { name, strict: true })
+}
+
+const NewUser = requestType(Balance, ['money', 'stock'], 'New User')
+const Transfer = t.struct({ money: t.maybe(t.Integer), stock: t.maybe(t.Integer) }, { name: 'Transfer', strict: true })
+const NewOrder = requestType(
+  Order,
+  ['account', 'price', 'stopPrice', 'quantity', 'displayQuantity', 'action', 'type', 'timeInForce'],
+  'New Order'
+)
+const MarketStateChange = t.struct({
+  state: MarketState,
+  reason: t.maybe(t.String)
+}, { name: 'Market State Change', strict: true })
+
+// Query strings only hold strings, so these check them before converting
+const Time = t.refinement(t.String, s => moment(s, moment.ISO_8601, true).isValid(), 'ISO 8601 Time')
+const Count = t.refinement(t.String, s => /^\d+$/.test(s), 'Whole Number')
+const PageSize = t.refinement(Count, s => Number(s) <= MAX_PAGE_SIZE, `Whole Number up to ${MAX_PAGE_SIZE}`)
+
+const HistoryQuery = t.struct({
+  from: t.maybe(Time),
+  to: t.maybe(Time),
+  offset: t.maybe(Count),
+  limit: t.maybe(PageSize)
+}, { name: 'History Query', strict: true })
+
+const CandleQuery = t.struct({
+  interval: Interval,
+  from: t.maybe(Time),
+  to: t.maybe(Time),
+  limit: t.maybe(PageSize)
+}, { name: 'Candle Query', strict: true })
+
+const BookQuery = t.struct({ n: t.maybe(PageSize) }, { name: 'Book Query', strict: true })
+
+const check = (value, type) => {
+  const result = validate(value, type, { strict: true })
+  if (!result.isValid()) {
+    const fields = result.errors.map(error => ({ field: error.path.join('.'), message: error.message }))
+    throw new ValidationError(`Invalid ${type.meta.name}`, { fields })
+  }
+  return value
+}
+
+const statusOf = error => {
+  if (error instanceof ValidationError) {
+    return 400
+  } else if (error instanceof NotAllowedError) {
+    return 403
+  } else if (error instanceof UnknownAccountError || error instanceof UnknownOrderError) {
+    return 404
+  } else if (error instanceof ExchangeError) {
+    return 422
+  }
+  // malformed JSON from the body parser comes with its own status, anything
+  // else is a fault in the server rather than the request
+  return error.status || 500
+}
+
+// Compared in constant time, so that how long it takes doesn't give the
+// token away a character at a time
+export const sameToken = (given, token) => {
+  const a = Buffer.from(String(given))
+  const b = Buffer.from(token)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// Account ids are no secret, as each side of a trade is told the other's, so
+// acting for an account takes a token made from its id with a secret. Tokens
+// only outlast a restart if the same secret is used.
+export const accountTokens = secret => account => crypto.createHmac('sha256', secret).update(account).digest('hex')
+
+const bearerToken = req => {
+  const [scheme, given] = (req.get('Authorization') || '').split(' ')
+  return scheme === 'Bearer' && given ? given : null
+}
+
+// An express app wrapping a Matcher for plain HTTP clients. Requests are
+// checked against the matcher's types first, so mistakes come back as a 400
+// listing what is wrong with each field. Results of placing orders are passed
+// to publish so they can be streamed to other clients. Placing orders for an
+// account, or moving its money or stock, needs the token it was registered
+// with (or the admin token) as a bearer token. Halting and resuming the market needs the admin token,
+// and can't be done at all without one.
+export default function createApi ({
+  matcher,
+  publish = () => {},
+  adminToken = null,
+  tokenFor = accountTokens(crypto.randomBytes(32))
+}) {
+  const api = express()
+  api.use(express.json())
+
+  const isAdmin = given => Boolean(adminToken && given && sameToken(given, adminToken))
+
+  const adminOnly = (req, res, next) => {
+    if (!isAdmin(bearerToken(req))) {
+      throw new NotAllowedError('Only administrators can do that')
+    }
+    next()
+  }
+
+  const checkActsFor = (req, account) => {
+    const given = bearerToken(req)
+    if (!isAdmin(given) && !(given && sameToken(given, tokenFor(account)))) {
+      throw new NotAllowedError("That token isn't for that account")
+    }
+  }
+
+  api.post('/users', (req, res) => {
+    const { money, stock } = check(req.body, NewUser)
+    const account = matcher.addUser(money, stock)
+    res.status(201).json({ account, token: tokenFor(account) })
+  })
+
+  api.get('/users', (req, res) => {
+    res.json(matcher.getUsers())
+  })
+
+  api.get('/users/:account', (req, res) => {
+    const { account } = req.params
+    res.json({ ...matcher.getUser(account), available: matcher.getAvailableBalance(account) })
+  })
+
+  api.post('/users/:account/deposits', (req, res) => {
+    const { account } = req.params
+    checkActsFor(req, account)
+    res.status(201).json(matcher.deposit(account, check(req.body, Transfer)))
+  })
+
+  api.post('/users/:account/withdrawals', (req, res) => {
+    const { account } = req.params
+    checkActsFor(req, account)
+    res.status(201).json(matcher.withdraw(account, check(req.body, Transfer)))
+  })
+
+  api.get('/users/:account/orders', (req, res) => {
+    const { account } = req.params
+    matcher.getUser(account)
+    res.json(matcher.getOrdersByAccount(account))
+  })
+
+  api.get('/users/:account/order-statuses', (req, res) => {
+    res.json(matcher.getOrderStatuses(req.params.account))
+  })
+
+  api.post('/orders', (req, res) => {
+    const order = check(req.body, NewOrder)
+    checkActsFor(req, order.account)
+    const result = matcher.addOrder(new Order(order))
+    publish(result)
+    res.status(201).json(result)
+  })
+
+  api.get('/orders/buy', (req, res) => {
+    const { n = '10' } = check(req.query, BookQuery)
+    res.json(matcher.getBestNBuyOrders(Number(n)))
+  })
+
+  api.get('/orders/sell', (req, res) => {
+    const { n = '10' } = check(req.query, BookQuery)
+    res.json(matcher.getBestNSellOrders(Number(n)))
+  })
+
+  api.get('/history', (req, res) => {
+    const query = check(req.query, HistoryQuery)
+    const offset = Number(query.offset || 0)
+    const limit = Number(query.limit || DEFAULT_PAGE_SIZE)
+    const { total, entries } = matcher.queryHistory({ from: query.from, to: query.to, offset, limit })
+    res.json({ total, offset, limit, entries })
+  })
+
+  api.get('/candles', (req, res) => {
+    const query = check(req.query, CandleQuery)
+    const limit = Number(query.limit || DEFAULT_PAGE_SIZE)
+    const candles = matcher.getCandles(query.interval, { from: query.from, to: query.to, limit })
+    res.json({ interval: query.interval, candles })
+  })
+
+  api.get('/stats', (req, res) => {
+    res.json(matcher.getDailyStats())
+  })
+
+  api.get('/reconciliation', (req, res) => {
+    res.json(matcher.reconcile())
+  })
+
+  api.get('/market', (req, res) => {
+    res.json(matcher.getMarketState())
+  })
+
+  api.put('/market', adminOnly, (req, res) => {
+    const { state, reason } = check(req.body, MarketStateChange)
+    const result = matcher.setMarketState(state, reason)
+    publish(result)
+    res.json(result)
+  })
+
+  // express needs all four arguments to know this handles errors
+  api.use((error, req, res, next) => {
+    res.status(statusOf(error)).json({ name: error.name, code: error.code, message: error.message, fields: error.fields })
+  })
+
+  return api
+}
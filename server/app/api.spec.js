@@ -0,0 +1,411 @@
+/**
+ * @jest-environment node
+ */
+import moment from 'moment'
+import request from 'supertest'
+
+import createApi, { accountTokens } from './api'
+import Matcher from './matcher'
+import { Order, BUY, SELL, IOC } from './order'
+
+describe('api', () => {
+  const tokenFor = accountTokens('test secret')
+  const as = account => ({ Authorization: `Bearer ${tokenFor(account)}` })
+  let matcher, api, published
+  let alice, bob
+
+  beforeEach(() => {
+    matcher = new Matcher({ autoMatch: true })
+    published = []
+    api = createApi({ matcher, tokenFor, publish: result => published.push(result) })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+  })
+
+  it('adds users', () => {
+    return request(api)
+      .post('/users')
+      .send({ money: 1600, stock: 90 })
+      .expect(201)
+      .then(res => {
+        expect(matcher.getUsers()[res.body.account]).toMatchObject({ money: 1600, stock: 90 })
+        expect(res.body.token).toBe(tokenFor(res.body.account))
+      })
+  })
+
+  it('lists users and their balances', () => {
+    return request(api)
+      .get('/users')
+      .expect(200)
+      .then(res => {
+        expect(res.body[alice]).toMatchObject({ money: 15000, stock: 71 })
+        expect(res.body[bob]).toMatchObject({ money: 19000, stock: 17 })
+      })
+  })
+
+  it('shows a single user with what they have available', () => {
+    matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: BUY }))
+    return request(api)
+      .get(`/users/${alice}`)
+      .expect(200)
+      .then(res => {
+        expect(res.body).toMatchObject({ money: 15000, moneyHeld: 5000, available: { money: 10000, stock: 71 } })
+      })
+  })
+
+  it('responds with a 404 for unknown users', () => {
+    return request(api)
+      .get('/users/0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11/orders')
+      .expect(404)
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'UnknownAccountError' })
+      })
+  })
+
+  it('explains what is wrong with each field of a bad user', () => {
+    return request(api)
+      .post('/users')
+      .send({ money: 'lots', stock: 1.5, name: 'Alice' })
+      .expect(400)
+      .then(res => {
+        expect(res.body.name).toBe('ValidationError')
+        expect(res.body.fields.map(f => f.field).sort()).toEqual(['money', 'name', 'stock'])
+        expect(res.body.fields.find(f => f.field === 'stock').message).toContain('Integer')
+        return request(api).post('/users').send({ money: -1600, stock: 90 }).expect(422)
+      })
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'InvalidTransferError' })
+      })
+  })
+
+  it('responds with a 400 for malformed JSON', () => {
+    return request(api)
+      .post('/users')
+      .set('Content-Type', 'application/json')
+      .send('{ "money": ')
+      .expect(400)
+  })
+
+  it('places orders and publishes what happened', () => {
+    matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+    return request(api)
+      .post('/orders')
+      .set(as(alice))
+      .send({ account: alice, price: 1000, quantity: 3, action: BUY })
+      .expect(201)
+      .then(res => {
+        expect(res.body.id).toBeDefined()
+        expect(res.body.fills).toHaveLength(1)
+        expect(res.body.fills[0]).toMatchObject({ buyer: alice, seller: bob, price: 1000, quantity: 3 })
+        expect(published).toHaveLength(1)
+        expect(published[0].id).toBe(res.body.id)
+      })
+  })
+
+  it("only places orders with the account's own token or the admin token", () => {
+    const guarded = createApi({ matcher, tokenFor, adminToken: 'let-me-in' })
+    const order = { account: alice, price: 1000, quantity: 3, action: BUY }
+    return Promise.all([
+      request(guarded).post('/orders').send(order).expect(403),
+      request(guarded).post('/orders').set(as(bob)).send(order).expect(403),
+      request(guarded).post('/orders').set('Authorization', 'Bearer let-me-in').send(order).expect(201)
+    ]).then(([res]) => {
+      expect(res.body).toMatchObject({ name: 'NotAllowedError', message: "That token isn't for that account" })
+      expect(matcher.getOrdersByAccount(alice)).toHaveLength(1)
+    })
+  })
+
+  it('explains what is wrong with each field of a bad order', () => {
+    return request(api)
+      .post('/orders')
+      .set(as(alice))
+      .send({ account: alice, price: 10.5, quantity: 3, action: 'DANCE', time: 'now' })
+      .expect(400)
+      .then(res => {
+        expect(res.body.fields.map(f => f.field).sort()).toEqual(['action', 'price', 'time'])
+        expect(published).toEqual([])
+        expect(matcher.getOrdersByAccount(alice)).toEqual([])
+      })
+  })
+
+  it('says which trading rule an order breaks', () => {
+    return request(api)
+      .post('/orders')
+      .set(as(alice))
+      .send({ account: alice, price: -1000, quantity: 3, action: BUY })
+      .expect(422)
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'TradingRuleError', code: 'INVALID_PRICE' })
+      })
+  })
+
+  it('responds with a 422 for orders that make no sense', () => {
+    return request(api)
+      .post('/orders')
+      .set(as(alice))
+      .send({ account: alice, quantity: 3, action: BUY, type: 'LIMIT' })
+      .expect(422)
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'InvalidOrderError', message: 'Limit orders must have a price' })
+      })
+  })
+
+  it('responds with a 500 when something goes wrong in the server', () => {
+    matcher.getDailyStats = () => null.lastPrice
+    return request(api)
+      .get('/stats')
+      .expect(500)
+      .then(res => {
+        expect(res.body.name).toBe('TypeError')
+      })
+  })
+
+  it('responds with a 422 for orders that cannot be afforded', () => {
+    return request(api)
+      .post('/orders')
+      .set(as(alice))
+      .send({ account: alice, price: 10000, quantity: 3, action: BUY })
+      .expect(422)
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'InsufficientFundsError' })
+      })
+  })
+
+  it('takes deposits and withdrawals', () => {
+    return request(api)
+      .post(`/users/${alice}/deposits`)
+      .set(as(alice))
+      .send({ money: 500 })
+      .expect(201)
+      .then(res => {
+        expect(res.body).toMatchObject({ money: 15500, stock: 71 })
+        return request(api).post(`/users/${alice}/withdrawals`).set(as(alice)).send({ money: 100, stock: 71 }).expect(201)
+      })
+      .then(res => {
+        expect(res.body).toMatchObject({ money: 15400, stock: 0 })
+      })
+  })
+
+  it("only moves an account's money or stock with its own token or the admin token", () => {
+    const guarded = createApi({ matcher, tokenFor, adminToken: 'let-me-in' })
+    return Promise.all([
+      request(guarded).post(`/users/${alice}/withdrawals`).send({ money: 100 }).expect(403),
+      request(guarded).post(`/users/${alice}/withdrawals`).set(as(bob)).send({ money: 100 }).expect(403),
+      request(guarded).post(`/users/${alice}/deposits`).set('Authorization', 'Bearer guess').send({ money: 100 }).expect(403),
+      request(guarded).post(`/users/${alice}/deposits`).set('Authorization', 'Bearer let-me-in').send({ money: 100 }).expect(201)
+    ]).then(([res]) => {
+      expect(res.body).toMatchObject({ name: 'NotAllowedError', message: "That token isn't for that account" })
+      expect(matcher.getUsers()[alice]).toMatchObject({ money: 15100 })
+    })
+  })
+
+  it('explains what is wrong with a bad deposit or withdrawal', () => {
+    return request(api)
+      .post(`/users/${alice}/deposits`)
+      .set(as(alice))
+      .send({ money: 'lots', gold: 5 })
+      .expect(400)
+      .then(res => {
+        expect(res.body.fields.map(f => f.field).sort()).toEqual(['gold', 'money'])
+        return request(api).post(`/users/${alice}/withdrawals`).set(as(alice)).send({ stock: 72 }).expect(422)
+      })
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'InsufficientFundsError' })
+        return request(api).post(`/users/${alice}/deposits`).set(as(alice)).send({ money: -5 }).expect(422)
+      })
+      .then(res => {
+        expect(res.body).toMatchObject({ name: 'InvalidTransferError' })
+      })
+  })
+
+  it('reconciles balances against the ledger', () => {
+    return request(api)
+      .get('/reconciliation')
+      .expect(200)
+      .then(res => {
+        expect(res.body).toEqual({
+          totals: { money: { held: 34000, deposited: 34000 }, stock: { held: 88, deposited: 88 } },
+          problems: []
+        })
+      })
+  })
+
+  it("lists a user's orders", () => {
+    const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: BUY }))
+    matcher.addOrder(new Order({ account: bob, price: 1100, quantity: 5, action: SELL }))
+    return request(api)
+      .get(`/users/${alice}/orders`)
+      .expect(200)
+      .then(res => {
+        expect(res.body).toHaveLength(1)
+        expect(res.body[0]).toMatchObject({ id, account: alice, price: 1000 })
+      })
+  })
+
+  it("shows what became of a user's orders", () => {
+    matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 2, action: SELL }))
+    const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: BUY, timeInForce: IOC }))
+    return request(api)
+      .get(`/users/${alice}/order-statuses`)
+      .expect(200)
+      .then(res => {
+        expect(res.body).toEqual([expect.objectContaining({
+          order: expect.objectContaining({ id }),
+          status: 'REJECTED',
+          reason: 'NOT_FILLED_IMMEDIATELY',
+          filled: 2,
+          remaining: 3
+        })])
+      })
+  })
+
+  describe('market state', () => {
+    const ADMIN_TOKEN = 'let-me-in'
+
+    beforeEach(() => {
+      api = createApi({ matcher, tokenFor, adminToken: ADMIN_TOKEN, publish: result => published.push(result) })
+    })
+
+    it('is shown to anyone', () => {
+      return request(api)
+        .get('/market')
+        .expect(200)
+        .then(res => {
+          expect(res.body).toEqual({ state: 'OPEN', reason: null })
+        })
+    })
+
+    it('can be halted and resumed by administrators, who still allow cancels', () => {
+      const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: BUY }))
+      return request(api)
+        .put('/market')
+        .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+        .send({ state: 'HALTED', reason: 'Investigating a fault' })
+        .expect(200)
+        .then(res => {
+          expect(res.body).toMatchObject({ state: 'HALTED', reason: 'Investigating a fault' })
+          return request(api).post('/orders').set(as(bob)).send({ account: bob, price: 1000, quantity: 5, action: 'SELL' }).expect(422)
+        })
+        .then(res => {
+          expect(res.body).toMatchObject({ name: 'MarketNotOpenError', message: 'Trading is halted: Investigating a fault' })
+          matcher.cancelOrder(id, alice)
+          return request(api).put('/market').set('Authorization', `Bearer ${ADMIN_TOKEN}`).send({ state: 'OPEN' }).expect(200)
+        })
+        .then(res => {
+          expect(res.body).toMatchObject({ state: 'OPEN', reason: null, fills: [] })
+          expect(published).toHaveLength(2)
+        })
+    })
+
+    it('can only be changed by administrators', () => {
+      const unprotected = createApi({ matcher })
+      return Promise.all([
+        request(api).put('/market').send({ state: 'HALTED' }).expect(403),
+        request(api).put('/market').set('Authorization', 'Bearer guess').send({ state: 'HALTED' }).expect(403),
+        request(unprotected).put('/market').set('Authorization', 'Bearer ').send({ state: 'HALTED' }).expect(403),
+        request(api).put('/market').set('Authorization', `Bearer ${ADMIN_TOKEN}`).send({ state: 'LUNCH' }).expect(400)
+      ]).then(([res]) => {
+        expect(res.body).toMatchObject({ name: 'NotAllowedError' })
+        expect(matcher.getMarketState().state).toBe('OPEN')
+      })
+    })
+  })
+
+  it('lists the best orders on each side of the book', () => {
+    [900, 1000, 950].forEach(price => matcher.addOrder(new Order({ account: alice, price, quantity: 1, action: BUY })))
+    ;[1200, 1100].forEach(price => matcher.addOrder(new Order({ account: bob, price, quantity: 1, action: SELL })))
+    return Promise.all([
+      request(api).get('/orders/buy?n=2').expect(200).then(res => {
+        expect(res.body.map(o => o.price)).toEqual([1000, 950])
+      }),
+      request(api).get('/orders/sell').expect(200).then(res => {
+        expect(res.body.map(o => o.price)).toEqual([1100, 1200])
+      }),
+      request(api).get('/orders/sell?n=lots').expect(400)
+    ])
+  })
+
+  describe('history', () => {
+    let start
+
+    beforeEach(() => {
+      start = moment()
+      for (let i = 0; i < 5; i++) {
+        matcher.addOrder(new Order({ account: bob, price: 1000 + i, quantity: 1, action: SELL }))
+        matcher.addOrder(new Order({ account: alice, price: 1000 + i, quantity: 1, action: BUY }))
+      }
+    })
+
+    it('is paginated', () => {
+      return request(api)
+        .get('/history?offset=1&limit=2')
+        .expect(200)
+        .then(res => {
+          expect(res.body).toMatchObject({ total: 5, offset: 1, limit: 2 })
+          expect(res.body.entries.map(e => e.price)).toEqual([1001, 1002])
+        })
+    })
+
+    it('can be limited to a range of time', () => {
+      const from = start.clone().subtract(1, 'hour').toISOString()
+      const to = start.clone().add(1, 'hour').toISOString()
+      return Promise.all([
+        request(api).get(`/history?from=${from}&to=${to}`).expect(200).then(res => {
+          expect(res.body.total).toBe(5)
+        }),
+        request(api).get(`/history?from=${to}`).expect(200).then(res => {
+          expect(res.body).toMatchObject({ total: 0, entries: [] })
+        })
+      ])
+    })
+
+    it('is summarised as candles', () => {
+      return request(api)
+        .get('/candles?interval=1h')
+        .expect(200)
+        .then(res => {
+          expect(res.body.interval).toBe('1h')
+          const volume = res.body.candles.reduce((total, candle) => total + candle.volume, 0)
+          expect(volume).toBe(5)
+          expect(res.body.candles[res.body.candles.length - 1].close).toBe(1004)
+        })
+    })
+
+    it('is summarised over the last day', () => {
+      return request(api)
+        .get('/stats')
+        .expect(200)
+        .then(res => {
+          expect(res.body).toMatchObject({ lastPrice: 1004, openPrice: 1000, change: 4, volume: 5, trades: 5 })
+        })
+    })
+
+    it('rejects bad candle queries', () => {
+      return request(api)
+        .get('/candles?interval=2m&limit=5000')
+        .expect(400)
+        .then(res => {
+          expect(res.body.fields.map(f => f.field).sort()).toEqual(['interval', 'limit'])
+        })
+    })
+
+    it('responds with a 422 for candles of an interval that is not kept', () => {
+      const hourly = createApi({ matcher: new Matcher({ candleIntervals: ['1h'] }), publish: () => {} })
+      return request(hourly)
+        .get('/candles?interval=1m')
+        .expect(422)
+        .then(res => {
+          expect(res.body).toMatchObject({ name: 'UnknownIntervalError', message: 'Candles are only kept for 1h, not 1m' })
+        })
+    })
+
+    it('rejects bad queries', () => {
+      return request(api)
+        .get('/history?from=yesterday&limit=5000&page=2')
+        .expect(400)
+        .then(res => {
+          expect(res.body.fields.map(f => f.field).sort()).toEqual(['from', 'limit', 'page'])
+        })
+    })
+  })
+})
@@ -0,0 +1,178 @@
+import moment from 'moment'
+import t from 'tcomb'
+
+import { UnknownIntervalError } from './errors'
+
+// The intervals candles can cover, and how long each lasts in milliseconds
+export const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+}
+
+export const Interval = t.enums.of(Object.keys(INTERVALS), 'Candle Interval')
+
+// The trades in one interval, from the time it starts: the prices of the
+// first and last trades, the highest and lowest prices, and how much stock
+// (volume) and money (value) changed hands
+export const Candle = t.struct({
+  time: t.Any,
+  open: t.Integer,
+  high: t.Integer,
+  low: t.Integer,
+  close: t.Integer,
+  volume: t.Integer,
+  value: t.Integer,
+  trades: t.Integer
+}, 'Candle')
+
+// Trading over a period: the first, highest, lowest and last prices in it and
+// how the last changed on the first, the volume and value traded, and the
+// average price paid weighted by volume. The last price is the last ever
+// traded, even if that was before the period began.
+export const Stats = t.struct({
+  lastPrice: t.maybe(t.Integer),
+  openPrice: t.maybe(t.Integer),
+  highPrice: t.maybe(t.Integer),
+  lowPrice: t.maybe(t.Integer),
+  change: t.maybe(t.Integer),
+  changePercent: t.maybe(t.Number),
+  volume: t.Integer,
+  value: t.Integer,
+  vwap: t.maybe(t.Number),
+  trades: t.Integer
+}, 'Stats')
+
+// How many of a list of candles in time order start before a time
+const countBefore = (candles, time) => {
+  time = moment(time)
+  let low = 0
+  let high = candles.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (candles[middle].time.isBefore(time)) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+export const summarise = (trades, lastPrice = null) => {
+  let volume = 0
+  let value = 0
+  let highPrice = -Infinity
+  let lowPrice = Infinity
+  trades.forEach(trade => {
+    volume += trade.quantity
+    value += trade.price * trade.quantity
+    highPrice = Math.max(highPrice, trade.price)
+    lowPrice = Math.min(lowPrice, trade.price)
+  })
+  if (trades.length === 0) {
+    return new Stats({
+      lastPrice,
+      openPrice: null,
+      highPrice: null,
+      lowPrice: null,
+      change: null,
+      changePercent: null,
+      volume,
+      value,
+      vwap: null,
+      trades: 0
+    })
+  }
+  const openPrice = trades[0].price
+  const closePrice = trades[trades.length - 1].price
+  const change = closePrice - openPrice
+  return new Stats({
+    lastPrice: closePrice,
+    openPrice,
+    highPrice,
+    lowPrice,
+    change,
+    changePercent: change * 100 / openPrice,
+    volume,
+    value,
+    vwap: value / volume,
+    trades: trades.length
+  })
+}
+
+// The candles for one interval, updated a trade at a time. Trades come in
+// time order, so only the latest candle ever changes, and it is added up in
+// place. Intervals without any trades don't have a candle.
+export class CandleSeries {
+  constructor (interval) {
+    this.interval = interval
+    this.length = INTERVALS[interval]
+    this.candles = []
+    this.latest = null
+  }
+
+  add = trade => {
+    const { price, quantity } = trade
+    const start = Math.floor(trade.time.valueOf() / this.length) * this.length
+    const latest = this.latest
+    if (latest && latest.start === start) {
+      latest.high = Math.max(latest.high, price)
+      latest.low = Math.min(latest.low, price)
+      latest.close = price
+      latest.volume += quantity
+      latest.value += price * quantity
+      latest.trades += 1
+      return
+    }
+    if (latest) {
+      this.candles.push(this.toCandle(latest))
+    }
+    this.latest = {
+      start,
+      open: price,
+      high: price,
+      low: price,
+      close: price,
+      volume: quantity,
+      value: price * quantity,
+      trades: 1
+    }
+  };
+
+  toCandle = ({ start, ...candle }) => {
+    return new Candle({ time: moment(start), ...candle })
+  };
+
+  get = ({ from, to, limit = Infinity } = {}) => {
+    // the candles starting in a range of time, or the latest limit of them
+    const candles = this.latest ? this.candles.concat(this.toCandle(this.latest)) : this.candles
+    const start = from ? countBefore(candles, from) : 0
+    const end = to ? countBefore(candles, to) : candles.length
+    return candles.slice(Math.max(start, end - limit), end)
+  };
+}
+
+// Candles for each of a number of intervals, all kept up to date together
+export default class Candles {
+  constructor (intervals = Object.keys(INTERVALS)) {
+    this.series = {}
+    intervals.forEach(interval => {
+      this.series[Interval(interval)] = new CandleSeries(interval)
+    })
+  }
+
+  add = trade => {
+    Object.keys(this.series).forEach(interval => this.series[interval].add(trade))
+  };
+
+  get = (interval, query) => {
+    const series = this.series[interval]
+    if (!series) {
+      const kept = Object.keys(this.series).join(', ')
+      throw new UnknownIntervalError(`Candles are only kept for ${kept}, not ${interval}`, { interval })
+    }
+    return series.get(query)
+  };
+}
@@ -0,0 +1,89 @@
+import moment from 'moment'
+
+import Candles, { CandleSeries, summarise } from './candles'
+
+describe('candles', () => {
+  const start = moment('2017-06-01T10:00:00Z')
+  const trade = (seconds, price, quantity = 1) => ({ time: start.clone().add(seconds, 's'), price, quantity })
+
+  describe('CandleSeries', () => {
+    it('has no candles before any trades', () => {
+      expect(new CandleSeries('1m').get()).toEqual([])
+    })
+
+    it('keeps the open, high, low, close and volume of each interval', () => {
+      const series = new CandleSeries('1m')
+      ;[trade(0, 1000, 2), trade(10, 1200), trade(20, 900, 3), trade(59, 1100)].forEach(series.add)
+      const candles = series.get()
+      expect(candles).toHaveLength(1)
+      expect(candles[0]).toMatchObject({ open: 1000, high: 1200, low: 900, close: 1100, volume: 7, value: 7000, trades: 4 })
+      expect(candles[0].time.isSame(start)).toBe(true)
+    })
+
+    it('starts a new candle at the start of each interval', () => {
+      const series = new CandleSeries('5m')
+      ;[trade(-1, 1000), trade(0, 1100), trade(299, 1200), trade(300, 1300), trade(3600, 1400)].forEach(series.add)
+      const candles = series.get()
+      expect(candles.map(candle => candle.time.toISOString())).toEqual([
+        '2017-06-01T09:55:00.000Z',
+        '2017-06-01T10:00:00.000Z',
+        '2017-06-01T10:05:00.000Z',
+        '2017-06-01T11:00:00.000Z'
+      ])
+      expect(candles.map(candle => [candle.open, candle.close])).toEqual([[1000, 1000], [1100, 1200], [1300, 1300], [1400, 1400]])
+    })
+
+    it('can return a range of time, or the latest candles', () => {
+      const series = new CandleSeries('1m')
+      for (let minute = 0; minute < 10; minute++) {
+        series.add(trade(minute * 60, 1000 + minute))
+      }
+      const from = start.clone().add(2, 'minutes')
+      const to = start.clone().add(5, 'minutes')
+      expect(series.get({ from, to }).map(candle => candle.open)).toEqual([1002, 1003, 1004])
+      expect(series.get({ limit: 2 }).map(candle => candle.open)).toEqual([1008, 1009])
+      expect(series.get({ to, limit: 2 }).map(candle => candle.open)).toEqual([1003, 1004])
+    })
+  })
+
+  describe('Candles', () => {
+    it('keeps a series for each interval', () => {
+      const candles = new Candles(['1m', '1h'])
+      ;[trade(0, 1000), trade(90, 1100)].forEach(candles.add)
+      expect(candles.get('1m')).toHaveLength(2)
+      expect(candles.get('1h')).toMatchObject([{ open: 1000, close: 1100, volume: 2 }])
+      expect(() => candles.get('1d')).toThrow('Candles are only kept for 1m, 1h, not 1d')
+    })
+
+    it('only keeps candles for intervals it knows', () => {
+      expect(() => new Candles(['1w'])).toThrow()
+    })
+  })
+
+  describe('summarise', () => {
+    it('works out prices, volume and the volume weighted average price', () => {
+      const stats = summarise([trade(0, 1000, 1), trade(1, 1200, 3), trade(2, 1100, 1)])
+      expect(stats).toMatchObject({
+        lastPrice: 1100,
+        openPrice: 1000,
+        highPrice: 1200,
+        lowPrice: 1000,
+        change: 100,
+        changePercent: 10,
+        volume: 5,
+        value: 5700,
+        vwap: 1140,
+        trades: 3
+      })
+    })
+
+    it('still gives the last price when there were no trades', () => {
+      expect(summarise([], 1000)).toMatchObject({ lastPrice: 1000, openPrice: null, volume: 0, vwap: null, trades: 0 })
+    })
+
+    it('summarises more trades than fit on the stack', () => {
+      const trades = Array.from({ length: 200000 }, (_, i) => ({ time: start, price: 1000 + i % 7, quantity: 1 }))
+      expect(summarise(trades)).toMatchObject({ highPrice: 1006, lowPrice: 1000, trades: 200000 })
+    })
+  })
+})
@@ -0,0 +1,22 @@
+import moment from 'moment'
+
+// A circuit breaker decides whether a trade has moved the price so far that
+// the market should halt. It is given the trade and a function that gives the
+// trades made over any duration before it, and returns why the market should
+// halt, or null if it can carry on.
+export const noCircuitBreaker = () => {
+  return null
+}
+
+// Halts the market when a trade's price is more than a percentage away from
+// the price of any trade in the minutes before it
+export const priceMoveBreaker = ({ percentage, minutes = 5 }) => {
+  const window = moment.duration(minutes, 'minutes')
+  return ({ price, tradesBefore }) => {
+    const moved = tradesBefore(window).find(trade => Math.abs(price - trade.price) * 100 > percentage * trade.price)
+    if (!moved) {
+      return null
+    }
+    return `The price moved from ${moved.price} to ${price}, more than ${percentage}% within ${minutes} minutes`
+  }
+}
@@ -0,0 +1,54 @@
+// Babel's class transform can't extend Error (instances come out as plain
+// Errors), so error types are built by hand. Any extra details passed in are
+// copied onto the error so callers can inspect them.
+const defineError = (name, Parent = Error) => {
+  function CustomError (message, details = {}) {
+    this.name = name
+    this.message = message
+    Object.assign(this, details)
+    Error.captureStackTrace(this, CustomError)
+  }
+  CustomError.prototype = Object.create(Parent.prototype)
+  CustomError.prototype.constructor = CustomError
+  return CustomError
+}
+
+// Something a caller asked for that the exchange refuses to do
+export const ExchangeError = defineError('ExchangeError')
+
+export const UnknownAccountError = defineError('UnknownAccountError', ExchangeError)
+export const UnknownOrderError = defineError('UnknownOrderError', ExchangeError)
+export const UnknownInstrumentError = defineError('UnknownInstrumentError', ExchangeError)
+export const UnknownIntervalError = defineError('UnknownIntervalError', ExchangeError)
+export const InsufficientFundsError = defineError('InsufficientFundsError', ExchangeError)
+
+// An order that makes no sense whatever the market's rules, such as a limit
+// order without a price
+export const InvalidOrderError = defineError('InvalidOrderError', ExchangeError)
+
+// A deposit or withdrawal of something other than whole, positive amounts, or
+// a new account opened with anything but whole, non-negative ones
+export const InvalidTransferError = defineError('InvalidTransferError', ExchangeError)
+
+// An order that breaks one of a market's trading rules, which its code detail
+// names
+export const TradingRuleError = defineError('TradingRuleError', ExchangeError)
+
+// An order placed, or amended, while the market isn't open for it. Its state
+// and reason details say why.
+export const MarketNotOpenError = defineError('MarketNotOpenError', ExchangeError)
+
+// A change to the state of a market that it is already in
+export const MarketStateError = defineError('MarketStateError', ExchangeError)
+
+// Something the caller isn't allowed to do, such as what only an
+// administrator may
+export const NotAllowedError = defineError('NotAllowedError', ExchangeError)
+
+// A request that doesn't fit the types it should, with a message for each
+// field that is wrong in its fields detail
+export const ValidationError = defineError('ValidationError', ExchangeError)
+
+// A snapshot that can't be loaded, with everything wrong with it in its
+// problems detail
+export const InvalidSnapshotError = defineError('InvalidSnapshotError')
@@ -0,0 +1,341 @@
+import moment from 'moment'
+import t from 'tcomb'
+import uuidv4 from 'uuid/v4'
+
+import {
+  InsufficientFundsError, InvalidOrderError, InvalidTransferError, UnknownAccountError, UnknownInstrumentError,
+  UnknownOrderError
+} from './errors'
+import { uuid } from './extraTcombTypes'
+import Ledger, { EXTERNAL_ACCOUNT, DEPOSIT, WITHDRAWAL } from './ledger'
+import Matcher, { Balance, History } from './matcher'
+import { Asset, Instrument, assetsOf } from './order'
+
+// How much of one asset an account has, and how much of that is set aside for
+// its open orders in every market
+export const AssetBalance = t.struct(
+  { total: t.Integer, held: t.Integer },
+  { name: 'Asset Balance', defaultProps: { held: 0 } }
+)
+export const Wallet = t.dict(Asset, AssetBalance, 'Wallet')
+export const Wallets = t.dict(uuid, Wallet, 'Wallets')
+
+const NOTHING = new AssetBalance({ total: 0 })
+
+// One market's view of the exchange's wallets, as the Balances its Matcher
+// works with: money is the asset prices are in, and stock the asset traded.
+// What one market holds is held in all of them.
+class MarketBalances {
+  constructor (wallets, instrument) {
+    this.wallets = wallets
+    const { base, quote } = assetsOf(instrument)
+    this.base = base
+    this.quote = quote
+  }
+
+  get = account => {
+    const wallet = this.wallets[account]
+    if (!wallet) {
+      return undefined
+    }
+    const money = wallet[this.quote] || NOTHING
+    const stock = wallet[this.base] || NOTHING
+    return new Balance({ money: money.total, stock: stock.total, moneyHeld: money.held, stockHeld: stock.held })
+  };
+
+  set = (account, { money, stock, moneyHeld, stockHeld }) => {
+    this.wallets[account] = {
+      ...this.wallets[account],
+      [this.quote]: new AssetBalance({ total: money, held: moneyHeld }),
+      [this.base]: new AssetBalance({ total: stock, held: stockHeld })
+    }
+  };
+
+  all = () => {
+    const balances = {}
+    Object.keys(this.wallets).forEach(account => {
+      balances[account] = this.get(account)
+    })
+    return balances
+  };
+}
+
+// Deposits and withdrawals are of whole, positive amounts of any assets
+const checkTransfer = assets => {
+  const amounts = Object.keys(assets).map(asset => assets[asset])
+  if (!amounts.length || amounts.some(amount => !t.Integer.is(amount) || amount <= 0)) {
+    throw new InvalidTransferError('Deposits and withdrawals must be whole, positive amounts of assets')
+  }
+  return t.dict(Asset, t.Integer)(assets)
+}
+
+// New accounts open with whole amounts of any assets, which may be none
+const checkOpening = assets => {
+  if (Object.keys(assets).some(asset => !t.Integer.is(assets[asset]) || assets[asset] < 0)) {
+    throw new InvalidTransferError('New accounts must open with whole, non-negative amounts of assets')
+  }
+  return t.dict(Asset, t.Integer)(assets)
+}
+
+// Time order, for putting together the history of several markets
+const byTime = (a, b) => a.time.isBefore(b.time) ? -1 : b.time.isBefore(a.time) ? 1 : 0
+
+// Several markets in one, a Matcher for each instrument, whose accounts have
+// wallets holding any number of assets. Orders go to the market for their
+// instrument. Journals and snapshots are kept per Matcher, so aren't used.
+export default class Exchange {
+  constructor ({ instruments = [], ...options } = {}) {
+    // the options are passed on to each market's Matcher
+    this.options = options
+    this.clock = options.clock || (() => moment())
+    // each account's wallet is replaced as it changes, like a BalanceBook
+    this.wallets = {}
+    // the markets post their trades to the same ledger as deposits and
+    // withdrawals, so that it covers every asset
+    this.ledger = options.ledger || new Ledger()
+    this.markets = {}
+    instruments.forEach(instrument => this.addInstrument(instrument))
+  }
+
+  addInstrument = (instrument, options = {}) => {
+    // options given here, such as the market's trading rules, are for this
+    // market only
+    if (!Instrument.is(instrument)) {
+      throw new Error(`${instrument} isn't an instrument, which are named like BTC/GBP`)
+    }
+    if (this.markets[instrument]) {
+      throw new Error(`There is already a market for ${instrument}`)
+    }
+    this.markets[instrument] = new Matcher({
+      ...this.options,
+      ...options,
+      instrument,
+      ledger: this.ledger,
+      balances: new MarketBalances(this.wallets, instrument)
+    })
+  };
+
+  getInstruments = () => {
+    return Object.keys(this.markets)
+  };
+
+  getMarket = instrument => {
+    const market = this.markets[instrument]
+    if (!market) {
+      throw new UnknownInstrumentError(`There isn't a market for ${instrument}`, { instrument })
+    }
+    return market
+  };
+
+  addAccount = (assets = {}) => {
+    checkOpening(assets)
+    const account = uuidv4()
+    const wallet = {}
+    Object.keys(assets).forEach(asset => {
+      wallet[asset] = new AssetBalance({ total: assets[asset] })
+    })
+    this.wallets[account] = { ...Wallet(wallet) }
+    this.post(DEPOSIT, EXTERNAL_ACCOUNT, account, assets)
+    return account
+  };
+
+  deposit = (account, assets) => {
+    const wallet = this.getWallet(account)
+    const amounts = checkTransfer(assets)
+    this.wallets[account] = { ...this.wallets[account] }
+    Object.keys(amounts).forEach(asset => {
+      const { total, held } = wallet[asset] || NOTHING
+      this.wallets[account][asset] = new AssetBalance({ total: total + amounts[asset], held })
+    })
+    this.post(DEPOSIT, EXTERNAL_ACCOUNT, account, amounts)
+    return this.getWallet(account)
+  };
+
+  withdraw = (account, assets) => {
+    // only what isn't held for open orders can be taken out
+    const available = this.getAvailableBalance(account)
+    const amounts = checkTransfer(assets)
+    Object.keys(amounts).forEach(asset => {
+      const has = available[asset] || 0
+      if (amounts[asset] > has) {
+        throw new InsufficientFundsError(
+          `Account ${account} has ${has} ${asset} available but needs ${amounts[asset]}`,
+          { account, asset, available: has, needed: amounts[asset] }
+        )
+      }
+    })
+    const wallet = this.wallets[account]
+    this.wallets[account] = { ...wallet }
+    Object.keys(amounts).forEach(asset => {
+      const { total, held } = wallet[asset]
+      this.wallets[account][asset] = new AssetBalance({ total: total - amounts[asset], held })
+    })
+    this.post(WITHDRAWAL, account, EXTERNAL_ACCOUNT, amounts)
+    return this.getWallet(account)
+  };
+
+  post = (type, from, to, amounts) => {
+    const postings = []
+    Object.keys(amounts).forEach(asset => {
+      postings.push({ account: from, asset, amount: -amounts[asset] })
+      postings.push({ account: to, asset, amount: amounts[asset] })
+    })
+    this.ledger.post(type, this.clock(), postings)
+  };
+
+  getLedger = () => {
+    return this.ledger.getTransactions()
+  };
+
+  reconcile = () => {
+    // checks every wallet against the ledger, and that trading in all of the
+    // markets has neither made nor lost any of any asset
+    const holdings = {}
+    Object.keys(this.wallets).forEach(account => {
+      const wallet = this.wallets[account]
+      holdings[account] = {}
+      Object.keys(wallet).forEach(asset => {
+        holdings[account][asset] = wallet[asset].total
+      })
+    })
+    return this.ledger.reconcile(holdings)
+  };
+
+  getWallets = () => {
+    const wallets = {}
+    Object.keys(this.wallets).forEach(account => {
+      wallets[account] = this.getWallet(account)
+    })
+    return Wallets(wallets)
+  };
+
+  getWallet = account => {
+    const wallet = this.wallets[account]
+    if (!wallet) {
+      throw new UnknownAccountError(`There isn't an account with id ${account}`, { account })
+    }
+    return Wallet({ ...wallet })
+  };
+
+  getAvailableBalance = account => {
+    const wallet = this.getWallet(account)
+    const available = {}
+    Object.keys(wallet).forEach(asset => {
+      available[asset] = wallet[asset].total - wallet[asset].held
+    })
+    return available
+  };
+
+  addOrder = order => {
+    if (!order.instrument) {
+      throw new InvalidOrderError('Orders must say which instrument they are for')
+    }
+    return this.getMarket(order.instrument).addOrder(order)
+  };
+
+  marketWith = id => {
+    // the market an order is resting, or a stop is waiting, in
+    const instrument = this.getInstruments().find(instrument => {
+      const market = this.markets[instrument]
+      return market.buyOrders.get(id) || market.sellOrders.get(id) || market.stopOrders.has(id)
+    })
+    if (!instrument) {
+      throw new UnknownOrderError(`There isn't an order with id ${id}`, { id })
+    }
+    return this.markets[instrument]
+  };
+
+  getOrder = id => {
+    return this.marketWith(id).getOrder(id)
+  };
+
+  cancelOrder = (id, account) => {
+    return this.marketWith(id).cancelOrder(id, account)
+  };
+
+  amendOrder = (id, account, changes) => {
+    return this.marketWith(id).amendOrder(id, account, changes)
+  };
+
+  getOrdersByAccount = (account, instrument) => {
+    const instruments = instrument ? [instrument] : this.getInstruments()
+    return instruments.reduce(
+      (orders, instrument) => orders.concat(this.getMarket(instrument).getOrdersByAccount(account)),
+      []
+    )
+  };
+
+  getOrderStatus = id => {
+    const instrument = this.getInstruments().find(instrument => this.markets[instrument].statuses.has(id))
+    if (!instrument) {
+      throw new UnknownOrderError(`There isn't an order with id ${id}`, { id })
+    }
+    return this.markets[instrument].getOrderStatus(id)
+  };
+
+  getOrderStatuses = (account, instrument) => {
+    // like getOrdersByAccount, but for every order ever placed
+    const instruments = instrument ? [instrument] : this.getInstruments()
+    return instruments.reduce(
+      (statuses, instrument) => statuses.concat(this.getMarket(instrument).getOrderStatuses(account)),
+      []
+    )
+  };
+
+  matchAll = () => {
+    return this.getInstruments().reduce(({ fills, discarded, selfTrades, triggered, outcomes }, instrument) => {
+      const matched = this.markets[instrument].matchAll()
+      return {
+        fills: fills.concat(matched.fills),
+        discarded: discarded.concat(matched.discarded),
+        selfTrades: selfTrades.concat(matched.selfTrades),
+        triggered: triggered.concat(matched.triggered),
+        outcomes: outcomes.concat(matched.outcomes)
+      }
+    }, { fills: [], discarded: [], selfTrades: [], triggered: [], outcomes: [] })
+  };
+
+  getMarketState = instrument => {
+    return this.getMarket(instrument).getMarketState()
+  };
+
+  setMarketState = (instrument, state, reason) => {
+    // each market halts, and its circuit breaker trips, on its own
+    return this.getMarket(instrument).setMarketState(state, reason)
+  };
+
+  getDepth = (instrument, levels) => {
+    return this.getMarket(instrument).getDepth(levels)
+  };
+
+  getCandles = (instrument, interval, query) => {
+    return this.getMarket(instrument).getCandles(interval, query)
+  };
+
+  getDailyStats = instrument => {
+    return this.getMarket(instrument).getDailyStats()
+  };
+
+  getHistory = instrument => {
+    if (instrument) {
+      return this.getMarket(instrument).getHistory()
+    }
+    const entries = this.getInstruments().reduce(
+      (entries, instrument) => entries.concat(this.markets[instrument].history),
+      []
+    )
+    return History(entries.sort(byTime))
+  };
+
+  queryHistory = ({ instrument, from, to, offset = 0, limit = Infinity } = {}) => {
+    // like Matcher.queryHistory, over one market or all of them
+    if (instrument) {
+      return this.getMarket(instrument).queryHistory({ from, to, offset, limit })
+    }
+    const entries = this.getInstruments().reduce(
+      (entries, instrument) => entries.concat(this.markets[instrument].queryHistory({ from, to }).entries),
+      []
+    ).sort(byTime)
+    return { total: entries.length, entries: History(entries.slice(offset, offset + limit)) }
+  };
+}
@@ -0,0 +1,182 @@
+import moment from 'moment'
+
+import Exchange from './exchange'
+import { Order, BUY, SELL, STOP } from './order'
+import {
+  InsufficientFundsError, MarketNotOpenError, TradingRuleError, UnknownAccountError, UnknownInstrumentError
+} from './errors'
+import { tradingRules } from './tradingRules'
+
+describe('Exchange', () => {
+  let exchange, now
+  let alice, bob
+
+  const order = (account, instrument, action, price, quantity) =>
+    new Order({ account, instrument, action, price, quantity })
+
+  beforeEach(() => {
+    now = moment('2017-06-01T10:00:00Z')
+    exchange = new Exchange({ instruments: ['BTC/GBP', 'ETH/GBP', 'ETH/BTC'], autoMatch: true, clock: () => now })
+    alice = exchange.addAccount({ GBP: 100000, BTC: 10 })
+    bob = exchange.addAccount({ ETH: 50, BTC: 5 })
+  })
+
+  it('has a market for each instrument', () => {
+    expect(exchange.getInstruments()).toEqual(['BTC/GBP', 'ETH/GBP', 'ETH/BTC'])
+    exchange.addInstrument('LTC/BTC')
+    expect(exchange.getDepth('LTC/BTC', 10)).toEqual({ buy: [], sell: [], spread: null, midPrice: null })
+  })
+
+  it('can have different trading rules in each market', () => {
+    exchange.addInstrument('LTC/GBP', { tradingRules: tradingRules({ lotSize: 10 }) })
+    expect(() => exchange.addOrder(order(alice, 'LTC/GBP', BUY, 50, 15))).toThrow(TradingRuleError)
+    exchange.addOrder(order(alice, 'LTC/GBP', BUY, 50, 20))
+    exchange.addOrder(order(alice, 'BTC/GBP', BUY, 50, 15))
+  })
+
+  it('refuses instruments it cannot make sense of, or already has', () => {
+    expect(() => exchange.addInstrument('BTCGBP')).toThrow('named like BTC/GBP')
+    expect(() => exchange.addInstrument('BTC/BTC')).toThrow('named like BTC/GBP')
+    expect(() => exchange.addInstrument('ETH/BTC')).toThrow('already a market')
+  })
+
+  it('gives accounts a wallet of any assets', () => {
+    expect(exchange.getWallet(bob)).toEqual({ ETH: { total: 50, held: 0 }, BTC: { total: 5, held: 0 } })
+    expect(() => exchange.getWallet('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11')).toThrow(UnknownAccountError)
+    expect(() => exchange.addAccount({ gbp: 1 })).toThrow()
+  })
+
+  it('routes orders to the book for their instrument', () => {
+    const { id } = exchange.addOrder(order(bob, 'ETH/BTC', SELL, 2, 10))
+    exchange.addOrder(order(bob, 'ETH/GBP', SELL, 300, 5))
+    expect(exchange.getDepth('ETH/BTC', 10).sell).toEqual([{ price: 2, quantity: 10, orders: 1 }])
+    expect(exchange.getDepth('ETH/GBP', 10).sell).toEqual([{ price: 300, quantity: 5, orders: 1 }])
+    expect(exchange.getDepth('BTC/GBP', 10).sell).toEqual([])
+    expect(exchange.getOrder(id)).toMatchObject({ instrument: 'ETH/BTC', price: 2 })
+    expect(exchange.getOrdersByAccount(bob).map(o => o.instrument)).toEqual(['ETH/GBP', 'ETH/BTC'])
+    expect(exchange.getOrdersByAccount(bob, 'ETH/GBP')).toHaveLength(1)
+  })
+
+  it('refuses orders for instruments it has no market for', () => {
+    expect(() => exchange.addOrder(order(alice, 'LTC/GBP', BUY, 50, 1))).toThrow(UnknownInstrumentError)
+    expect(() => exchange.addOrder(order(alice, undefined, BUY, 50, 1))).toThrow('which instrument')
+  })
+
+  it('trades the two assets of an instrument between wallets', () => {
+    exchange.addOrder(order(bob, 'ETH/BTC', SELL, 2, 3))
+    const { fills } = exchange.addOrder(order(alice, 'ETH/BTC', BUY, 2, 3))
+    expect(fills).toHaveLength(1)
+    expect(fills[0]).toMatchObject({ instrument: 'ETH/BTC', buyer: alice, seller: bob, price: 2, quantity: 3 })
+    expect(exchange.getWallet(alice)).toMatchObject({ GBP: { total: 100000 }, BTC: { total: 4 }, ETH: { total: 3 } })
+    expect(exchange.getWallet(bob)).toMatchObject({ ETH: { total: 47 }, BTC: { total: 11 } })
+  })
+
+  it('holds assets for open orders in every market', () => {
+    exchange.addOrder(order(alice, 'BTC/GBP', SELL, 5000, 8))
+    expect(exchange.getAvailableBalance(alice)).toEqual({ GBP: 100000, BTC: 2 })
+    expect(() => exchange.addOrder(order(alice, 'ETH/BTC', BUY, 1, 3))).toThrow(InsufficientFundsError)
+    exchange.addOrder(order(alice, 'ETH/BTC', BUY, 1, 2))
+    expect(exchange.getWallet(alice).BTC).toEqual({ total: 10, held: 10 })
+  })
+
+  it('takes deposits and withdrawals of any assets', () => {
+    exchange.addOrder(order(bob, 'ETH/GBP', SELL, 300, 40))
+    expect(exchange.deposit(bob, { GBP: 500, ETH: 1 })).toEqual({
+      ETH: { total: 51, held: 40 }, BTC: { total: 5, held: 0 }, GBP: { total: 500, held: 0 }
+    })
+    expect(() => exchange.withdraw(bob, { ETH: 12 })).toThrow(InsufficientFundsError)
+    expect(() => exchange.withdraw(bob, { LTC: 1 })).toThrow(InsufficientFundsError)
+    expect(() => exchange.deposit(bob, { ETH: 0 })).toThrow('must be whole, positive amounts')
+    expect(() => exchange.addAccount({ GBP: 100, ETH: -1 })).toThrow('must open with whole, non-negative amounts')
+    expect(() => exchange.deposit('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11', { ETH: 1 })).toThrow(UnknownAccountError)
+    expect(exchange.withdraw(bob, { ETH: 11, GBP: 500 }).ETH).toEqual({ total: 40, held: 40 })
+  })
+
+  it('reconciles wallets against one ledger for every market', () => {
+    exchange.addOrder(order(bob, 'ETH/BTC', SELL, 2, 3))
+    exchange.addOrder(order(alice, 'ETH/BTC', BUY, 2, 3))
+    exchange.addOrder(order(bob, 'BTC/GBP', SELL, 4000, 1))
+    exchange.addOrder(order(alice, 'BTC/GBP', BUY, 4000, 1))
+    exchange.withdraw(alice, { GBP: 1000 })
+    expect(exchange.getLedger().map(transaction => transaction.type))
+      .toEqual(['DEPOSIT', 'DEPOSIT', 'TRADE', 'TRADE', 'WITHDRAWAL'])
+    expect(exchange.reconcile()).toEqual({
+      totals: {
+        GBP: { held: 99000, deposited: 99000 },
+        BTC: { held: 15, deposited: 15 },
+        ETH: { held: 50, deposited: 50 }
+      },
+      problems: []
+    })
+  })
+
+  it('keeps the status of orders in every market', () => {
+    const { id } = exchange.addOrder(order(bob, 'ETH/BTC', SELL, 2, 3))
+    exchange.addOrder(order(alice, 'ETH/BTC', BUY, 2, 1))
+    const { id: cancelled } = exchange.addOrder(order(bob, 'ETH/GBP', SELL, 300, 5))
+    exchange.cancelOrder(cancelled, bob)
+    expect(exchange.getOrderStatus(id)).toMatchObject({ status: 'PARTIALLY_FILLED', filled: 1, remaining: 2 })
+    expect(exchange.getOrderStatuses(bob).map(status => status.status)).toEqual(['CANCELLED', 'PARTIALLY_FILLED'])
+    expect(exchange.getOrderStatuses(bob, 'ETH/BTC')).toHaveLength(1)
+    expect(() => exchange.getOrderStatus('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11')).toThrow("There isn't an order")
+  })
+
+  it('cancels and amends orders in whichever market they are in', () => {
+    const { id } = exchange.addOrder(order(alice, 'ETH/GBP', BUY, 250, 10))
+    expect(exchange.amendOrder(id, alice, { quantity: 4 }).order).toMatchObject({ id, quantity: 4 })
+    expect(exchange.getWallet(alice).GBP.held).toBe(1000)
+    exchange.cancelOrder(id, alice)
+    expect(exchange.getWallet(alice).GBP.held).toBe(0)
+    expect(() => exchange.cancelOrder(id, alice)).toThrow()
+  })
+
+  it('finds stops waiting to be triggered in any market', () => {
+    const { id } = exchange.addOrder(new Order({
+      account: bob, instrument: 'ETH/BTC', stopPrice: 2, quantity: 3, action: SELL, type: STOP
+    }))
+    expect(exchange.getOrder(id)).toMatchObject({ id, type: STOP })
+    exchange.amendOrder(id, bob, { quantity: 2 })
+    expect(exchange.getWallet(bob).ETH.held).toBe(2)
+    exchange.cancelOrder(id, bob)
+    expect(exchange.getWallet(bob).ETH.held).toBe(0)
+    expect(exchange.getOrdersByAccount(bob)).toEqual([])
+  })
+
+  it('halts and resumes each market on its own', () => {
+    const { id } = exchange.addOrder(order(bob, 'ETH/BTC', SELL, 2, 3))
+    exchange.setMarketState('ETH/BTC', 'HALTED', 'Price feed down')
+    expect(exchange.getMarketState('ETH/BTC')).toEqual({ state: 'HALTED', reason: 'Price feed down' })
+    expect(exchange.getMarketState('BTC/GBP').state).toBe('OPEN')
+    expect(() => exchange.addOrder(order(alice, 'ETH/BTC', BUY, 2, 1))).toThrow(MarketNotOpenError)
+    exchange.addOrder(order(alice, 'BTC/GBP', BUY, 2000, 1))
+    exchange.cancelOrder(id, bob)
+    exchange.setMarketState('ETH/BTC', 'OPEN')
+    exchange.addOrder(order(alice, 'ETH/BTC', BUY, 2, 1))
+    expect(() => exchange.getMarketState('LTC/GBP')).toThrow(UnknownInstrumentError)
+  })
+
+  describe('history', () => {
+    beforeEach(() => {
+      exchange.addOrder(order(bob, 'ETH/GBP', SELL, 300, 1))
+      exchange.addOrder(order(alice, 'ETH/GBP', BUY, 300, 1))
+      now = now.clone().add(1, 'minute')
+      exchange.addOrder(order(bob, 'BTC/GBP', SELL, 5000, 1))
+      exchange.addOrder(order(alice, 'BTC/GBP', BUY, 5000, 1))
+      now = now.clone().add(1, 'minute')
+      exchange.addOrder(order(bob, 'ETH/GBP', SELL, 310, 1))
+      exchange.addOrder(order(alice, 'ETH/GBP', BUY, 310, 1))
+    })
+
+    it('can be for one instrument', () => {
+      expect(exchange.getHistory('ETH/GBP').map(entry => entry.price)).toEqual([300, 310])
+      expect(exchange.queryHistory({ instrument: 'BTC/GBP' })).toMatchObject({ total: 1, entries: [{ price: 5000 }] })
+    })
+
+    it('can be for every instrument, in time order', () => {
+      expect(exchange.getHistory().map(entry => entry.instrument)).toEqual(['ETH/GBP', 'BTC/GBP', 'ETH/GBP'])
+      const { total, entries } = exchange.queryHistory({ from: moment('2017-06-01T10:01:00Z'), limit: 1 })
+      expect(total).toBe(2)
+      expect(entries.map(entry => entry.price)).toEqual([5000])
+    })
+  })
+})
@@ -0,0 +1,37 @@
+import moment from 'moment'
+
+// A fee schedule decides what one side of a trade pays the exchange, in
+// money. It is given the account paying, its role in the trade, the price,
+// quantity and value (price times quantity) of the trade, and a function that
+// gives the value the account has traded over any duration up to now. The
+// maker's order was resting on the book, and the taker's order crossed it.
+export const MAKER = 'MAKER'
+export const TAKER = 'TAKER'
+
+export const noFees = () => {
+  return 0
+}
+
+// A percentage of the value of the trade for each role, rounded up to a whole
+// unit. Percentages are kept as whole basis points so the sums are exact.
+export const percentageFees = ({ maker = 0, taker = 0 }) => {
+  const basisPoints = { [MAKER]: Math.round(maker * 100), [TAKER]: Math.round(taker * 100) }
+  return ({ role, value }) => Math.ceil(value * basisPoints[role] / 10000)
+}
+
+// The same amount for every trade in each role
+export const fixedFees = ({ maker = 0, taker = 0 }) => {
+  return ({ role }) => role === MAKER ? maker : taker
+}
+
+// The schedule of the highest tier whose volume the account has traded in the
+// days before the trade. Tiers are listed from the lowest volume up, as
+// { volume, fees }.
+export const tieredFees = (tiers, { days = 30 } = {}) => {
+  const window = moment.duration(days, 'days')
+  return trade => {
+    const volume = trade.trailingVolume(window)
+    const tier = tiers.filter(tier => volume >= tier.volume).pop()
+    return tier ? tier.fees(trade) : 0
+  }
+}
@@ -0,0 +1,13 @@
+import createServer from './server'
+import Matcher from './matcher'
+import { FileJournal } from './journal'
+
+const port = process.env.PORT || 3001
+
+// the exchange is rebuilt from its journal on start, and carries on adding to it
+const journal = new FileJournal(process.env.JOURNAL || 'exchange.journal')
+const matcher = Matcher.replay(journal, { autoMatch: true })
+
+createServer({ matcher, adminToken: process.env.ADMIN_TOKEN, secret: process.env.SECRET }).server.listen(port, () => {
+  console.log(`Exchange listening on port ${port}`)
+})
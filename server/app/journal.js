@@ -0,0 +1,54 @@
+import fs from 'fs'
+
+// A journal keeps every command that changed a Matcher, along with the fills
+// and discards that came of it, so that Matcher.replay can rebuild it. Each
+// entry appended is a command, with what came of it as its outcomes.
+
+// A journal kept in a local file, one entry per line of JSON
+export class FileJournal {
+  constructor (path) {
+    this.path = path
+  }
+
+  append = entry => {
+    // on disk before the matcher carries on and acknowledges the command
+    const fd = fs.openSync(this.path, 'a')
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n')
+      fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+  };
+
+  read = () => {
+    if (!fs.existsSync(this.path)) {
+      return []
+    }
+    const contents = fs.readFileSync(this.path, 'utf8')
+    const lines = contents.split('\n')
+    // the last line is only complete if it ended in a newline; if not, the
+    // exchange stopped while writing it, before the command was acknowledged.
+    // It is cut off the file so that the next entry starts on a line of its own.
+    const partial = lines.pop()
+    if (partial) {
+      fs.truncateSync(this.path, Buffer.byteLength(contents) - Buffer.byteLength(partial))
+    }
+    return lines.map(line => JSON.parse(line))
+  };
+}
+
+// A journal kept in memory, which stores entries as the file would
+export class MemoryJournal {
+  constructor () {
+    this.entries = []
+  }
+
+  append = entry => {
+    this.entries.push(JSON.parse(JSON.stringify(entry)))
+  };
+
+  read = () => {
+    return this.entries.slice()
+  };
+}
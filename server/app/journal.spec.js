@@ -0,0 +1,47 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+import { FileJournal } from './journal'
+
+describe('FileJournal', () => {
+  let file
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `journal-${process.pid}-${Date.now()}.jsonl`)
+  })
+
+  afterEach(() => {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file)
+    }
+  })
+
+  it('reads nothing before anything is appended', () => {
+    expect(new FileJournal(file).read()).toEqual([])
+  })
+
+  it('reads back what was appended, one entry per line', () => {
+    const journal = new FileJournal(file)
+    journal.append({ type: 'addUser', money: 100, outcomes: [] })
+    journal.append({ type: 'matchAll', outcomes: [{ type: 'fill' }] })
+    expect(fs.readFileSync(file, 'utf8').split('\n')).toHaveLength(3)
+    expect(new FileJournal(file).read()).toEqual([
+      { type: 'addUser', money: 100, outcomes: [] },
+      { type: 'matchAll', outcomes: [{ type: 'fill' }] }
+    ])
+  })
+
+  it('ignores an entry that was only partly written', () => {
+    const journal = new FileJournal(file)
+    journal.append({ type: 'addUser', money: 100, outcomes: [] })
+    fs.appendFileSync(file, '{"type":"addOrd')
+    expect(journal.read()).toEqual([{ type: 'addUser', money: 100, outcomes: [] }])
+    // and leaves the file ready for the next entry
+    journal.append({ type: 'matchAll', outcomes: [] })
+    expect(new FileJournal(file).read()).toEqual([
+      { type: 'addUser', money: 100, outcomes: [] },
+      { type: 'matchAll', outcomes: [] }
+    ])
+  })
+})
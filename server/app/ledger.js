@@ -0,0 +1,102 @@
+import t from 'tcomb'
+
+import { uuid } from './extraTcombTypes'
+
+// Whatever is deposited comes from this account, and whatever is withdrawn
+// goes back to it, so that it is always owed everything the accounts have
+export const EXTERNAL_ACCOUNT = 'ffffffff-ffff-4fff-bfff-ffffffffffff'
+
+export const DEPOSIT = 'DEPOSIT'
+export const WITHDRAWAL = 'WITHDRAWAL'
+export const TRADE = 'TRADE'
+
+export const TransactionType = t.enums.of([DEPOSIT, WITHDRAWAL, TRADE], 'Transaction Type')
+
+// A change to how much of an asset one account has
+export const Posting = t.struct({
+  account: uuid,
+  asset: t.String,
+  amount: t.Integer
+}, 'Posting')
+
+// Postings made together. Whatever one account gains of an asset others lose,
+// so for each asset the postings add up to nothing.
+export const Transaction = t.struct({
+  type: TransactionType,
+  time: t.Any,
+  postings: t.list(Posting)
+}, 'Transaction')
+
+// An append-only, double-entry record of every change to what accounts have,
+// with running totals so that balances can be checked without adding it all up.
+// Transactions are kept as they are posted.
+export default class Ledger {
+  constructor () {
+    this.transactions = []
+    this.totals = {}
+  }
+
+  post = (type, time, postings) => {
+    const transaction = { type: TransactionType(type), time, postings: postings.filter(posting => posting.amount !== 0) }
+    const sums = {}
+    transaction.postings.forEach(({ asset, amount }) => {
+      if (!Number.isInteger(amount)) {
+        throw new Error(`A ${type} transaction can only move whole amounts, not ${amount} ${asset}`)
+      }
+      sums[asset] = (sums[asset] || 0) + amount
+    })
+    const unbalanced = Object.keys(sums).filter(asset => sums[asset] !== 0)
+    if (unbalanced.length) {
+      throw new Error(`A ${type} transaction must balance, but doesn't for ${unbalanced.join(', ')}`)
+    }
+    this.transactions.push(transaction)
+    transaction.postings.forEach(({ account, asset, amount }) => {
+      const totals = this.totals[account] || (this.totals[account] = {})
+      totals[asset] = (totals[asset] || 0) + amount
+    })
+  };
+
+  getTransactions = () => {
+    return this.transactions.map(transaction => new Transaction(transaction))
+  };
+
+  balanceOf = (account, asset) => {
+    const totals = this.totals[account]
+    return (totals && totals[asset]) || 0
+  };
+
+  reconcile = (holdings, assets) => {
+    // Checks what accounts have, as { account: { asset: amount } }, against
+    // the ledger: each account must have what its postings add up to, and
+    // between them they must have what was deposited less what was withdrawn,
+    // so that nothing was made or lost along the way. Only the assets given
+    // are checked, or all of them if none are.
+    if (!assets) {
+      const seen = new Set()
+      Object.keys(holdings).forEach(account => Object.keys(holdings[account]).forEach(asset => seen.add(asset)))
+      Object.keys(this.totals).forEach(account => Object.keys(this.totals[account]).forEach(asset => seen.add(asset)))
+      assets = Array.from(seen)
+    }
+    const accounts = new Set(Object.keys(holdings).concat(Object.keys(this.totals)))
+    accounts.delete(EXTERNAL_ACCOUNT)
+    const problems = []
+    const totals = {}
+    assets.forEach(asset => {
+      let held = 0
+      accounts.forEach(account => {
+        const has = (holdings[account] && holdings[account][asset]) || 0
+        const posted = this.balanceOf(account, asset)
+        if (has !== posted) {
+          problems.push(`Account ${account} has ${has} ${asset}, but its ledger entries add up to ${posted}`)
+        }
+        held += has
+      })
+      const deposited = -this.balanceOf(EXTERNAL_ACCOUNT, asset)
+      if (held !== deposited) {
+        problems.push(`Accounts have ${held} ${asset} between them, but ${deposited} was deposited less withdrawals`)
+      }
+      totals[asset] = { held, deposited }
+    })
+    return { totals, problems }
+  };
+}
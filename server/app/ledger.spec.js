@@ -0,0 +1,85 @@
+import moment from 'moment'
+import uuidv4 from 'uuid/v4'
+
+import Ledger, { EXTERNAL_ACCOUNT, DEPOSIT, WITHDRAWAL, TRADE } from './ledger'
+
+describe('Ledger', () => {
+  let ledger, alice, bob, time
+
+  const deposit = (account, asset, amount) => {
+    ledger.post(DEPOSIT, time, [
+      { account: EXTERNAL_ACCOUNT, asset, amount: -amount },
+      { account, asset, amount }
+    ])
+  }
+
+  beforeEach(() => {
+    ledger = new Ledger()
+    alice = uuidv4()
+    bob = uuidv4()
+    time = moment('2017-06-01T10:00:00Z')
+  })
+
+  it('keeps a running balance for each account and asset', () => {
+    deposit(alice, 'GBP', 1000)
+    deposit(bob, 'BTC', 3)
+    ledger.post(TRADE, time, [
+      { account: alice, asset: 'GBP', amount: -500 },
+      { account: bob, asset: 'GBP', amount: 500 },
+      { account: alice, asset: 'BTC', amount: 1 },
+      { account: bob, asset: 'BTC', amount: -1 }
+    ])
+    expect(ledger.balanceOf(alice, 'GBP')).toBe(500)
+    expect(ledger.balanceOf(alice, 'BTC')).toBe(1)
+    expect(ledger.balanceOf(bob, 'GBP')).toBe(500)
+    expect(ledger.balanceOf(bob, 'BTC')).toBe(2)
+    expect(ledger.balanceOf(EXTERNAL_ACCOUNT, 'GBP')).toBe(-1000)
+    expect(ledger.balanceOf(uuidv4(), 'GBP')).toBe(0)
+    expect(ledger.getTransactions().map(transaction => transaction.type)).toEqual([DEPOSIT, DEPOSIT, TRADE])
+  })
+
+  it('leaves out postings of nothing', () => {
+    ledger.post(DEPOSIT, time, [
+      { account: EXTERNAL_ACCOUNT, asset: 'GBP', amount: 0 },
+      { account: alice, asset: 'GBP', amount: 0 }
+    ])
+    expect(ledger.getTransactions()[0].postings).toEqual([])
+  })
+
+  it('refuses transactions that do not balance', () => {
+    expect(() => ledger.post(WITHDRAWAL, time, [
+      { account: alice, asset: 'GBP', amount: -100 },
+      { account: EXTERNAL_ACCOUNT, asset: 'GBP', amount: 90 }
+    ])).toThrow("A WITHDRAWAL transaction must balance, but doesn't for GBP")
+    expect(() => ledger.post(DEPOSIT, time, [
+      { account: EXTERNAL_ACCOUNT, asset: 'GBP', amount: -0.5 },
+      { account: alice, asset: 'GBP', amount: 0.5 }
+    ])).toThrow('can only move whole amounts')
+    expect(ledger.getTransactions()).toEqual([])
+    expect(ledger.balanceOf(alice, 'GBP')).toBe(0)
+  })
+
+  it('reconciles what accounts have against their postings', () => {
+    deposit(alice, 'GBP', 1000)
+    deposit(bob, 'GBP', 200)
+    expect(ledger.reconcile({ [alice]: { GBP: 1000 }, [bob]: { GBP: 200 } })).toEqual({
+      totals: { GBP: { held: 1200, deposited: 1200 } },
+      problems: []
+    })
+
+    const { totals, problems } = ledger.reconcile({ [alice]: { GBP: 1100 }, [bob]: { GBP: 200 } })
+    expect(totals).toEqual({ GBP: { held: 1300, deposited: 1200 } })
+    expect(problems).toEqual([
+      `Account ${alice} has 1100 GBP, but its ledger entries add up to 1000`,
+      'Accounts have 1300 GBP between them, but 1200 was deposited less withdrawals'
+    ])
+  })
+
+  it('reconciles accounts the ledger has never heard of', () => {
+    const { problems } = ledger.reconcile({ [alice]: { GBP: 5 } }, ['GBP', 'BTC'])
+    expect(problems).toEqual([
+      `Account ${alice} has 5 GBP, but its ledger entries add up to 0`,
+      'Accounts have 5 GBP between them, but 0 was deposited less withdrawals'
+    ])
+  })
+})
@@ -1,227 +1,1610 @@
+import { EventEmitter } from 'events'
 import moment from 'moment'
 import t from 'tcomb'
+import { validate } from 'tcomb-validation'
 import uuidv4 from 'uuid/v4'
 
+import {
+  InsufficientFundsError, InvalidOrderError, InvalidSnapshotError, InvalidTransferError, MarketNotOpenError,
+  MarketStateError, NotAllowedError, TradingRuleError, UnknownAccountError, UnknownOrderError
+} from './errors'
 import { uuid } from './extraTcombTypes'
-import { Order, BUY, SELL } from './order'
+import {
+  Order, Action, Instrument, BUY, SELL, LIMIT, MARKET, STOP, GTC, FOK, assetsOf,
+  arrivedBefore, isStop, triggeredBy, isIceberg, visibleQuantityOf
+} from './order'
+import OrderBook from './orderBook'
+import { restingOrderPrice } from './pricePolicies'
+import { noFees, MAKER, TAKER } from './fees'
+import { cancelNewest } from './selfTradePolicies'
+import { noRules, INVALID_QUANTITY, INVALID_PRICE } from './tradingRules'
+import { noCircuitBreaker } from './circuitBreakers'
+import Candles, { INTERVALS, summarise } from './candles'
+import Ledger, { Transaction, EXTERNAL_ACCOUNT, DEPOSIT, WITHDRAWAL, TRADE } from './ledger'
 
-const Balance = t.struct(
-  { money: t.Integer, stock: t.Integer },
-  'Account Balance'
+// money and stock are everything an account owns, the held amounts are the
+// parts of those set aside for its open orders
+export const Balance = t.struct(
+  { money: t.Integer, stock: t.Integer, moneyHeld: t.Integer, stockHeld: t.Integer },
+  { name: 'Account Balance', defaultProps: { moneyHeld: 0, stockHeld: 0 } }
 )
-const Balances = t.dict(uuid, Balance, 'Account Balances')
+export const Balances = t.dict(uuid, Balance, 'Account Balances')
 
-const HistoryEntry = t.struct({
+export const HistoryEntry = t.struct({
+  instrument: t.maybe(Instrument),
   buyer: uuid,
   seller: uuid,
-  buyPrice: t.Integer,
-  sellPrice: t.Integer,
+  price: t.Integer,
   quantity: t.Integer,
+  aggressor: Action,
+  overhead: t.Integer,
+  buyerFee: t.Integer,
+  sellerFee: t.Integer,
   time: t.Any
 })
 
-const History = t.list(HistoryEntry)
+export const History = t.list(HistoryEntry)
 
-export default class Matcher {
+// What came of a command, in the order it happened. Outcomes are journaled
+// along with the command, and once it is done each is emitted as an event
+// named for its type, and as an 'outcome' event.
+export const FILL = 'fill'
+export const DISCARD = 'discard'
+export const TRIGGER = 'trigger'
+export const SELF_TRADE = 'selfTrade'
+export const REJECT = 'reject'
+export const MARKET_STATE = 'marketState'
+
+// Why an order left the book, or never went on it, without being filled
+export const UNAFFORDABLE = 'UNAFFORDABLE'
+export const NOT_FILLED_IMMEDIATELY = 'NOT_FILLED_IMMEDIATELY'
+export const NOT_FILLED_COMPLETELY = 'NOT_FILLED_COMPLETELY'
+export const SELF_TRADE_PREVENTED = 'SELF_TRADE_PREVENTED'
+export const CANCELLED = 'CANCELLED'
+export const MARKET_HALTED = 'MARKET_HALTED'
+
+export const RemovalReason = t.enums.of(
+  [UNAFFORDABLE, NOT_FILLED_IMMEDIATELY, NOT_FILLED_COMPLETELY, SELF_TRADE_PREVENTED, CANCELLED, MARKET_HALTED],
+  'Removal Reason'
+)
+
+// A trade, and how much each side had left once it was made
+export const Fill = t.struct({
+  type: t.enums.of([FILL]),
+  entry: HistoryEntry,
+  buyOrder: uuid,
+  sellOrder: uuid,
+  buyRemaining: t.Integer,
+  sellRemaining: t.Integer
+}, { name: 'Fill', defaultProps: { type: FILL } })
+
+export const OrderRemoved = t.struct({
+  type: t.enums.of([DISCARD]),
+  order: Order,
+  reason: RemovalReason
+}, { name: 'Order Removed', defaultProps: { type: DISCARD } })
+
+export const StopTriggered = t.struct({
+  type: t.enums.of([TRIGGER]),
+  order: Order
+}, { name: 'Stop Triggered', defaultProps: { type: TRIGGER } })
+
+export const SelfTradePrevented = t.struct({
+  type: t.enums.of([SELF_TRADE]),
+  newest: Order,
+  oldest: Order,
+  cuts: t.struct({ newest: t.Integer, oldest: t.Integer }, 'Self-Trade Cuts')
+}, { name: 'Self-Trade Prevented', defaultProps: { type: SELF_TRADE } })
+
+// Where an order has got to. Statuses are kept once orders leave the book, so
+// that their owners can find out what became of them. An order removed by
+// anyone but its owner is rejected, for the reason it was removed.
+export const OPEN = 'OPEN'
+export const PARTIALLY_FILLED = 'PARTIALLY_FILLED'
+export const FILLED = 'FILLED'
+export const REJECTED = 'REJECTED'
+
+export const OrderState = t.enums.of([OPEN, PARTIALLY_FILLED, FILLED, CANCELLED, REJECTED], 'Order State')
+
+// The order as it was placed, or last amended, how much of it has been
+// filled and how much is left (or was when it was removed), and when its
+// status last changed
+export const OrderStatus = t.struct({
+  order: Order,
+  status: OrderState,
+  filled: t.Integer,
+  remaining: t.Integer,
+  reason: t.maybe(RemovalReason),
+  time: t.Any
+}, 'Order Status')
+
+// An order refused before anything was done with it. Commands that fail
+// aren't journaled, so this is only ever emitted.
+export const OrderRejected = t.struct({
+  type: t.enums.of([REJECT]),
+  order: Order,
+  error: t.String,
+  reason: t.String
+}, { name: 'Order Rejected', defaultProps: { type: REJECT } })
+
+// Whether, and how, the market is trading. Orders only match while it is
+// open. While it is halted or closed orders can be cancelled but nothing else;
+// in an auction good 'til cancelled orders can be placed, and rest without
+// matching until the market opens again. Halts and closes say why.
+export const HALTED = 'HALTED'
+export const CLOSED = 'CLOSED'
+export const AUCTION = 'AUCTION'
+
+export const MarketState = t.enums.of([OPEN, HALTED, CLOSED, AUCTION], 'Market State')
+
+export const MarketStatus = t.struct({
+  state: MarketState,
+  reason: t.maybe(t.String)
+}, 'Market Status')
+
+export const MarketStateChanged = t.struct({
+  type: t.enums.of([MARKET_STATE]),
+  state: MarketState,
+  reason: t.maybe(t.String)
+}, { name: 'Market State Changed', defaultProps: { type: MARKET_STATE } })
+
+// The account fees are paid into, unless a matcher is given another. It is
+// the same every time so that journals replay to the same state.
+export const FEE_ACCOUNT = '00000000-0000-4000-8000-000000000000'
+
+// Snapshots are plain JSON, with times as ISO 8601 strings. The version goes up
+// whenever the layout changes, and only the current version can be loaded.
+export const SNAPSHOT_VERSION = 6
+
+const SnapshotLayout = t.struct({
+  version: t.Integer,
+  sequence: t.Integer,
+  overheadMade: t.Integer,
+  users: t.Object,
+  orders: t.Array,
+  stops: t.Array,
+  history: t.Array,
+  ledger: t.Array,
+  statuses: t.Array,
+  market: t.Object
+}, { name: 'Snapshot', strict: true })
+
+// Whether an incoming order is willing to trade with a resting order
+const crosses = (order, resting) => {
+  if (order.type === MARKET) {
+    return true
+  }
+  return order.action === BUY
+    ? order.price >= resting.price
+    : order.price <= resting.price
+}
+
+// The money or stock an order needs set aside so that it can always be filled.
+// Market buys have no price to go by, so spend whatever is available as they
+// trade instead. Stops hold what they will need once they are triggered.
+const holdFor = order => {
+  if (order.action === SELL) {
+    return { money: 0, stock: order.quantity }
+  }
+  if (order.type === MARKET || order.type === STOP) {
+    return { money: 0, stock: 0 }
+  }
+  return { money: order.price * order.quantity, stock: 0 }
+}
+
+const withQuantity = (order, quantity) => {
+  return Order.update(order, { quantity: { $set: quantity } })
+}
+
+// The largest quantity up to most that can be afforded, or 0 if none can. The
+// cost of a trade only goes up with its quantity, so once one quantity can't
+// be afforded no larger one can either.
+const largestAffordable = (most, affordable) => {
+  let low = 0
+  let high = most
+  while (low < high) {
+    const middle = (low + high + 1) >> 1
+    if (affordable(middle)) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return low
+}
+
+// An iceberg order showing as much as it can of what it has left
+const withNewSlice = order => {
+  return Order.update(order, { visibleQuantity: { $set: Math.min(order.displayQuantity, order.quantity) } })
+}
+
+// An order as anyone may see it on the book, without what an iceberg hides
+const shown = order => {
+  if (!order || !isIceberg(order)) {
+    return order
+  }
+  return Order.update(order, {
+    quantity: { $set: order.visibleQuantity },
+    displayQuantity: { $set: null },
+    visibleQuantity: { $set: null }
+  })
+}
+
+// The order a stop becomes once it is triggered
+const triggered = order => {
+  return Order.update(order, {
+    type: { $set: order.type === STOP ? MARKET : LIMIT },
+    stopPrice: { $set: null }
+  })
+}
+
+// What's left of an order once some of it has been filled, if anything
+const remainderOf = (order, filled) => {
+  if (filled >= order.quantity) {
+    return null
+  }
+  return Order.update(order, { quantity: { $set: order.quantity - filled } })
+}
+
+// The names a matcher gives money and stock in the ledger, unless it trades
+// an instrument, when they are the names of its assets
+const MONEY = 'money'
+const STOCK = 'stock'
+
+// Accounts' balances as the ledger sees them, by asset
+const holdingsOf = (balances, money, stock) => {
+  const holdings = {}
+  Object.keys(balances).forEach(account => {
+    holdings[account] = { [money]: balances[account].money, [stock]: balances[account].stock }
+  })
+  return holdings
+}
+
+// Deposits and withdrawals are of whole, positive amounts of either or both
+const checkTransfer = ({ money = 0, stock = 0 }) => {
+  if (!t.Integer.is(money) || !t.Integer.is(stock) || money < 0 || stock < 0 || money + stock === 0) {
+    throw new InvalidTransferError('Deposits and withdrawals must be whole, positive amounts of money or stock')
+  }
+  return { money, stock }
+}
+
+// New accounts open with whole amounts of money and stock, which may be none
+const checkOpening = (money, stock) => {
+  if (!t.Integer.is(money) || !t.Integer.is(stock) || money < 0 || stock < 0) {
+    throw new InvalidTransferError('New accounts must open with whole, non-negative amounts of money and stock')
+  }
+  return { money, stock }
+}
+
+// Checks a snapshot and turns it back into the matcher's own types, or throws
+// an InvalidSnapshotError listing everything that is wrong with it. The types
+// are checked first, then that the parts agree with each other.
+const readSnapshot = snapshot => {
+  const problems = []
+  const check = (value, type, path) => {
+    validate(value, type, { path, strict: true }).errors.forEach(error => problems.push(error.message))
+  }
+  const giveUpIfWrong = () => {
+    if (problems.length) {
+      throw new InvalidSnapshotError(`Invalid snapshot: ${problems.join('; ')}`, { problems })
+    }
+  }
+
+  check(snapshot, SnapshotLayout, [])
+  giveUpIfWrong()
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    problems.push(`Version ${snapshot.version} snapshots can't be loaded, only version ${SNAPSHOT_VERSION}`)
+    giveUpIfWrong()
+  }
+
+  const withTime = (value, path) => {
+    if (!t.Object.is(value)) {
+      // the type check will say what is wrong with it
+      return value
+    }
+    const time = moment(value.time, moment.ISO_8601, true)
+    if (!t.String.is(value.time) || !time.isValid()) {
+      problems.push(`Invalid value ${JSON.stringify(value.time)} supplied to /${path.join('/')}/time: ISO 8601 Time`)
+    }
+    return { ...value, time }
+  }
+  const orders = snapshot.orders.map((order, i) => withTime(order, ['orders', i]))
+  const stops = snapshot.stops.map((order, i) => withTime(order, ['stops', i]))
+  const history = snapshot.history.map((entry, i) => withTime(entry, ['history', i]))
+  const transactions = snapshot.ledger.map((transaction, i) => withTime(transaction, ['ledger', i]))
+  const statuses = snapshot.statuses.map((status, i) => t.Object.is(status)
+    ? withTime({ ...status, order: withTime(status.order, ['statuses', i, 'order']) }, ['statuses', i])
+    : status)
+  check(snapshot.users, Balances, ['users'])
+  check(orders, t.list(Order), ['orders'])
+  check(stops, t.list(Order), ['stops'])
+  check(history, History, ['history'])
+  check(transactions, t.list(Transaction), ['ledger'])
+  check(statuses, t.list(OrderStatus), ['statuses'])
+  check(snapshot.market, MarketStatus, ['market'])
+  giveUpIfWrong()
+
+  const held = {}
+  Object.keys(snapshot.users).forEach(account => {
+    held[account] = { money: 0, stock: 0 }
+  })
+  const ids = new Set()
+  const sequences = new Set()
+  const checkPlaced = (name, order) => {
+    if (!order.id || order.sequence == null) {
+      problems.push(`${name} has no id or sequence number, so it was never placed`)
+    }
+    if (ids.has(order.id) || sequences.has(order.sequence)) {
+      problems.push(`${name} has the same id or sequence number as another order`)
+    }
+    ids.add(order.id)
+    sequences.add(order.sequence)
+    if (order.sequence > snapshot.sequence) {
+      problems.push(`${name} has a sequence number after the snapshot's ${snapshot.sequence}`)
+    }
+    if (!held[order.account]) {
+      problems.push(`${name} belongs to account ${order.account}, which isn't in the snapshot`)
+      return
+    }
+    const hold = holdFor(order)
+    held[order.account].money += hold.money
+    held[order.account].stock += hold.stock
+  }
+  orders.forEach((order, i) => {
+    const name = `Order ${i} (${order.id})`
+    checkPlaced(name, order)
+    if (order.type !== LIMIT || order.timeInForce !== GTC || order.price == null || order.quantity <= 0) {
+      problems.push(`${name} isn't a good 'til cancelled limit order for a positive quantity, so can't rest on the book`)
+    }
+    if (isIceberg(order) && !(order.visibleQuantity > 0 && order.visibleQuantity <= Math.min(order.displayQuantity, order.quantity))) {
+      problems.push(`${name} shows ${order.visibleQuantity}, which isn't part of its display quantity of ${order.displayQuantity}`)
+    }
+  })
+  stops.forEach((order, i) => {
+    const name = `Stop ${i} (${order.id})`
+    checkPlaced(name, order)
+    if (!isStop(order) || order.stopPrice == null || order.quantity <= 0) {
+      problems.push(`${name} isn't a stop order for a positive quantity, so can't wait to be triggered`)
+    }
+  })
+  Object.keys(snapshot.users).forEach(account => {
+    const { money, stock, moneyHeld, stockHeld } = snapshot.users[account]
+    if (moneyHeld !== held[account].money || stockHeld !== held[account].stock) {
+      problems.push(
+        `Account ${account} holds ${moneyHeld} money and ${stockHeld} stock, ` +
+        `but its orders need ${held[account].money} money and ${held[account].stock} stock`
+      )
+    }
+    if (moneyHeld > money || stockHeld > stock) {
+      problems.push(`Account ${account} holds more than it has`)
+    }
+  })
+  history.forEach((entry, i) => {
+    [entry.buyer, entry.seller].filter(account => !held[account]).forEach(account => {
+      problems.push(`Trade ${i} involves account ${account}, which isn't in the snapshot`)
+    })
+    if (i > 0 && entry.time.isBefore(history[i - 1].time)) {
+      problems.push(`Trade ${i} is earlier than the trade before it`)
+    }
+  })
+  const overhead = history.reduce((total, entry) => total + entry.overhead, 0)
+  if (overhead !== snapshot.overheadMade) {
+    problems.push(`The overhead made is ${snapshot.overheadMade}, but the trades add up to ${overhead}`)
+  }
+  giveUpIfWrong()
+
+  // only once the rest is consistent is it worth checking the statuses of
+  // orders, and balances against the ledger
+  const live = new Set()
+  statuses.forEach(({ order, status }, i) => {
+    if (!held[order.account]) {
+      problems.push(`Status ${i} (${order.id}) is of an order for account ${order.account}, which isn't in the snapshot`)
+    }
+    if (status === OPEN || status === PARTIALLY_FILLED) {
+      live.add(order.id)
+    }
+  })
+  orders.concat(stops).filter(order => !live.delete(order.id)).forEach(order => {
+    problems.push(`Order ${order.id} is waiting to be filled, but its status doesn't say so`)
+  })
+  live.forEach(id => {
+    problems.push(`Order ${id} isn't waiting to be filled, but its status says it is`)
+  })
+  const ledger = new Ledger()
+  transactions.forEach(({ type, time, postings }, i) => {
+    try {
+      ledger.post(type, time, postings)
+    } catch (e) {
+      problems.push(`Ledger transaction ${i}: ${e.message}`)
+    }
+  })
+  problems.push(...ledger.reconcile(holdingsOf(snapshot.users, MONEY, STOCK), [MONEY, STOCK]).problems)
+  giveUpIfWrong()
+
+  const users = {}
+  Object.keys(snapshot.users).forEach(account => {
+    users[account] = new Balance(snapshot.users[account])
+  })
+  return {
+    users,
+    orders: orders.map(order => new Order(order)),
+    stops: stops.map(order => new Order(order)),
+    history: history.map(entry => new HistoryEntry(entry)),
+    ledger,
+    statuses: statuses.map(status => ({ ...status, order: new Order(status.order) })),
+    market: new MarketStatus(snapshot.market)
+  }
+}
+
+// Where a matcher keeps each account's Balance. Balances are replaced as they
+// change rather than copying every account's balance each time, which slowed
+// down every trade. An Exchange gives its matchers views of its wallets instead.
+export class BalanceBook {
   constructor () {
-    this.buyOrders = []
-    this.sellOrders = []
+    this.balances = {}
+  }
+
+  get = account => {
+    return this.balances[account]
+  };
+
+  set = (account, balance) => {
+    this.balances[account] = balance
+  };
+
+  all = () => {
+    return { ...this.balances }
+  };
+}
+
+export default class Matcher extends EventEmitter {
+  constructor ({
+    autoMatch = false,
+    pricePolicy = restingOrderPrice,
+    feeSchedule = noFees,
+    feeAccount = FEE_ACCOUNT,
+    selfTradePolicy = cancelNewest,
+    tradingRules = noRules,
+    circuitBreaker = noCircuitBreaker,
+    candleIntervals = Object.keys(INTERVALS),
+    ledger = new Ledger(),
+    clock = () => moment(),
+    journal = null,
+    instrument,
+    balances = new BalanceBook()
+  } = {}) {
+    super()
+    // in auto-match mode every order placed is matched straight away instead
+    // of waiting for processOrder or matchAll to be called
+    this.autoMatch = autoMatch
+    this.pricePolicy = pricePolicy
+    this.feeSchedule = feeSchedule
+    this.feeAccount = feeAccount
+    this.selfTradePolicy = selfTradePolicy
+    // checked as orders are placed or amended, not as they are matched
+    this.tradingRules = tradingRules
+    // checked after every trade made while the market is open, and halts it
+    // if the trade moved the price too far
+    this.circuitBreaker = circuitBreaker
+    this.marketState = OPEN
+    this.marketStateReason = null
+    // the time everything happens at comes from the clock, once per command
+    this.clock = clock
+    // if given, every command that changes the matcher is appended to the
+    // journal so that it can be rebuilt with Matcher.replay
+    this.journal = journal
+    // the instrument traded, if the matcher is one of an Exchange's markets
+    this.instrument = instrument
+    // every change to what accounts have is posted to the ledger, which an
+    // Exchange's markets share, as the assets money and stock are
+    this.ledger = ledger
+    const { quote, base } = instrument ? assetsOf(instrument) : { quote: MONEY, base: STOCK }
+    this.moneyAsset = quote
+    this.stockAsset = base
+    this.current = null
+    // orders are numbered as they are stamped, to tell apart the order of
+    // those placed at the same time
+    this.sequence = 0
+    this.commands = {
+      addUser: this.applyAddUser,
+      deposit: this.applyDeposit,
+      withdraw: this.applyWithdraw,
+      addOrder: this.applyAddOrder,
+      cancelOrder: this.applyCancelOrder,
+      amendOrder: this.applyAmendOrder,
+      processOrder: this.applyProcessOrder,
+      matchAll: this.applyMatchAll,
+      setMarketState: this.applySetMarketState
+    }
+    this.buyOrders = new OrderBook(BUY)
+    this.sellOrders = new OrderBook(SELL)
+    // stops wait off the book, by id in the order they were placed, until a
+    // trade sets them off. Trades before tradesChecked have been looked at.
+    this.stopOrders = new Map()
+    this.tradesChecked = 0
     this.overheadMade = 0
-    this.users = new Balances({})
-    this.history = new History([])
+    this.balances = balances
+    // Matching slows down if what every trade changes is copied or rebuilt
+    // each time, so the history is appended to in place, and candles, the
+    // ledger's transactions and order statuses are kept as plain records and
+    // only made into their types when asked for.
+    this.history = []
+    // kept up to date as trades happen, rather than worked out from history
+    this.candles = new Candles(candleIntervals)
+    // the status of every order ever placed, by id in the order they were
+    // placed, and the ids of each account's orders
+    this.statuses = new Map()
+    this.statusesByAccount = {}
+  }
+
+  static replay (journal, options = {}) {
+    // Rebuilds a matcher from its journal by carrying out each command again
+    // at the time it was first carried out, with the ids it was given then.
+    // Matching is deterministic, so each command must come to the same fills
+    // and discards as before; if it doesn't, the journal was written by a
+    // matcher that behaves differently (another price policy, say) and what
+    // it rebuilt can't be trusted. The matcher carries on writing to the
+    // journal it was rebuilt from.
+    const matcher = new Matcher({ ...options, journal })
+    journal.read().forEach(({ outcomes, ...command }) => {
+      const { entry } = matcher.perform(command)
+      if (JSON.stringify(entry.outcomes) !== JSON.stringify(outcomes)) {
+        throw new Error(`Replaying ${command.type} at ${command.time} did not come to the same fills and discards`)
+      }
+    })
+    return matcher
   }
 
+  static fromSnapshot (snapshot, options = {}) {
+    // A new matcher holding everything in the snapshot. Journals record
+    // everything since a matcher was created, so a matcher loaded from a
+    // snapshot needs a journal of its own.
+    const { users, orders, stops, history, ledger, statuses, market } = readSnapshot(snapshot)
+    const matcher = new Matcher({ ...options, ledger })
+    Object.keys(users).forEach(account => matcher.balances.set(account, users[account]))
+    // orders keep their place in the queue from their times and sequence
+    orders.forEach(order => matcher.getBook(order.action).add(order))
+    stops.forEach(order => matcher.stopOrders.set(order.id, order))
+    statuses.forEach(matcher.keepStatus)
+    matcher.history = history
+    history.forEach(matcher.candles.add)
+    matcher.tradesChecked = history.length
+    matcher.overheadMade = snapshot.overheadMade
+    matcher.sequence = snapshot.sequence
+    matcher.marketState = market.state
+    matcher.marketStateReason = market.reason
+    return matcher
+  }
+
+  toSnapshot = () => {
+    // round tripped through JSON so that it is plain data, ready to be saved
+    return JSON.parse(JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      sequence: this.sequence,
+      overheadMade: this.overheadMade,
+      users: this.balances.all(),
+      orders: this.buyOrders.bestN(Infinity).concat(this.sellOrders.bestN(Infinity)),
+      stops: Array.from(this.stopOrders.values()),
+      history: this.history,
+      ledger: this.ledger.getTransactions(),
+      statuses: Array.from(this.statuses.values()),
+      market: this.getMarketState()
+    }))
+  };
+
+  execute = command => {
+    // carries out a command, journaling it along with what came of it
+    const { entry, result } = this.perform(command)
+    if (this.journal) {
+      this.journal.append(entry)
+    }
+    entry.outcomes.forEach(this.announce)
+    return result
+  };
+
+  perform = command => {
+    // Everything a command does happens at the one time, and whatever ids it
+    // needs are made up before it is carried out, so that carrying it out
+    // again from the journal does exactly the same. Commands that fail change
+    // nothing, and aren't journaled.
+    const apply = this.commands[command.type]
+    if (!apply) {
+      throw new Error(`Unknown command ${command.type}`)
+    }
+    this.current = { ...command, time: command.time ? moment(command.time) : this.clock(), outcomes: [] }
+    try {
+      const result = apply(this.current)
+      return { entry: this.current, result }
+    } finally {
+      this.current = null
+    }
+  };
+
+  now = () => {
+    return this.current ? this.current.time : this.clock()
+  };
+
+  announce = outcome => {
+    this.emit(outcome.type, outcome)
+    this.emit('outcome', outcome)
+  };
+
+  recordOutcome = outcome => {
+    this.updateStatuses(outcome)
+    if (this.current) {
+      this.current.outcomes.push(outcome)
+    }
+  };
+
+  keepStatus = status => {
+    const { order } = status
+    this.statuses.set(order.id, status)
+    const ids = this.statusesByAccount[order.account] || (this.statusesByAccount[order.account] = [])
+    ids.push(order.id)
+  };
+
+  updateStatus = (id, changes) => {
+    // orders put straight on the book, rather than placed, have no status
+    const status = this.statuses.get(id)
+    if (status) {
+      Object.assign(status, changes, { time: this.now() })
+    }
+    return status
+  };
+
+  updateStatuses = outcome => {
+    if (outcome.type === FILL) {
+      const { entry, buyOrder, sellOrder, buyRemaining, sellRemaining } = outcome
+      ;[[buyOrder, buyRemaining], [sellOrder, sellRemaining]].forEach(([id, remaining]) => {
+        const status = this.updateStatus(id, { remaining, status: remaining ? PARTIALLY_FILLED : FILLED })
+        if (status) {
+          status.filled += entry.quantity
+        }
+      })
+    } else if (outcome.type === SELF_TRADE) {
+      // what is cut off an order without cancelling it is gone for good
+      const { newest, oldest, cuts } = outcome
+      ;[[newest, cuts.newest], [oldest, cuts.oldest]].forEach(([order, cut]) => {
+        this.updateStatus(order.id, { remaining: Math.max(order.quantity - cut, 0) })
+      })
+    } else if (outcome.type === DISCARD) {
+      const { order, reason } = outcome
+      this.updateStatus(order.id, {
+        status: reason === CANCELLED ? CANCELLED : REJECTED,
+        remaining: order.quantity,
+        reason: reason === CANCELLED ? null : reason
+      })
+    }
+  };
+
+  getOrderStatus = id => {
+    const status = this.statuses.get(id)
+    if (!status) {
+      throw new UnknownOrderError(`There isn't an order with id ${id}`, { id })
+    }
+    return new OrderStatus(status)
+  };
+
+  getOrderStatuses = account => {
+    // every order an account has placed, oldest first, whatever became of it
+    this.getUser(account)
+    return (this.statusesByAccount[account] || []).map(this.getOrderStatus)
+  };
+
   getHistory = () => {
-    return this.history
+    return History(this.history.slice())
   }
 
+  queryHistory = ({ from, to, offset = 0, limit = Infinity } = {}) => {
+    // trades from (inclusive) and to (exclusive) the given times, a page at
+    // a time, along with how many trades there are in the range in total
+    const start = from ? this.countTradesBefore(from) : 0
+    const end = to ? this.countTradesBefore(to) : this.history.length
+    const entries = this.history.slice(start + offset, Math.min(start + offset + limit, end))
+    return { total: Math.max(end - start, 0), entries: History(entries) }
+  };
+
+  countTradesBefore = time => {
+    // history is in time order, so this can be a binary search
+    time = moment(time)
+    let low = 0
+    let high = this.history.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (this.history[middle].time.isBefore(time)) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+    return low
+  };
+
+  getCandles = (interval, query) => {
+    return this.candles.get(interval, query)
+  };
+
+  getDailyStats = () => {
+    // trading over the last day, up to now
+    const since = this.now().clone().subtract(1, 'day')
+    return summarise(this.history.slice(this.countTradesBefore(since)), this.getLastPrice())
+  };
+
   getOverheadMade = () => {
     return this.overheadMade
   };
 
+  getMarketState = () => {
+    return new MarketStatus({ state: this.marketState, reason: this.marketStateReason })
+  };
+
+  isTrading = () => {
+    return this.marketState === OPEN
+  };
+
+  halt = reason => {
+    return this.setMarketState(HALTED, reason)
+  };
+
+  resume = () => {
+    return this.setMarketState(OPEN)
+  };
+
+  setMarketState = (state, reason = null) => {
+    return this.execute({ type: 'setMarketState', state, reason })
+  };
+
+  applySetMarketState = ({ state, reason }) => {
+    MarketState(state)
+    if (state === this.marketState) {
+      throw new MarketStateError(`The market is already ${state.toLowerCase()}`)
+    }
+    this.changeMarketState(state, reason)
+    // in auto-match mode, whatever was left crossing the book while the
+    // market was shut, or was placed during an auction, is matched as it
+    // opens, and stops set off by trades made before it shut are triggered
+    const matched = state === OPEN && this.autoMatch ? this.matchBook() : { fills: [], discarded: [], selfTrades: [] }
+    return { ...this.getMarketState(), ...this.withStops(matched), outcomes: this.current.outcomes.slice() }
+  };
+
+  changeMarketState = (state, reason = null) => {
+    this.marketState = state
+    this.marketStateReason = reason
+    this.recordOutcome(new MarketStateChanged({ state, reason }))
+  };
+
+  checkMarketOpenFor = order => {
+    // throws if the order can't be placed, or amended, in the market's state
+    const { state, reason } = this.getMarketState()
+    if (state === HALTED || state === CLOSED) {
+      throw new MarketNotOpenError(
+        `Trading is ${state === HALTED ? 'halted' : 'closed'}${reason ? `: ${reason}` : ''}`,
+        { state, reason }
+      )
+    }
+    if (state === AUCTION && order && (order.type === MARKET || order.timeInForce !== GTC)) {
+      throw new MarketNotOpenError(
+        "Only good 'til cancelled limit and stop orders can be placed during an auction",
+        { state, reason }
+      )
+    }
+  };
+
   addUser = (money, stock) => {
-    const userid = uuidv4()
-    const userbalance = new Balance({ money, stock })
-    const changes = new Balances({ [userid]: userbalance })
-    this.users = Balances.update(this.users, { $merge: changes })
-    return userid
+    return this.execute({ type: 'addUser', account: uuidv4(), ...checkOpening(money, stock) })
+  };
+
+  applyAddUser = ({ account, money, stock }) => {
+    this.balances.set(account, new Balance({ money, stock }))
+    this.post(DEPOSIT, [{ account: EXTERNAL_ACCOUNT, money: -money, stock: -stock }, { account, money, stock }])
+    return account
+  };
+
+  deposit = (account, amounts) => {
+    return this.execute({ type: 'deposit', account, ...checkTransfer(amounts) })
+  };
+
+  applyDeposit = ({ account, money, stock }) => {
+    this.adjustBalance(account, { money, stock })
+    this.post(DEPOSIT, [{ account: EXTERNAL_ACCOUNT, money: -money, stock: -stock }, { account, money, stock }])
+    return this.getUser(account)
+  };
+
+  withdraw = (account, amounts) => {
+    return this.execute({ type: 'withdraw', account, ...checkTransfer(amounts) })
+  };
+
+  applyWithdraw = ({ account, money, stock }) => {
+    // only what isn't held for open orders can be taken out
+    this.checkAvailable(account, { money, stock })
+    this.adjustBalance(account, { money: -money, stock: -stock })
+    this.post(WITHDRAWAL, [{ account, money: -money, stock: -stock }, { account: EXTERNAL_ACCOUNT, money, stock }])
+    return this.getUser(account)
+  };
+
+  post = (type, changes) => {
+    // posts changes to accounts' money and stock to the ledger together
+    const postings = []
+    changes.forEach(({ account, money = 0, stock = 0 }) => {
+      postings.push({ account, asset: this.moneyAsset, amount: money })
+      postings.push({ account, asset: this.stockAsset, amount: stock })
+    })
+    this.ledger.post(type, this.now(), postings)
+  };
+
+  getLedger = () => {
+    return this.ledger.getTransactions()
+  };
+
+  reconcile = () => {
+    // checks every account's money and stock against the ledger, and that
+    // trading has neither made nor lost any of either
+    const holdings = holdingsOf(this.balances.all(), this.moneyAsset, this.stockAsset)
+    return this.ledger.reconcile(holdings, [this.moneyAsset, this.stockAsset])
   };
 
   getUsers = () => {
-    return this.users
+    return Balances(this.balances.all())
+  };
+
+  getUser = account => {
+    const user = this.balances.get(account)
+    if (!user) {
+      throw new UnknownAccountError(`There isn't an account with id ${account}`, { account })
+    }
+    return user
+  };
+
+  getAvailableBalance = account => {
+    const user = this.getUser(account)
+    return { money: user.money - user.moneyHeld, stock: user.stock - user.stockHeld }
+  };
+
+  adjustBalance = (account, changes) => {
+    // applies changes to each of an account's balances in turn, so that an
+    // account on both sides of a trade is handled correctly
+    const user = this.getUser(account)
+    const patch = {}
+    Object.keys(changes).forEach(key => {
+      patch[key] = { $set: user[key] + changes[key] }
+    })
+    this.balances.set(account, Balance.update(user, patch))
+  };
+
+  hold = (account, { money, stock }) => {
+    this.checkAvailable(account, { money, stock })
+    this.adjustBalance(account, { moneyHeld: money, stockHeld: stock })
+  };
+
+  checkAvailable = (account, { money, stock }) => {
+    const available = this.getAvailableBalance(account)
+    if (money > available.money) {
+      throw new InsufficientFundsError(
+        `Account ${account} has ${available.money} money available but needs ${money}`,
+        { account, asset: 'money', available: available.money, needed: money }
+      )
+    }
+    if (stock > available.stock) {
+      throw new InsufficientFundsError(
+        `Account ${account} has ${available.stock} stock available but needs ${stock}`,
+        { account, asset: 'stock', available: available.stock, needed: stock }
+      )
+    }
+  };
+
+  release = (account, { money, stock }) => {
+    this.adjustBalance(account, { moneyHeld: -money, stockHeld: -stock })
   };
 
   addOrder = order => {
-    order = Order.update(order, { time: { $set: moment() } })
+    try {
+      this.checkOrder(order)
+      this.checkMarketOpenFor(order)
+      this.tradingRules(order, { lastPrice: this.getLastPrice() })
+      return this.execute({ type: 'addOrder', order: Order.update(order, { id: { $set: uuidv4() } }) })
+    } catch (error) {
+      if (order instanceof Order) {
+        this.announce(new OrderRejected({ order, error: error.name, reason: error.message }))
+      }
+      throw error
+    }
+  };
+
+  applyAddOrder = ({ order }) => {
+    order = new Order(order)
+    const hold = holdFor(order)
+    this.checkAvailable(order.account, { ...hold, money: hold.money + this.mostFeeFor(order) })
+    this.hold(order.account, hold)
+    order = this.stamp(isIceberg(order) ? withNewSlice(order) : order)
+    this.keepStatus({ order, status: OPEN, filled: 0, remaining: order.quantity, reason: null, time: order.time })
+    if (isStop(order)) {
+      this.stopOrders.set(order.id, order)
+      return { id: order.id, fills: [], discarded: [], selfTrades: [], triggered: [], outcomes: [] }
+    }
+    return { id: order.id, ...this.withStops(this.place(order)), outcomes: this.current.outcomes.slice() }
+  };
+
+  place = order => {
+    // puts a stamped order on the book, or trades it straight away
+    if (order.type === MARKET || order.timeInForce !== GTC) {
+      // these never rest on the book
+      return this.executeImmediately(order)
+    }
     this.addOrderPreservingTimestamp(order)
+    if (this.autoMatch) {
+      return this.matchBook()
+    }
+    return { fills: [], discarded: [], selfTrades: [] }
   };
 
-  addOrderPreservingTimestamp = order => {
-    // This function is not part of the external API
-    // It's possible to pass garbage in as a timestamp and break things
+  getLastPrice = () => {
+    const last = this.history[this.history.length - 1]
+    return last ? last.price : null
+  };
+
+  withStops = ({ fills, discarded, selfTrades, ...result }) => {
+    // Triggers the stops set off by trades since they were last checked, and
+    // adds what they did to a command's result. Triggered stops are stamped
+    // as they are placed, so they queue behind orders already on the book,
+    // and go in the order they arrived. Their own trades may set off more.
+    // Stops aren't triggered while the market is shut, so trades left
+    // unchecked set them off once it opens again.
+    const triggeredOrders = []
+    while (this.tradesChecked < this.history.length && this.isTrading()) {
+      let high = -Infinity
+      let low = Infinity
+      for (let i = this.tradesChecked; i < this.history.length; i++) {
+        high = Math.max(high, this.history[i].price)
+        low = Math.min(low, this.history[i].price)
+      }
+      this.tradesChecked = this.history.length
+      const setOff = Array.from(this.stopOrders.values())
+        .filter(order => triggeredBy(order, order.action === BUY ? high : low))
+      setOff.forEach(stop => {
+        this.stopOrders.delete(stop.id)
+        const order = this.stamp(triggered(stop))
+        this.recordOutcome(new StopTriggered({ order }))
+        triggeredOrders.push(order)
+        const placed = this.place(order)
+        fills = fills.concat(placed.fills)
+        discarded = discarded.concat(placed.discarded)
+        selfTrades = selfTrades.concat(placed.selfTrades)
+      })
+    }
+    return { ...result, fills, discarded, selfTrades, triggered: triggeredOrders }
+  };
+
+  stamp = order => {
+    // orders are stamped once they are sure to be placed, so that commands
+    // which fail don't use up sequence numbers
+    this.sequence += 1
+    return Order.update(order, { time: { $set: this.now() }, sequence: { $set: this.sequence } })
+  };
+
+  checkOrder = order => {
     if (!(order instanceof Order)) {
       throw new Error('Asked to add something other than an Order')
     }
-    if (order.quantity === 0) {
-      throw new Error('Orders for 0 are not allowed')
+    if (this.instrument && order.instrument !== this.instrument) {
+      throw new InvalidOrderError(`Orders for ${order.instrument} can't be placed in the ${this.instrument} market`)
+    }
+    if (order.quantity <= 0) {
+      throw new TradingRuleError(`Orders for ${order.quantity} are not allowed`, { code: INVALID_QUANTITY })
+    }
+    this.checkPrices(order)
+    if (isIceberg(order) && (order.type !== LIMIT || order.timeInForce !== GTC)) {
+      throw new InvalidOrderError("Only good 'til cancelled limit orders can hide some of their quantity")
+    }
+    if (isIceberg(order) && order.displayQuantity <= 0) {
+      throw new InvalidOrderError('Iceberg orders must show a positive quantity')
+    }
+    const lastPrice = this.getLastPrice()
+    if (isStop(order) && lastPrice !== null && triggeredBy(order, lastPrice)) {
+      throw new InvalidOrderError(`A stop price of ${order.stopPrice} would be triggered straight away by the last price of ${lastPrice}`)
+    }
+  };
+
+  checkPrices = order => {
+    // the prices an order of its type must, and mustn't, have
+    if ((order.type === MARKET || order.type === STOP) && order.price != null) {
+      throw new InvalidOrderError('Market orders cannot have a price')
+    }
+    if (order.type !== MARKET && order.type !== STOP && order.price == null) {
+      throw new InvalidOrderError('Limit orders must have a price')
     }
-    if (order.action === BUY) {
-      this.buyOrders.push(order)
-    } else if (order.action === SELL) {
-      this.sellOrders.push(order)
+    if (isStop(order) !== (order.stopPrice != null)) {
+      throw new InvalidOrderError('Stop orders, and only stop orders, must have a stop price')
+    }
+    const badPrice = [order.price, order.stopPrice].find(price => price != null && price <= 0)
+    if (badPrice !== undefined) {
+      throw new TradingRuleError(`Prices must be positive, not ${badPrice}`, { code: INVALID_PRICE })
+    }
+  };
+
+  addOrderPreservingTimestamp = order => {
+    // This function is not part of the external API
+    // It's possible to pass garbage in as a timestamp and break things
+    this.checkOrder(order)
+    this.getBook(order.action).add(order)
+  };
+
+  getBook = action => {
+    if (action === BUY) {
+      return this.buyOrders
+    } else if (action === SELL) {
+      return this.sellOrders
     } else {
       throw new Error('Unexpected order action')
     }
   };
 
+  getOrder = id => {
+    const order = this.buyOrders.get(id) || this.sellOrders.get(id) || this.stopOrders.get(id)
+    if (!order) {
+      throw new UnknownOrderError(`There isn't an order with id ${id}`, { id })
+    }
+    return order
+  };
+
+  getOwnOrder = (id, account) => {
+    const order = this.getOrder(id)
+    if (order.account !== account) {
+      throw new NotAllowedError(`Order ${id} does not belong to account ${account}`)
+    }
+    return order
+  };
+
+  removeOrder = order => {
+    if (isStop(order)) {
+      this.stopOrders.delete(order.id)
+    } else {
+      this.getBook(order.action).remove(order.id)
+    }
+  };
+
+  cancelOrder = (id, account) => {
+    return this.execute({ type: 'cancelOrder', id, account })
+  };
+
+  applyCancelOrder = ({ id, account }) => {
+    const order = this.getOwnOrder(id, account)
+    this.discardOrder(order, CANCELLED)
+    return order
+  };
+
+  discardOrder = (order, reason) => {
+    // removes an order that can't be filled, or what's left of one that
+    // couldn't be filled straight away, freeing up what it held
+    this.removeOrder(order)
+    this.release(order.account, holdFor(order))
+    this.recordOutcome(new OrderRemoved({ order, reason }))
+  };
+
+  amendOrder = (id, account, { price, quantity }) => {
+    return this.execute({ type: 'amendOrder', id, account, price, quantity })
+  };
+
+  applyAmendOrder = ({ id, account, price, quantity }) => {
+    const order = this.getOwnOrder(id, account)
+    this.checkMarketOpenFor(null)
+    let amended = Order.update(order, {
+      price: { $set: price === undefined ? order.price : price },
+      quantity: { $set: quantity === undefined ? order.quantity : quantity }
+    })
+    if (amended.quantity <= 0) {
+      throw new TradingRuleError('Orders must be amended to a positive quantity', { code: INVALID_QUANTITY })
+    }
+    // everything is checked before anything is changed, so that an amendment
+    // that fails leaves the order as it was
+    this.checkPrices(amended)
+    // the price band only applies to new prices, so that an order the market
+    // has moved away from can still be made smaller
+    this.tradingRules(amended, { lastPrice: amended.price === order.price ? null : this.getLastPrice() })
+    const before = holdFor(order)
+    const after = holdFor(amended)
+    const change = { money: after.money - before.money, stock: after.stock - before.stock }
+    this.checkAvailable(account, { ...change, money: change.money + this.mostFeeFor(amended) })
+    this.hold(account, change)
+    this.updateStatus(id, { order: amended, remaining: amended.quantity })
+
+    // like placing an order, whatever the amendment did comes back along
+    // with the order as amended
+    const unmatched = { fills: [], discarded: [], selfTrades: [], triggered: [] }
+    if (isStop(order)) {
+      // stops have no place in a queue to lose until they are triggered
+      this.stopOrders.set(id, amended)
+      return { order: amended, ...unmatched, outcomes: [] }
+    }
+    if (amended.price === order.price && amended.quantity <= order.quantity) {
+      // reducing the quantity keeps the order's place in the queue
+      if (isIceberg(amended)) {
+        amended = Order.update(amended, { visibleQuantity: { $set: Math.min(amended.visibleQuantity, amended.quantity) } })
+      }
+      this.getBook(order.action).replace(amended)
+      return { order: amended, ...unmatched, outcomes: [] }
+    }
+    // any other change goes to the back of the queue, as if newly placed
+    this.removeOrder(order)
+    const requeued = this.stamp(isIceberg(amended) ? withNewSlice(amended) : amended)
+    this.addOrderPreservingTimestamp(requeued)
+    if (!this.autoMatch) {
+      return { order: requeued, ...unmatched, outcomes: [] }
+    }
+    // a new price may cross the book
+    return { order: requeued, ...this.withStops(this.matchBook()), outcomes: this.current.outcomes.slice() }
+  };
+
   getOrdersByAccount = account => {
     const buyOrders = this.buyOrders.filter(o => o.account === account)
     const sellOrders = this.sellOrders.filter(o => o.account === account)
-    return buyOrders.concat(sellOrders)
+    const stopOrders = Array.from(this.stopOrders.values()).filter(o => o.account === account)
+    return buyOrders.concat(sellOrders, stopOrders)
   };
 
   getBestBuyOrder = () => {
-    // the best buy order is the largest price, followed by the most recent
-    this.buyOrders.sort((a, b) => {
-      if (0 !== b.price - a.price) {
-        return b.price - a.price
-      } else {
-        return a.time.diff(b.time)
-      }
-    })
-    const bestOrder = this.buyOrders[0]
+    // the best buy order is the largest price, followed by the oldest
+    const bestOrder = this.buyOrders.best()
     if (!bestOrder) {
       throw new Error("There aren't any buy orders")
     } else {
-      return bestOrder
+      return shown(bestOrder)
     }
   };
 
   getBestNBuyOrders = n => {
-    // call to sort
-    try {
-      this.getBestBuyOrder()
-    } catch (e) {
-      return []
-    }
-    return this.buyOrders.slice(0, n)
+    return this.buyOrders.bestN(n).map(shown)
   };
 
   getBestSellOrder = () => {
-    // the best sell order is the lowest price, followed by the most recent
-    this.sellOrders.sort((a, b) => {
-      if (0 !== a.price - b.price) {
-        return a.price - b.price
-      } else {
-        return a.time.diff(b.time)
-      }
-    })
-    const bestOrder = this.sellOrders[0]
+    // the best sell order is the lowest price, followed by the oldest
+    const bestOrder = this.sellOrders.best()
     if (!bestOrder) {
       throw new Error("There aren't any sell orders")
     } else {
-      return bestOrder
+      return shown(bestOrder)
     }
   };
 
   getBestNSellOrders = n => {
-    try {
-      this.getBestSellOrder()
-    } catch (e) {
-      return []
+    return this.sellOrders.bestN(n).map(shown)
+  };
+
+  getDepth = levels => {
+    // the book as it can be shown to anyone: how much is resting at each of
+    // the best prices on each side, but not who it belongs to
+    const summarise = book => book.bestLevels(levels).map(level => ({
+      price: level.price,
+      quantity: level.quantity,
+      orders: level.count
+    }))
+    const buy = summarise(this.buyOrders)
+    const sell = summarise(this.sellOrders)
+    const bestBuy = this.buyOrders.bestLevel()
+    const bestSell = this.sellOrders.bestLevel()
+    const bothSides = bestBuy !== undefined && bestSell !== undefined
+    return {
+      buy,
+      sell,
+      spread: bothSides ? bestSell.price - bestBuy.price : null,
+      midPrice: bothSides ? (bestBuy.price + bestSell.price) / 2 : null
     }
-    return this.sellOrders.slice(0, n)
   };
 
   hasFoundOverlap = () => {
-    try {
-      const bestBuyOrder = this.getBestBuyOrder()
-      const bestSellOrder = this.getBestSellOrder()
-      return bestBuyOrder.price > bestSellOrder.price
-    } catch (e) {
-      return false
-    }
+    const bestBuyOrder = this.buyOrders.best()
+    const bestSellOrder = this.sellOrders.best()
+    return Boolean(bestBuyOrder && bestSellOrder) && bestBuyOrder.price >= bestSellOrder.price
   };
 
   processOrder = () => {
+    return this.execute({ type: 'processOrder' })
+  };
+
+  applyProcessOrder = () => {
+    // the one trade, and what any stops it sets off do
+    if (!this.isTrading()) {
+      const { state, reason } = this.getMarketState()
+      throw new MarketNotOpenError(`Orders can't be processed while the market is ${state.toLowerCase()}`, { state, reason })
+    }
+    const { crossing, ...matched } = this.matchBest()
+    const stops = this.withStops({ fills: [], discarded: [], selfTrades: [] })
+    return { ...matched, stops, outcomes: this.current.outcomes.slice() }
+  };
+
+  matchBest = (crossing = null) => {
+    // Trades the best buy and sell orders. The order that arrived last is the
+    // one that crossed the book, unless one of them is the given order that
+    // is still crossing it; an iceberg order showing a new slice since then
+    // is newer but was resting all along.
     if (!this.hasFoundOverlap()) {
       throw new Error("Can't process orders when they don't overlap")
     }
-    const bestBuyOrder = this.getBestBuyOrder()
-    const bestSellOrder = this.getBestSellOrder()
-    const sellingUser = this.users[bestSellOrder.account]
-    const buyingUser = this.users[bestBuyOrder.account]
+    const bestBuyOrder = this.buyOrders.best()
+    const bestSellOrder = this.sellOrders.best()
+    const aggressor = bestBuyOrder.id === crossing ? BUY
+      : bestSellOrder.id === crossing ? SELL
+        : arrivedBefore(bestSellOrder, bestBuyOrder) ? BUY : SELL
 
-    let stockDelta = Math.min(bestBuyOrder.quantity, bestSellOrder.quantity)
-    if (sellingUser.stock < bestSellOrder.quantity) {
-      stockDelta = sellingUser.stock // you can't sell more than you have
+    const [newest, oldest] = aggressor === BUY ? [bestBuyOrder, bestSellOrder] : [bestSellOrder, bestBuyOrder]
+    const cuts = this.selfTradeCuts(newest, oldest)
+    if (cuts) {
+      const selfTrade = this.preventSelfTrade(newest, oldest, cuts)
+      ;[[newest, cuts.newest], [oldest, cuts.oldest]].forEach(([order, quantity]) => {
+        if (this.reduceOrder(order, quantity)) {
+          selfTrade.cancelled.push(order)
+        }
+      })
+      return { selfTrade, crossing: newest.id }
     }
-    if (stockDelta === 0) {
-      // seller with no stock will clog the market, remove order
-      this.sellOrders.shift()
-      return
+
+    const { fill, unfillable } = this.executeTrade(bestBuyOrder, bestSellOrder, aggressor)
+    if (unfillable) {
+      // an order that can never be filled will clog the market, remove it
+      this.discardOrder(unfillable, UNAFFORDABLE)
+      return { discarded: unfillable }
     }
 
-    let singleBuyCost = bestBuyOrder.price
-    let totalBuyCost = singleBuyCost * stockDelta
-    if (buyingUser.money < singleBuyCost) {
-      // not enough money to buy even one
-      this.buyOrders.shift() // to prevent clogging the market, remove that buy order since it's impossible to fulfil
-      return
+    // Partially filled orders keep their place, and their time, on the book
+    this.fillOrder(bestBuyOrder, fill.quantity)
+    this.fillOrder(bestSellOrder, fill.quantity)
+    return { fill, crossing: aggressor === BUY ? bestBuyOrder.id : bestSellOrder.id }
+  };
+
+  selfTradeCuts = (newest, oldest) => {
+    // how much the self-trade policy takes off two orders that would trade,
+    // or null if they can trade
+    if (newest.account !== oldest.account) {
+      return null
+    }
+    const cuts = this.selfTradePolicy(newest, oldest)
+    if (cuts && cuts.newest <= 0 && cuts.oldest <= 0) {
+      throw new Error('Self-trade policies must take something off one of the orders')
     }
+    return cuts
+  };
 
-    if (buyingUser.money < totalBuyCost) {
-      // if we don't have enough money for all, how many can we buy?
-      stockDelta = Math.floor(buyingUser.money / singleBuyCost)
-      totalBuyCost = singleBuyCost * stockDelta
+  preventSelfTrade = (newest, oldest, cuts) => {
+    // what is reported of a self-trade that was prevented, which the orders
+    // cancelled because of it are added to as they are
+    this.recordOutcome(new SelfTradePrevented({ newest, oldest, cuts }))
+    return {
+      account: newest.account,
+      newest,
+      oldest,
+      newestReducedBy: Math.min(cuts.newest, newest.quantity),
+      oldestReducedBy: Math.min(cuts.oldest, oldest.quantity),
+      cancelled: []
     }
-    // Now we've removed useless orders and limited the buyer, we can proceed
-    const totalSellCost = stockDelta * bestSellOrder.price
-    const overhead = totalBuyCost - totalSellCost
+  };
 
-    this.overheadMade += overhead
+  reduceOrder = (order, quantity) => {
+    // takes a quantity off an order on the book without trading it, freeing
+    // up what it held for that much. Returns whether it was cancelled.
+    if (quantity <= 0) {
+      return false
+    }
+    if (quantity >= order.quantity) {
+      this.discardOrder(order, SELF_TRADE_PREVENTED)
+      return true
+    }
+    this.release(order.account, holdFor(withQuantity(order, quantity)))
+    this.fillOrder(order, quantity)
+    return false
+  };
 
-    const newBuyerStock = buyingUser.stock + stockDelta
-    const newSellerStock = sellingUser.stock - stockDelta
-    const newBuyerMoney = buyingUser.money - totalBuyCost
-    const newSellerMoney = sellingUser.money + totalSellCost
+  fillOrder = (order, quantity) => {
+    const remainder = remainderOf(order, quantity)
+    if (!remainder) {
+      this.removeOrder(order)
+    } else if (!isIceberg(remainder)) {
+      this.getBook(order.action).replace(remainder)
+    } else if (order.visibleQuantity > quantity) {
+      const visibleQuantity = Math.min(order.visibleQuantity - quantity, remainder.quantity)
+      this.getBook(order.action).replace(Order.update(remainder, { visibleQuantity: { $set: visibleQuantity } }))
+    } else {
+      // Once what an iceberg order shows has been filled it shows another
+      // slice of what it hides. Unlike a partial fill, the new slice goes to
+      // the back of the queue as if newly placed.
+      this.removeOrder(order)
+      this.addOrderPreservingTimestamp(this.stamp(withNewSlice(remainder)))
+    }
+  };
 
-    const usersPatch = {
-      [bestBuyOrder.account]: { money: newBuyerMoney, stock: newBuyerStock },
-      [bestSellOrder.account]: {
-        money: newSellerMoney,
-        stock: newSellerStock
+  executeImmediately = order => {
+    // match an incoming order against the other side of the book until it is
+    // filled or stops crossing, then discard whatever is left of it
+    const fills = []
+    const discarded = []
+    const selfTrades = []
+    if (order.timeInForce === FOK && this.getFillableQuantity(order) < order.quantity) {
+      // leave the book untouched
+      this.release(order.account, holdFor(order))
+      this.recordOutcome(new OrderRemoved({ order, reason: NOT_FILLED_COMPLETELY }))
+      return { fills, discarded: [order], selfTrades }
+    }
+
+    // why whatever is left of the order once it stops trading is discarded
+    let reason = NOT_FILLED_IMMEDIATELY
+    let remaining = order
+    while (remaining) {
+      if (!this.isTrading() && order.timeInForce !== FOK) {
+        // a circuit breaker halted the market part way through, though
+        // fill or kill orders are still filled completely, as promised
+        reason = MARKET_HALTED
+        break
+      }
+      const resting = order.action === BUY
+        ? this.sellOrders.best()
+        : this.buyOrders.best()
+      if (!resting || !crosses(remaining, resting)) {
+        break
       }
+      const cuts = this.selfTradeCuts(remaining, resting)
+      if (cuts) {
+        const selfTrade = this.preventSelfTrade(remaining, resting, cuts)
+        selfTrades.push(selfTrade)
+        if (this.reduceOrder(resting, cuts.oldest)) {
+          selfTrade.cancelled.push(resting)
+          discarded.push(resting)
+        }
+        if (cuts.newest >= remaining.quantity) {
+          // cancelled along with whatever else is left below
+          selfTrade.cancelled.push(remaining)
+          reason = SELF_TRADE_PREVENTED
+          break
+        } else if (cuts.newest > 0) {
+          this.release(remaining.account, holdFor(withQuantity(remaining, cuts.newest)))
+          remaining = remainderOf(remaining, cuts.newest)
+        }
+        continue
+      }
+      const { fill, unfillable } = order.action === BUY
+        ? this.executeTrade(remaining, resting, BUY)
+        : this.executeTrade(resting, remaining, SELL)
+      if (unfillable === resting) {
+        this.discardOrder(resting, UNAFFORDABLE)
+        discarded.push(resting)
+        continue
+      } else if (unfillable) {
+        reason = UNAFFORDABLE
+        break
+      }
+      fills.push(fill)
+      this.fillOrder(resting, fill.quantity)
+      remaining = remainderOf(remaining, fill.quantity)
     }
-    this.users = Balances.update(this.users, { $merge: usersPatch })
 
-    // Add new partial orders if necessary, making sure not to modify the time
-    if (stockDelta < bestBuyOrder.quantity) {
-      const newQuantity = bestBuyOrder.quantity - stockDelta
-      const order = Order.update(bestBuyOrder, {
-        quantity: { $set: newQuantity }
-      })
-      this.addOrderPreservingTimestamp(order)
+    if (remaining) {
+      // it was never on the book, but still holds funds
+      this.release(remaining.account, holdFor(remaining))
+      this.recordOutcome(new OrderRemoved({ order: remaining, reason }))
+      discarded.push(remaining)
     }
-    if (stockDelta < bestSellOrder.quantity) {
-      const newQuantity = bestSellOrder.quantity - stockDelta
-      const order = Order.update(bestSellOrder, {
-        quantity: { $set: newQuantity }
-      })
-      this.addOrderPreservingTimestamp(order)
+    return { fills, discarded, selfTrades }
+  };
+
+  getFillableQuantity = order => {
+    // how much of an incoming order could be filled by the book right now
+    // every resting order is for at least one, so this is as many as it needs
+    // unless some are skipped, when it looks further along the book
+    // icebergs show new slices until they are filled, so all of them counts
+    const book = order.action === BUY ? this.sellOrders : this.buyOrders
+    let restingOrders = book.bestN(order.quantity)
+    let skipped = 0
+    const balance = this.getAvailableBalance(order.account)
+    // a buyer spends as executeTrade lets them, a seller sells what it holds
+    let available = order.action === BUY
+      ? balance.money
+      : balance.stock + holdFor(order).stock
+    let quantity = 0
+    for (let i = 0; i < restingOrders.length; i++) {
+      const resting = restingOrders[i]
+      if (quantity >= order.quantity || !crosses(order, resting)) {
+        break
+      }
+      const cuts = this.selfTradeCuts(order, resting)
+      if (cuts && cuts.newest > 0) {
+        // the order would be cut short by meeting one of its own
+        break
+      } else if (cuts) {
+        // its own orders would be taken off the book, and fill none of it
+        skipped++
+        if (i === restingOrders.length - 1) {
+          restingOrders = book.bestN(order.quantity + skipped)
+        }
+        continue
+      }
+      let fillable = Math.min(resting.quantity, order.quantity - quantity)
+      if (order.action === BUY) {
+        const { price, spread } = this.priceTrade(order, resting, BUY)
+        const costOf = quantity => (price + spread) * quantity + this.feeFor(order.account, TAKER, price, quantity)
+        const released = quantity => holdFor(withQuantity(order, quantity)).money
+        fillable = largestAffordable(fillable, quantity => costOf(quantity) <= available + released(quantity))
+        available += released(fillable) - costOf(fillable)
+      } else {
+        fillable = Math.min(fillable, available)
+        available -= fillable
+      }
+      quantity += fillable
     }
-    // Remove the old orders
-    this.buyOrders.shift()
-    this.sellOrders.shift()
+    return quantity
+  };
+
+  priceTrade = (buyOrder, sellOrder, aggressor) => {
+    // market orders take the price of the limit order they trade against
+    if (buyOrder.type === MARKET) {
+      return { price: sellOrder.price, spread: 0 }
+    }
+    if (sellOrder.type === MARKET) {
+      return { price: buyOrder.price, spread: 0 }
+    }
+    return this.pricePolicy(buyOrder, sellOrder, aggressor)
+  };
+
+  mostFeeFor = order => {
+    // Fees aren't held, as what an order pays depends on how and when it
+    // trades, but a buy that holds its price must leave enough beside it to
+    // pay the fee on all of it in either role, or it couldn't be filled.
+    if (!holdFor(order).money) {
+      return 0
+    }
+    const { account, price, quantity } = order
+    return Math.max(this.feeFor(account, MAKER, price, quantity), this.feeFor(account, TAKER, price, quantity))
+  };
+
+  feeFor = (account, role, price, quantity) => {
+    return this.feeSchedule({
+      account,
+      role,
+      price,
+      quantity,
+      value: price * quantity,
+      trailingVolume: duration => this.getTrailingVolume(account, duration)
+    })
+  };
+
+  getTrailingVolume = (account, duration) => {
+    // the value of everything an account has traded over a duration up to now
+    let volume = 0
+    const since = this.now().clone().subtract(duration)
+    for (let i = this.countTradesBefore(since); i < this.history.length; i++) {
+      const entry = this.history[i]
+      if (entry.buyer === account || entry.seller === account) {
+        volume += entry.price * entry.quantity
+      }
+    }
+    return volume
+  };
+
+  payExchange = amount => {
+    // fees and any spread kept go to the fee account, so that what the
+    // exchange has made can be accounted for like any other balance
+    if (amount <= 0) {
+      return
+    }
+    if (!this.balances.get(this.feeAccount)) {
+      this.balances.set(this.feeAccount, new Balance({ money: 0, stock: 0 }))
+    }
+    this.adjustBalance(this.feeAccount, { money: amount })
+  };
+
+  executeTrade = (buyOrder, sellOrder, aggressor) => {
+    // Moves money and stock between the owners of two crossing orders, pays
+    // the exchange and records the trade. Returns the fill, or the order that
+    // can't be filled at all without touching any balances.
+    const { price, spread } = this.priceTrade(buyOrder, sellOrder, aggressor)
+    const buyerRole = aggressor === BUY ? TAKER : MAKER
+    const sellerRole = aggressor === SELL ? TAKER : MAKER
+
+    // The buyer pays the price, any spread and their fee. They can spend what
+    // they have available plus what is held for the part of the order being
+    // filled, so paying fees never eats into what is held for the rest.
+    const available = this.getAvailableBalance(buyOrder.account).money
+    const costOf = quantity => (price + spread) * quantity + this.feeFor(buyOrder.account, buyerRole, price, quantity)
+    const released = quantity => holdFor(withQuantity(buyOrder, quantity)).money
+    const affordable = quantity => costOf(quantity) <= available + released(quantity)
+    // only what a resting iceberg order shows can be traded in one go
+    const resting = aggressor === BUY ? sellOrder : buyOrder
+    const tradable = order => order === resting ? visibleQuantityOf(order) : order.quantity
+    let stockDelta = Math.min(tradable(buyOrder), tradable(sellOrder))
+    if (!affordable(stockDelta)) {
+      // if we don't have enough money for all, how many can we buy?
+      stockDelta = largestAffordable(stockDelta, affordable)
+    }
+    if (stockDelta === 0) {
+      // not enough money to buy even one
+      return { unfillable: buyOrder }
+    }
+
+    // Now we've ruled out useless orders and limited the buyer, we can proceed
+    const value = price * stockDelta
+    const overhead = spread * stockDelta
+    const buyerFee = this.feeFor(buyOrder.account, buyerRole, price, stockDelta)
+    // the seller's fee comes out of what they are paid
+    const sellerFee = Math.min(this.feeFor(sellOrder.account, sellerRole, price, stockDelta), value)
+
+    this.overheadMade += overhead
+
+    this.adjustBalance(buyOrder.account, {
+      money: -(value + overhead + buyerFee),
+      moneyHeld: -released(stockDelta),
+      stock: stockDelta
+    })
+    this.adjustBalance(sellOrder.account, {
+      money: value - sellerFee,
+      stock: -stockDelta,
+      stockHeld: -stockDelta
+    })
+    this.payExchange(overhead + buyerFee + sellerFee)
+    this.post(TRADE, [
+      { account: buyOrder.account, money: -(value + overhead + buyerFee), stock: stockDelta },
+      { account: sellOrder.account, money: value - sellerFee, stock: -stockDelta },
+      { account: this.feeAccount, money: overhead + buyerFee + sellerFee }
+    ])
 
     const entry = new HistoryEntry({
-      buyer: bestBuyOrder.account,
-      seller: bestSellOrder.account,
-      buyPrice: bestBuyOrder.price,
-      sellPrice: bestSellOrder.price,
+      instrument: this.instrument,
+      buyer: buyOrder.account,
+      seller: sellOrder.account,
+      price,
       quantity: stockDelta,
-      time: moment()
+      aggressor,
+      overhead,
+      buyerFee,
+      sellerFee,
+      time: this.now()
     })
-    this.history = History.update(this.history, { $push: [entry] })
+    this.history.push(entry)
+    this.candles.add(entry)
+    this.recordOutcome(new Fill({
+      entry,
+      buyOrder: buyOrder.id,
+      sellOrder: sellOrder.id,
+      buyRemaining: buyOrder.quantity - stockDelta,
+      sellRemaining: sellOrder.quantity - stockDelta
+    }))
+    if (this.isTrading()) {
+      const reason = this.circuitBreaker({ price, time: entry.time, tradesBefore: this.getTradesBefore })
+      if (reason) {
+        this.changeMarketState(HALTED, reason)
+      }
+    }
+    return { fill: entry }
+  };
+
+  getTradesBefore = duration => {
+    // the trades over a duration up to now, before the latest
+    const since = this.now().clone().subtract(duration)
+    return this.history.slice(Math.min(this.countTradesBefore(since), this.history.length - 1), this.history.length - 1)
+  };
+
+  matchAll = () => {
+    return this.execute({ type: 'matchAll' })
+  };
+
+  applyMatchAll = () => {
+    return { ...this.withStops(this.matchBook()), outcomes: this.current.outcomes.slice() }
+  };
+
+  matchBook = () => {
+    // process orders until the book is uncrossed, or the market stops
+    // trading, collecting what happened
+    const fills = []
+    const discarded = []
+    const selfTrades = []
+    let crossing = null
+    while (this.isTrading() && this.hasFoundOverlap()) {
+      const { fill, selfTrade, discarded: order, ...next } = this.matchBest(crossing)
+      crossing = next.crossing || crossing
+      if (fill) {
+        fills.push(fill)
+      } else if (selfTrade) {
+        selfTrades.push(selfTrade)
+        discarded.push(...selfTrade.cancelled)
+      } else {
+        discarded.push(order)
+      }
+    }
+    return { fills, discarded, selfTrades }
   };
 }
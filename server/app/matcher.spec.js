@@ -1,24 +1,78 @@
-import uuidv4 from 'uuid/v4'
+import moment from 'moment'
 
-import Matcher from './matcher'
-import { Order, BUY, SELL } from './order'
+import Matcher, {
+  Balance, SNAPSHOT_VERSION, FEE_ACCOUNT, Fill, OrderRemoved, OrderRejected, StopTriggered, SelfTradePrevented,
+  UNAFFORDABLE, NOT_FILLED_IMMEDIATELY, NOT_FILLED_COMPLETELY, SELF_TRADE_PREVENTED, CANCELLED,
+  OrderStatus, OPEN, PARTIALLY_FILLED, FILLED, REJECTED, MARKET_HALTED, HALTED, CLOSED, AUCTION, MarketStateChanged
+} from './matcher'
+import { Order, BUY, SELL, LIMIT, MARKET, STOP, STOP_LIMIT, IOC, FOK } from './order'
+import { restingOrderPrice, midpointPrice, exchangeKeepsSpread } from './pricePolicies'
+import {
+  InsufficientFundsError, InvalidSnapshotError, InvalidTransferError, MarketNotOpenError, TradingRuleError,
+  UnknownAccountError
+} from './errors'
+import { MemoryJournal } from './journal'
+import { percentageFees, fixedFees, tieredFees } from './fees'
+import { allowSelfTrades, cancelOldest, cancelBoth, decrement } from './selfTradePolicies'
+import { EXTERNAL_ACCOUNT, DEPOSIT, WITHDRAWAL, TRADE } from './ledger'
+import {
+  tradingRules, INVALID_QUANTITY, INVALID_PRICE, QUANTITY_TOO_SMALL, QUANTITY_TOO_LARGE, QUANTITY_NOT_IN_LOTS,
+  PRICE_NOT_ON_TICK, PRICE_OUTSIDE_BAND
+} from './tradingRules'
+import { priceMoveBreaker } from './circuitBreakers'
+
+// A clock that stands still until it is told to move on
+const fakeClock = () => {
+  let now = moment('2017-06-01T10:00:00Z')
+  const clock = () => now
+  clock.tick = ms => {
+    now = now.clone().add(ms, 'ms')
+  }
+  return clock
+}
 
 describe('Matcher', () => {
-  let matcher
+  let matcher, clock
   let alice, bob, charlie, dee
 
   beforeEach(() => {
-    matcher = new Matcher()
+    clock = fakeClock()
+    matcher = new Matcher({ clock })
     alice = matcher.addUser(15000, 71)
     bob = matcher.addUser(19000, 17)
     charlie = matcher.addUser(43000, 0)
     dee = matcher.addUser(120, 4)
   })
 
+  // bob sells to alice at a price
+  const trade = (price, quantity = 1) => {
+    matcher.addOrder(new Order({ account: bob, price, quantity, action: SELL }))
+    matcher.addOrder(new Order({ account: alice, price, quantity, action: BUY }))
+    matcher.processOrder()
+  }
+
   it('can be created', () => {
     expect(matcher).not.toBeNull()
   })
 
+  it('only takes orders for its own instrument, if it has one', () => {
+    matcher = new Matcher({ instrument: 'BTC/GBP' })
+    alice = matcher.addUser(15000, 71)
+    expect(() => matcher.addOrder(new Order({ account: alice, instrument: 'ETH/GBP', price: 1, quantity: 1, action: BUY })))
+      .toThrow("can't be placed in the BTC/GBP market")
+    const { id } = matcher.addOrder(new Order({ account: alice, instrument: 'BTC/GBP', price: 1, quantity: 1, action: BUY }))
+    expect(matcher.getOrder(id).instrument).toBe('BTC/GBP')
+  })
+
+  it('takes the time from its clock', () => {
+    const { id } = matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+    expect(matcher.getOrder(id).time).toBe(clock())
+    clock.tick(5)
+    matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+    matcher.processOrder()
+    expect(matcher.getHistory()[0].time).toBe(clock())
+  })
+
   it('accepts new users', () => {
     const money = 1600
     const stock = 90
@@ -30,11 +84,11 @@ describe('Matcher', () => {
     let order = new Order({
       account: alice,
       price: 1400,
-      quantity: 12,
+      quantity: 10,
       action: BUY
     })
     matcher.addOrder(order)
-    const { time: deletedKey, ...timelessOrder } = order
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder } = order
     expect(matcher.getBestBuyOrder()).toMatchObject(timelessOrder)
   })
 
@@ -46,7 +100,7 @@ describe('Matcher', () => {
       action: SELL
     })
     matcher.addOrder(order)
-    const { time: deletedKey, ...timelessOrder } = order
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder } = order
     expect(matcher.getBestSellOrder()).toMatchObject(timelessOrder)
   })
 
@@ -82,20 +136,20 @@ describe('Matcher', () => {
 
   it('favours higher buy orders', () => {
     let order1 = new Order({
-      account: alice,
+      account: charlie,
       price: 1400,
       quantity: 12,
       action: BUY
     })
     let order2 = new Order({
-      account: alice,
+      account: charlie,
       price: 1450,
       quantity: 12,
       action: BUY
     })
     matcher.addOrder(order1)
     matcher.addOrder(order2)
-    const { time: deletedKey, ...timelessOrder2 } = order2
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder2 } = order2
     expect(matcher.getBestBuyOrder()).toMatchObject(timelessOrder2)
   })
 
@@ -114,64 +168,64 @@ describe('Matcher', () => {
     })
     matcher.addOrder(order1)
     matcher.addOrder(order2)
-    const { time: deletedKey, ...timelessOrder1 } = order1
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder1 } = order1
     expect(matcher.getBestSellOrder()).toMatchObject(timelessOrder1)
   })
 
-  it('prefers older sell orders in the case of a tie', done => {
-    expect.assertions(1) // ensure assertions are run
-
-    const uuid1 = uuidv4()
-    const uuid2 = uuidv4()
+  it('prefers older sell orders in the case of a tie', () => {
     let order1 = new Order({
-      account: uuid1,
+      account: alice,
       price: 1300,
       quantity: 10,
       action: SELL
     })
     let order2 = new Order({
-      account: uuid2,
+      account: bob,
       price: 1300,
       quantity: 10,
       action: SELL
     })
     matcher.addOrder(order1)
-
-    setTimeout(() => {
-      // delay adding order2 by at least 1ms
-      matcher.addOrder(order2)
-      const { time: deletedKey, ...timelessOrder1 } = order1
-      expect(matcher.getBestSellOrder()).toMatchObject(timelessOrder1)
-      done()
-    }, 1)
+    clock.tick(1)
+    matcher.addOrder(order2)
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder1 } = order1
+    expect(matcher.getBestSellOrder()).toMatchObject(timelessOrder1)
   })
 
-  it('prefers older buy orders in the case of a tie', done => {
-    expect.assertions(1) // ensure assertions are run
+  it('prefers the first of two sell orders placed at the same time', () => {
+    const { id: id1 } = matcher.addOrder(new Order({ account: alice, price: 1300, quantity: 10, action: SELL }))
+    const { id: id2 } = matcher.addOrder(new Order({ account: bob, price: 1300, quantity: 10, action: SELL }))
+    expect(matcher.getOrder(id1).time.isSame(matcher.getOrder(id2).time)).toBe(true)
+    expect(matcher.getBestSellOrder()).toMatchObject({ id: id1 })
+    expect(matcher.getBestNSellOrders(2).map(order => order.id)).toEqual([id1, id2])
+  })
 
-    const uuid1 = uuidv4()
-    const uuid2 = uuidv4()
+  it('prefers older buy orders in the case of a tie', () => {
     let order1 = new Order({
-      account: uuid1,
+      account: alice,
       price: 1300,
       quantity: 10,
       action: BUY
     })
     let order2 = new Order({
-      account: uuid2,
+      account: bob,
       price: 1300,
       quantity: 10,
       action: BUY
     })
     matcher.addOrder(order1)
+    clock.tick(1)
+    matcher.addOrder(order2)
+    const { id: deletedId, time: deletedKey, sequence: deletedSequence, ...timelessOrder1 } = order1
+    expect(matcher.getBestBuyOrder()).toMatchObject(timelessOrder1)
+  })
 
-    setTimeout(() => {
-      // delay adding order2 by at least 1ms
-      matcher.addOrder(order2)
-      const { time: deletedKey, ...timelessOrder1 } = order1
-      expect(matcher.getBestBuyOrder()).toMatchObject(timelessOrder1)
-      done()
-    }, 1)
+  it('prefers the first of two buy orders placed at the same time', () => {
+    const { id: id1 } = matcher.addOrder(new Order({ account: alice, price: 1300, quantity: 10, action: BUY }))
+    const { id: id2 } = matcher.addOrder(new Order({ account: bob, price: 1300, quantity: 10, action: BUY }))
+    expect(matcher.getOrder(id1).time.isSame(matcher.getOrder(id2).time)).toBe(true)
+    expect(matcher.getBestBuyOrder()).toMatchObject({ id: id1 })
+    expect(matcher.getBestNBuyOrders(2).map(order => order.id)).toEqual([id1, id2])
   })
 
   it('matches buy and sell orders when they overlap', () => {
@@ -230,6 +284,9 @@ describe('Matcher', () => {
 
   it('processes orders by moving money and stock between accounts', () => {
     // TODO probably shouldn't be using hardcoded values here
+    matcher = new Matcher({ pricePolicy: exchangeKeepsSpread, clock })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
     let buyOrder = new Order({
       account: alice,
       price: 1500,
@@ -253,6 +310,9 @@ describe('Matcher', () => {
   })
 
   it('processes partial orders, preserving timestamp priority', () => {
+    matcher = new Matcher({ pricePolicy: exchangeKeepsSpread, clock })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
     let buyOrder = new Order({
       account: alice,
       price: 1500,
@@ -298,20 +358,9 @@ describe('Matcher', () => {
       quantity: 6,
       action: BUY
     })
-    let sellOrder = new Order({
-      account: bob,
-      price: 1000,
-      quantity: 5,
-      action: SELL
-    })
-    matcher.addOrder(buyOrder)
-    matcher.addOrder(sellOrder)
-    expect(matcher.getOverheadMade()).toBe(0)
-    matcher.processOrder()
-    const users = matcher.getUsers()
-    expect(users[alice]).toMatchObject({ money: 5000, stock: 72 })
-    expect(users[bob]).toMatchObject({ money: 20000, stock: 16 })
-    expect(matcher.getOverheadMade()).toBe(9000)
+    expect(() => matcher.addOrder(buyOrder)).toThrow(InsufficientFundsError)
+    expect(matcher.getOrdersByAccount(alice)).toEqual([])
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 15000, moneyHeld: 0 })
   })
 
   it('rejects buy or sell orders with a quantity of zero', () => {
@@ -331,92 +380,175 @@ describe('Matcher', () => {
     expect(() => matcher.addOrder(sellOrder)).toThrow()
   })
 
-  it('removes buy orders for accounts without enough money', () => {
-    let possibleBuyOrder = new Order({
-      account: alice,
-      price: 1500,
-      quantity: 5,
+  it('rejects negative quantities and prices that are not positive', () => {
+    // the error a command throws, for checking its details
+    const errorFrom = command => {
+      try {
+        command()
+      } catch (e) {
+        return e
+      }
+      throw new Error('Nothing was thrown')
+    }
+    expect(errorFrom(() => matcher.addOrder(new Order({ account: bob, price: 1000, quantity: -5, action: SELL }))))
+      .toMatchObject({ name: 'TradingRuleError', code: INVALID_QUANTITY, message: 'Orders for -5 are not allowed' })
+    expect(errorFrom(() => matcher.addOrder(new Order({ account: alice, price: 0, quantity: 5, action: BUY }))))
+      .toMatchObject({ code: INVALID_PRICE, message: 'Prices must be positive, not 0' })
+    expect(errorFrom(() => matcher.addOrder(new Order({
+      account: alice, stopPrice: -10, quantity: 1, action: SELL, type: STOP
+    })))).toMatchObject({ code: INVALID_PRICE })
+
+    const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: BUY }))
+    expect(errorFrom(() => matcher.amendOrder(id, alice, { quantity: -1 }))).toMatchObject({ code: INVALID_QUANTITY })
+    expect(errorFrom(() => matcher.amendOrder(id, alice, { price: -1000 }))).toMatchObject({ code: INVALID_PRICE })
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 15000, moneyHeld: 5000 })
+  })
+
+  it('rejects buy orders from accounts without enough money', () => {
+    let impossibleBuyOrder = new Order({
+      account: dee,
+      price: 2000,
+      quantity: 1,
       action: BUY
     })
-    let sellOrder = new Order({
-      account: bob,
-      price: 1000,
-      quantity: 5,
+    expect(() => matcher.addOrder(impossibleBuyOrder)).toThrow(InsufficientFundsError)
+    expect(() => matcher.getBestBuyOrder()).toThrow()
+    expect(matcher.getUsers()[dee]).toMatchObject({ money: 120, stock: 4, moneyHeld: 0 })
+  })
+
+  it('rejects sell orders from accounts without enough stock', () => {
+    let impossibleSellOrder = new Order({
+      account: charlie,
+      price: 100,
+      quantity: 1,
       action: SELL
     })
-    let impossibleBuyOrder = new Order({
+    expect(() => matcher.addOrder(impossibleSellOrder)).toThrow(InsufficientFundsError)
+
+    // stock held for one order can't be sold again by another
+    let sellOrder1 = new Order({
       account: dee,
-      price: 2000,
+      price: 100,
+      quantity: 3,
+      action: SELL
+    })
+    let sellOrder2 = new Order({
+      account: dee,
+      price: 100,
+      quantity: 2,
+      action: SELL
+    })
+    matcher.addOrder(sellOrder1)
+    expect(() => matcher.addOrder(sellOrder2)).toThrow(InsufficientFundsError)
+    expect(matcher.getOrdersByAccount(dee)).toHaveLength(1)
+    expect(matcher.getUsers()[dee]).toMatchObject({ stock: 4, stockHeld: 3 })
+  })
+
+  it('rejects orders from unknown accounts', () => {
+    let order = new Order({
+      account: '0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11',
+      price: 100,
       quantity: 1,
       action: BUY
     })
-    matcher.addOrder(possibleBuyOrder)
-    matcher.addOrder(impossibleBuyOrder)
-    matcher.addOrder(sellOrder)
-    const {
-      time: deletedKey,
-      ...timelessImpossibleBuyOrder
-    } = impossibleBuyOrder
-    expect(matcher.getBestBuyOrder()).toMatchObject(timelessImpossibleBuyOrder)
-    expect(matcher.getOverheadMade()).toBe(0)
+    expect(() => matcher.addOrder(order)).toThrow(UnknownAccountError)
+  })
 
-    matcher.processOrder()
+  it('holds money for buy orders until they are filled', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1500,
+      quantity: 6,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1500,
+      quantity: 4,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 15000, moneyHeld: 9000 })
+    expect(matcher.getAvailableBalance(alice)).toEqual({ money: 6000, stock: 71 })
 
-    let users = matcher.getUsers()
-    expect(users[alice]).toMatchObject({ money: 15000, stock: 71 })
-    expect(users[bob]).toMatchObject({ money: 19000, stock: 17 })
-    expect(users[dee]).toMatchObject({ money: 120, stock: 4 })
-    const {
-      time: anotherDeletedKey,
-      ...timelessPossibleBuyOrder
-    } = possibleBuyOrder
-    expect(matcher.getBestBuyOrder()).toMatchObject(timelessPossibleBuyOrder)
-    expect(matcher.getOverheadMade()).toBe(0)
+    matcher.addOrder(sellOrder)
+    expect(matcher.getUsers()[bob]).toMatchObject({ stock: 17, stockHeld: 4 })
 
     matcher.processOrder()
-
-    users = matcher.getUsers()
-    expect(users[alice]).toMatchObject({ money: 7500, stock: 76 })
-    expect(users[bob]).toMatchObject({ money: 24000, stock: 12 })
-    expect(users[dee]).toMatchObject({ money: 120, stock: 4 })
-    expect(matcher.getOverheadMade()).toBe(2500)
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 9000, moneyHeld: 3000, stock: 75 })
+    expect(matcher.getUsers()[bob]).toMatchObject({ money: 25000, stock: 13, stockHeld: 0 })
   })
 
-  it('removes sell orders for accounts without any stock', () => {
+  it('releases what is held for the part of a buy order filled more cheaply', () => {
+    matcher = new Matcher({ pricePolicy: restingOrderPrice })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
     let buyOrder = new Order({
       account: alice,
       price: 1500,
       quantity: 5,
+      action: BUY,
+      timeInForce: IOC
+    })
+    matcher.addOrder(sellOrder)
+    matcher.addOrder(buyOrder)
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 10000, moneyHeld: 0, stock: 76 })
+  })
+
+  it('releases holds when orders are cancelled or discarded', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1000,
+      quantity: 10,
       action: BUY
     })
-    let possibleSellOrder = new Order({
+    let sellOrder = new Order({
       account: bob,
       price: 1000,
       quantity: 5,
       action: SELL
     })
-    let impossibleSellOrder = new Order({
-      account: charlie,
-      price: 100,
-      quantity: 1,
-      action: SELL
+    let iocOrder = new Order({
+      account: bob,
+      price: 900,
+      quantity: 6,
+      action: SELL,
+      timeInForce: IOC
     })
-    matcher.addOrder(buyOrder)
-    matcher.addOrder(impossibleSellOrder)
-    matcher.addOrder(possibleSellOrder)
+    const { id: buyId } = matcher.addOrder(buyOrder)
+    const { id: sellId } = matcher.addOrder(sellOrder)
+    matcher.cancelOrder(sellId, bob)
+    expect(matcher.getUsers()[bob]).toMatchObject({ stock: 17, stockHeld: 0 })
 
-    matcher.processOrder()
+    matcher.addOrder(iocOrder)
+    expect(matcher.getUsers()[bob]).toMatchObject({ stock: 11, stockHeld: 0 })
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 9000, moneyHeld: 4000 })
 
-    let users = matcher.getUsers()
-    expect(users[alice]).toMatchObject({ money: 15000, stock: 71 })
-    expect(users[bob]).toMatchObject({ money: 19000, stock: 17 })
-    expect(users[charlie]).toMatchObject({ money: 43000, stock: 0 })
+    matcher.cancelOrder(buyId, alice)
+    expect(matcher.getUsers()[alice]).toMatchObject({ money: 9000, moneyHeld: 0, stock: 77 })
+  })
 
-    const {
-      time: anotherDeletedKey,
-      ...timelessPossibleSellOrder
-    } = possibleSellOrder
-    expect(matcher.getBestSellOrder()).toMatchObject(timelessPossibleSellOrder)
+  it('adjusts holds when orders are amended', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1000,
+      quantity: 10,
+      action: BUY
+    })
+    const { id } = matcher.addOrder(buyOrder)
+    matcher.amendOrder(id, alice, { quantity: 4 })
+    expect(matcher.getUsers()[alice]).toMatchObject({ moneyHeld: 4000 })
+    matcher.amendOrder(id, alice, { price: 2000 })
+    expect(matcher.getUsers()[alice]).toMatchObject({ moneyHeld: 8000 })
+    expect(() => matcher.amendOrder(id, alice, { quantity: 8 })).toThrow(InsufficientFundsError)
+    expect(matcher.getOrder(id)).toMatchObject({ price: 2000, quantity: 4 })
+    expect(matcher.getUsers()[alice]).toMatchObject({ moneyHeld: 8000 })
   })
 
   it("can return an account's orders", () => {
@@ -442,9 +574,9 @@ describe('Matcher', () => {
     matcher.addOrder(aliceOrder1)
     matcher.addOrder(aliceOrder2)
     matcher.addOrder(bobOrder1)
-    const { time: deletedKey1, ...timelessAliceOrder1 } = aliceOrder1
-    const { time: deletedKey2, ...timelessAliceOrder2 } = aliceOrder2
-    const { time: deletedKey3, ...timelessBobOrder1 } = bobOrder1
+    const { id: deletedId1, time: deletedKey1, sequence: deletedSequence1, ...timelessAliceOrder1 } = aliceOrder1
+    const { id: deletedId2, time: deletedKey2, sequence: deletedSequence2, ...timelessAliceOrder2 } = aliceOrder2
+    const { id: deletedId3, time: deletedKey3, sequence: deletedSequence3, ...timelessBobOrder1 } = bobOrder1
 
     const aliceOrders = matcher.getOrdersByAccount(alice)
     const bobOrders = matcher.getOrdersByAccount(bob)
@@ -472,25 +604,25 @@ describe('Matcher', () => {
 
   it('can return the n best buy orders', () => {
     let order1 = new Order({
-      account: alice,
+      account: charlie,
       price: 1500,
       quantity: 5,
       action: BUY
     })
     let order2 = new Order({
-      account: alice,
+      account: charlie,
       price: 1600,
       quantity: 5,
       action: BUY
     })
     let order3 = new Order({
-      account: alice,
+      account: charlie,
       price: 1700,
       quantity: 5,
       action: BUY
     })
     let order4 = new Order({
-      account: alice,
+      account: charlie,
       price: 1800,
       quantity: 5,
       action: BUY
@@ -501,9 +633,9 @@ describe('Matcher', () => {
     matcher.addOrder(order4)
 
     const bestBuyOrders = matcher.getBestNBuyOrders(3)
-    const { time: deletedKey4, ...timelessOrder4 } = order4
-    const { time: deletedKey3, ...timelessOrder3 } = order3
-    const { time: deletedKey2, ...timelessOrder2 } = order2
+    const { id: deletedId4, time: deletedKey4, sequence: deletedSequence4, ...timelessOrder4 } = order4
+    const { id: deletedId3, time: deletedKey3, sequence: deletedSequence3, ...timelessOrder3 } = order3
+    const { id: deletedId2, time: deletedKey2, sequence: deletedSequence2, ...timelessOrder2 } = order2
 
     expect(bestBuyOrders[0]).toMatchObject(timelessOrder4)
     expect(bestBuyOrders[1]).toMatchObject(timelessOrder3)
@@ -541,16 +673,117 @@ describe('Matcher', () => {
     matcher.addOrder(order4)
 
     const bestSellOrders = matcher.getBestNSellOrders(3)
-    const { time: deletedKey1, ...timelessOrder1 } = order1
-    const { time: deletedKey2, ...timelessOrder2 } = order2
-    const { time: deletedKey3, ...timelessOrder3 } = order3
+    const { id: deletedId1, time: deletedKey1, sequence: deletedSequence1, ...timelessOrder1 } = order1
+    const { id: deletedId2, time: deletedKey2, sequence: deletedSequence2, ...timelessOrder2 } = order2
+    const { id: deletedId3, time: deletedKey3, sequence: deletedSequence3, ...timelessOrder3 } = order3
 
     expect(bestSellOrders[0]).toMatchObject(timelessOrder1)
     expect(bestSellOrders[1]).toMatchObject(timelessOrder2)
     expect(bestSellOrders[2]).toMatchObject(timelessOrder3)
   })
 
+  it('can page through trades in a range of time', () => {
+    trade(1000)
+    trade(1001)
+    clock.tick(1)
+    const middle = clock()
+    trade(1002)
+    trade(1003)
+    trade(1004)
+
+    expect(matcher.queryHistory().total).toBe(5)
+    const { total, entries } = matcher.queryHistory({ from: middle, offset: 1, limit: 1 })
+    expect(total).toBe(3)
+    expect(entries.map(entry => entry.price)).toEqual([1003])
+    expect(matcher.queryHistory({ to: middle }).entries.map(entry => entry.price)).toEqual([1000, 1001])
+    expect(matcher.queryHistory({ from: middle, offset: 5 })).toEqual({ total: 3, entries: [] })
+  })
+
+  it('keeps candles up to date as trades happen', () => {
+    trade(1000, 2)
+    clock.tick(30 * 1000)
+    trade(1100, 1)
+    expect(matcher.getCandles('1m')).toMatchObject([{ open: 1000, high: 1100, close: 1100, volume: 3 }])
+    clock.tick(30 * 1000)
+    trade(900, 1)
+    expect(matcher.getCandles('1m').map(candle => candle.close)).toEqual([1100, 900])
+    expect(matcher.getCandles('1h')).toMatchObject([{ open: 1000, low: 900, close: 900, volume: 4, trades: 3 }])
+    expect(() => matcher.getCandles('2m')).toThrow()
+
+    // and works them out again from a snapshot's history
+    expect(Matcher.fromSnapshot(matcher.toSnapshot()).getCandles('1m')).toEqual(matcher.getCandles('1m'))
+  })
+
+  it('gives statistics for the last day of trading', () => {
+    expect(matcher.getDailyStats()).toMatchObject({ lastPrice: null, volume: 0, trades: 0 })
+    trade(800, 1)
+    clock.tick(60 * 60 * 1000)
+    trade(1000, 1)
+    clock.tick(60 * 60 * 1000)
+    trade(1200, 3)
+    expect(matcher.getDailyStats()).toMatchObject({ lastPrice: 1200, openPrice: 800, change: 400, volume: 5, trades: 3 })
+
+    clock.tick(23.5 * 60 * 60 * 1000)
+    expect(matcher.getDailyStats()).toMatchObject({
+      lastPrice: 1200,
+      openPrice: 1200,
+      change: 0,
+      volume: 3,
+      value: 3600,
+      vwap: 1200,
+      trades: 1
+    })
+  })
+
+  it('can summarise the depth of the book without revealing accounts', () => {
+    const orders = [
+      { account: alice, price: 900, quantity: 5, action: BUY },
+      { account: bob, price: 900, quantity: 3, action: BUY },
+      { account: bob, price: 950, quantity: 1, action: BUY },
+      { account: charlie, price: 800, quantity: 2, action: BUY },
+      { account: alice, price: 1000, quantity: 4, action: SELL },
+      { account: dee, price: 1100, quantity: 2, action: SELL },
+      { account: alice, price: 1000, quantity: 6, action: SELL }
+    ]
+    orders.forEach(order => matcher.addOrder(new Order(order)))
+
+    const depth = matcher.getDepth(2)
+    expect(depth).toEqual({
+      buy: [
+        { price: 950, quantity: 1, orders: 1 },
+        { price: 900, quantity: 8, orders: 2 }
+      ],
+      sell: [
+        { price: 1000, quantity: 10, orders: 2 },
+        { price: 1100, quantity: 2, orders: 1 }
+      ],
+      spread: 50,
+      midPrice: 975
+    })
+    expect(JSON.stringify(depth)).not.toContain(alice)
+  })
+
+  it('has no spread or mid price when one side of the book is empty', () => {
+    let order = new Order({
+      account: alice,
+      price: 1000,
+      quantity: 5,
+      action: BUY
+    })
+    expect(matcher.getDepth(5)).toEqual({ buy: [], sell: [], spread: null, midPrice: null })
+    matcher.addOrder(order)
+    expect(matcher.getDepth(5)).toEqual({
+      buy: [{ price: 1000, quantity: 5, orders: 1 }],
+      sell: [],
+      spread: null,
+      midPrice: null
+    })
+  })
+
   it('keeps track of the history of trades', () => {
+    matcher = new Matcher({ pricePolicy: exchangeKeepsSpread, clock })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
     let buyOrder1 = new Order({
       account: alice,
       price: 1000,
@@ -583,7 +816,1666 @@ describe('Matcher', () => {
     matcher.processOrder()
 
     const history = matcher.getHistory()
-    expect(history[0]).toMatchObject({buyer: alice, seller: bob, buyPrice: 1000, sellPrice: 500, quantity: 5})
-    expect(history[1]).toMatchObject({buyer: bob, seller: alice, buyPrice: 200, sellPrice: 100, quantity: 6})
+    expect(history[0]).toMatchObject({buyer: alice, seller: bob, price: 500, overhead: 2500, quantity: 5, aggressor: SELL})
+    expect(history[1]).toMatchObject({buyer: bob, seller: alice, price: 100, overhead: 600, quantity: 6, aggressor: SELL})
+  })
+
+  it('keeps trading after its history and balances have been read', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1000,
+      quantity: 2,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 1,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder)
+    matcher.processOrder()
+    const history = matcher.getHistory()
+    const users = matcher.getUsers()
+
+    matcher.addOrder(sellOrder)
+    matcher.processOrder()
+    expect(history).toHaveLength(1)
+    expect(users[alice]).toMatchObject({ stock: 72 })
+    expect(matcher.getHistory()).toHaveLength(2)
+    expect(matcher.getUsers()[alice]).toMatchObject({ stock: 73 })
+  })
+
+  it('gives every order an id', () => {
+    let order1 = new Order({
+      account: charlie,
+      price: 1400,
+      quantity: 12,
+      action: BUY
+    })
+    let order2 = new Order({
+      account: charlie,
+      price: 1400,
+      quantity: 12,
+      action: BUY
+    })
+    const { id: id1 } = matcher.addOrder(order1)
+    const { id: id2 } = matcher.addOrder(order2)
+    expect(id1).not.toEqual(id2)
+    expect(matcher.getOrder(id1)).toMatchObject({ id: id1, account: charlie })
+    expect(matcher.getOrder(id2)).toMatchObject({ id: id2, account: charlie })
+  })
+
+  it('keeps the order id when an order is partially filled', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1500,
+      quantity: 6,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
+    const { id: buyId } = matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder)
+    matcher.processOrder()
+    expect(matcher.getBestBuyOrder()).toMatchObject({ id: buyId, quantity: 1 })
+  })
+
+  it('can cancel an order', () => {
+    let order = new Order({
+      account: alice,
+      price: 1400,
+      quantity: 10,
+      action: BUY
+    })
+    const { id } = matcher.addOrder(order)
+    expect(matcher.cancelOrder(id, alice)).toMatchObject({ id, quantity: 10 })
+    expect(matcher.getOrdersByAccount(alice)).toEqual([])
+    expect(() => matcher.getOrder(id)).toThrow()
+    expect(() => matcher.cancelOrder(id, alice)).toThrow()
+  })
+
+  it("refuses to cancel or amend another account's order", () => {
+    let order = new Order({
+      account: alice,
+      price: 1300,
+      quantity: 10,
+      action: SELL
+    })
+    const { id } = matcher.addOrder(order)
+    expect(() => matcher.cancelOrder(id, bob)).toThrow()
+    expect(() => matcher.amendOrder(id, bob, { quantity: 5 })).toThrow()
+    expect(matcher.getOrder(id)).toMatchObject({ quantity: 10 })
+  })
+
+  it('keeps time priority when an amendment reduces quantity', () => {
+    let order1 = new Order({
+      account: alice,
+      price: 1300,
+      quantity: 10,
+      action: SELL
+    })
+    let order2 = new Order({
+      account: bob,
+      price: 1300,
+      quantity: 10,
+      action: SELL
+    })
+    const { id: id1 } = matcher.addOrder(order1)
+    matcher.addOrder(order2)
+    const before = matcher.getOrder(id1)
+    const { order: amended, fills } = matcher.amendOrder(id1, alice, { quantity: 4 })
+    expect(fills).toEqual([])
+    expect(amended).toMatchObject({ id: id1, price: 1300, quantity: 4 })
+    expect(amended.time).toBe(before.time)
+    expect(matcher.getBestSellOrder()).toEqual(amended)
+  })
+
+  it('loses time priority when an amendment changes price or adds quantity', () => {
+    let order1 = new Order({
+      account: alice,
+      price: 1300,
+      quantity: 10,
+      action: BUY
+    })
+    let order2 = new Order({
+      account: bob,
+      price: 1300,
+      quantity: 10,
+      action: BUY
+    })
+    const { id: id1 } = matcher.addOrder(order1)
+    const { id: id2 } = matcher.addOrder(order2)
+
+    matcher.amendOrder(id1, alice, { price: 1350 })
+    expect(matcher.getBestBuyOrder()).toMatchObject({ id: id1, price: 1350 })
+    matcher.amendOrder(id1, alice, { price: 1300 })
+    expect(matcher.getBestBuyOrder()).toMatchObject({ id: id2 })
+
+    matcher.amendOrder(id2, bob, { quantity: 11 })
+    expect(matcher.getBestBuyOrder()).toMatchObject({ id: id1 })
+  })
+
+  it('rejects amendments to a quantity of zero', () => {
+    let order = new Order({
+      account: alice,
+      price: 1300,
+      quantity: 10,
+      action: BUY
+    })
+    const { id } = matcher.addOrder(order)
+    expect(() => matcher.amendOrder(id, alice, { quantity: 0 })).toThrow()
+    expect(matcher.getOrder(id)).toMatchObject({ quantity: 10 })
+  })
+
+  it('leaves the book, balances and status as they were when an amendment fails', () => {
+    const { id: buy } = matcher.addOrder(new Order({ account: alice, price: 1300, quantity: 10, action: BUY }))
+    const { id: sell } = matcher.addOrder(new Order({ account: bob, price: 1400, quantity: 5, action: SELL }))
+    const before = matcher.toSnapshot()
+    expect(() => matcher.amendOrder(buy, alice, { price: null })).toThrow('Limit orders must have a price')
+    expect(() => matcher.amendOrder(sell, bob, { price: null, quantity: 2 })).toThrow('Limit orders must have a price')
+    expect(matcher.toSnapshot()).toEqual(before)
+    expect(matcher.getOrderStatus(sell)).toMatchObject({ status: OPEN, remaining: 5 })
+    matcher.cancelOrder(sell, bob)
+    expect(matcher.getUsers()[bob]).toMatchObject({ stock: 17, stockHeld: 0 })
+  })
+
+  it('matches everything it can in one go', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1500,
+      quantity: 6,
+      action: BUY
+    })
+    let sellOrder1 = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 4,
+      action: SELL
+    })
+    let sellOrder2 = new Order({
+      account: bob,
+      price: 1200,
+      quantity: 4,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder1)
+    const { id: sellId2 } = matcher.addOrder(sellOrder2)
+
+    const { fills, discarded } = matcher.matchAll()
+    expect(fills).toHaveLength(2)
+    expect(fills[0]).toMatchObject({ buyer: alice, seller: bob, quantity: 4 })
+    expect(fills[1]).toMatchObject({ buyer: alice, seller: bob, quantity: 2 })
+    expect(discarded).toEqual([])
+    expect(matcher.hasFoundOverlap()).toBe(false)
+    expect(matcher.getBestSellOrder()).toMatchObject({ id: sellId2, quantity: 2 })
+    expect(matcher.matchAll()).toEqual({ fills: [], discarded: [], selfTrades: [], triggered: [], outcomes: [] })
+  })
+
+  it('matches buy and sell orders at the same price', () => {
+    let buyOrder = new Order({
+      account: alice,
+      price: 1000,
+      quantity: 5,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder)
+    expect(matcher.hasFoundOverlap()).toBe(true)
+    matcher.processOrder()
+    const users = matcher.getUsers()
+    expect(users[alice]).toMatchObject({ money: 10000, stock: 76 })
+    expect(users[bob]).toMatchObject({ money: 24000, stock: 12 })
+    expect(matcher.getHistory()[0]).toMatchObject({ price: 1000, overhead: 0 })
+    expect(matcher.getOverheadMade()).toBe(0)
+  })
+
+  it('can trade at the price of the resting order', () => {
+    matcher = new Matcher({ pricePolicy: restingOrderPrice })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+    let buyOrder = new Order({
+      account: alice,
+      price: 1500,
+      quantity: 5,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder)
+    matcher.processOrder()
+    const users = matcher.getUsers()
+    expect(users[alice]).toMatchObject({ money: 7500, stock: 76 })
+    expect(users[bob]).toMatchObject({ money: 26500, stock: 12 })
+    expect(matcher.getHistory()[0]).toMatchObject({
+      buyer: alice,
+      seller: bob,
+      price: 1500,
+      aggressor: SELL,
+      overhead: 0
+    })
+    expect(matcher.getOverheadMade()).toBe(0)
+  })
+
+  it('treats a later buy order as the aggressor', () => {
+    matcher = new Matcher({ pricePolicy: restingOrderPrice, clock })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
+    let buyOrder = new Order({
+      account: alice,
+      price: 1500,
+      quantity: 5,
+      action: BUY
+    })
+    matcher.addOrder(sellOrder)
+    clock.tick(1)
+    matcher.addOrder(buyOrder)
+    matcher.processOrder()
+    expect(matcher.getHistory()[0]).toMatchObject({ price: 1000, aggressor: BUY })
+  })
+
+  it('treats a buy order placed straight after a sell order as the aggressor', () => {
+    matcher = new Matcher({ pricePolicy: restingOrderPrice, clock })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+    matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+    matcher.addOrder(new Order({ account: alice, price: 1500, quantity: 5, action: BUY }))
+    matcher.processOrder()
+    expect(matcher.getHistory()[0]).toMatchObject({ price: 1000, aggressor: BUY })
+  })
+
+  it('does not number orders that could not be placed', () => {
+    const { id: id1 } = matcher.addOrder(new Order({ account: alice, price: 1300, quantity: 1, action: BUY }))
+    expect(() => matcher.addOrder(new Order({ account: dee, price: 1300, quantity: 1, action: BUY }))).toThrow()
+    const { id: id2 } = matcher.addOrder(new Order({ account: bob, price: 1300, quantity: 1, action: BUY }))
+    expect(matcher.getOrder(id2).sequence).toBe(matcher.getOrder(id1).sequence + 1)
+  })
+
+  it('can trade at the midpoint of the two prices', () => {
+    matcher = new Matcher({ pricePolicy: midpointPrice })
+    alice = matcher.addUser(15000, 71)
+    bob = matcher.addUser(19000, 17)
+    let buyOrder = new Order({
+      account: alice,
+      price: 1501,
+      quantity: 5,
+      action: BUY
+    })
+    let sellOrder = new Order({
+      account: bob,
+      price: 1000,
+      quantity: 5,
+      action: SELL
+    })
+    matcher.addOrder(buyOrder)
+    matcher.addOrder(sellOrder)
+    matcher.processOrder()
+    const users = matcher.getUsers()
+    expect(users[alice]).toMatchObject({ money: 8750, stock: 76 })
+    expect(users[bob]).toMatchObject({ money: 25250, stock: 12 })
+    expect(matcher.getHistory()[0]).toMatchObject({ price: 1250, overhead: 0 })
+    expect(matcher.getOverheadMade()).toBe(0)
+  })
+
+  describe('with orders that must trade immediately', () => {
+    let sellIds
+
+    beforeEach(() => {
+      sellIds = [
+        new Order({ account: bob, price: 1000, quantity: 3, action: SELL }),
+        new Order({ account: bob, price: 1100, quantity: 3, action: SELL }),
+        new Order({ account: alice, price: 1200, quantity: 5, action: SELL })
+      ].map(order => matcher.addOrder(order).id)
+    })
+
+    it('sweeps the book with market orders', () => {
+      let marketOrder = new Order({
+        account: charlie,
+        quantity: 5,
+        action: BUY,
+        type: MARKET
+      })
+      const { fills, discarded } = matcher.addOrder(marketOrder)
+      expect(fills).toHaveLength(2)
+      expect(fills[0]).toMatchObject({ buyer: charlie, seller: bob, price: 1000, quantity: 3, aggressor: BUY })
+      expect(fills[1]).toMatchObject({ buyer: charlie, seller: bob, price: 1100, quantity: 2, aggressor: BUY })
+      expect(discarded).toEqual([])
+      expect(matcher.getBestSellOrder()).toMatchObject({ id: sellIds[1], quantity: 1 })
+      expect(matcher.getUsers()[charlie]).toMatchObject({ money: 43000 - 5200, stock: 5 })
+      expect(matcher.getOrdersByAccount(charlie)).toEqual([])
+    })
+
+    it('discards what is left of a market order once the book is exhausted', () => {
+      let marketOrder = new Order({
+        account: charlie,
+        quantity: 20,
+        action: BUY,
+        type: MARKET
+      })
+      const { fills, discarded } = matcher.addOrder(marketOrder)
+      expect(fills.map(fill => fill.quantity)).toEqual([3, 3, 5])
+      expect(discarded).toHaveLength(1)
+      expect(discarded[0]).toMatchObject({ account: charlie, quantity: 9, type: MARKET })
+      expect(matcher.getBestNSellOrders(1)).toEqual([])
+      expect(matcher.getOrdersByAccount(charlie)).toEqual([])
+    })
+
+    it('sells into the book with market orders', () => {
+      matcher.addOrder(new Order({ account: charlie, price: 900, quantity: 2, action: BUY }))
+      matcher.addOrder(new Order({ account: charlie, price: 950, quantity: 2, action: BUY }))
+      let marketOrder = new Order({
+        account: dee,
+        quantity: 3,
+        action: SELL,
+        type: MARKET
+      })
+      const { fills, discarded } = matcher.addOrder(marketOrder)
+      expect(fills.map(fill => fill.price)).toEqual([950, 900])
+      expect(discarded).toEqual([])
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 120 + 2800, stock: 1 })
+    })
+
+    it('requires limit orders to have a price and market orders not to', () => {
+      expect(() => {
+        matcher.addOrder(new Order({ account: charlie, quantity: 5, action: BUY }))
+      }).toThrow()
+      expect(() => {
+        matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 5, action: BUY, type: MARKET }))
+      }).toThrow()
+    })
+
+    it('discards what is left of immediate or cancel orders', () => {
+      let iocOrder = new Order({
+        account: charlie,
+        price: 1100,
+        quantity: 10,
+        action: BUY,
+        timeInForce: IOC
+      })
+      const { fills, discarded } = matcher.addOrder(iocOrder)
+      expect(fills.map(fill => fill.quantity)).toEqual([3, 3])
+      expect(discarded).toHaveLength(1)
+      expect(discarded[0]).toMatchObject({ account: charlie, price: 1100, quantity: 4 })
+      expect(matcher.getOrdersByAccount(charlie)).toEqual([])
+      expect(matcher.getBestSellOrder()).toMatchObject({ id: sellIds[2], quantity: 5 })
+    })
+
+    it('fills fill or kill orders that the book can satisfy', () => {
+      let fokOrder = new Order({
+        account: charlie,
+        price: 1200,
+        quantity: 10,
+        action: BUY,
+        timeInForce: FOK
+      })
+      const { fills, discarded } = matcher.addOrder(fokOrder)
+      expect(fills.map(fill => fill.quantity)).toEqual([3, 3, 4])
+      expect(discarded).toEqual([])
+      expect(matcher.getUsers()[charlie]).toMatchObject({ stock: 10 })
+    })
+
+    it('leaves the book untouched for fill or kill orders it cannot satisfy', () => {
+      const sellOrders = matcher.getBestNSellOrders(3)
+      const users = matcher.getUsers()
+      let fokOrder = new Order({
+        account: charlie,
+        price: 1100,
+        quantity: 7,
+        action: BUY,
+        timeInForce: FOK
+      })
+      const { fills, discarded } = matcher.addOrder(fokOrder)
+      expect(fills).toEqual([])
+      expect(discarded).toHaveLength(1)
+      expect(discarded[0]).toMatchObject({ account: charlie, quantity: 7 })
+      expect(matcher.getBestNSellOrders(3)).toEqual(sellOrders)
+      expect(matcher.getUsers()).toEqual(users)
+      expect(matcher.getHistory()).toEqual([])
+    })
+
+    it('does not fill a fill or kill order beyond what its owner can afford', () => {
+      let fokOrder = new Order({
+        account: dee,
+        quantity: 1,
+        action: BUY,
+        type: MARKET,
+        timeInForce: FOK
+      })
+      const { fills, discarded } = matcher.addOrder(fokOrder)
+      expect(fills).toEqual([])
+      expect(discarded).toHaveLength(1)
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 120, stock: 4 })
+    })
+  })
+
+  describe('in auto-match mode', () => {
+    beforeEach(() => {
+      matcher = new Matcher({ autoMatch: true })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+    })
+
+    it('matches each order as it is placed', () => {
+      let sellOrder = new Order({
+        account: bob,
+        price: 1000,
+        quantity: 5,
+        action: SELL
+      })
+      let buyOrder = new Order({
+        account: alice,
+        price: 1500,
+        quantity: 3,
+        action: BUY
+      })
+      const placedSell = matcher.addOrder(sellOrder)
+      expect(placedSell).toEqual({ id: placedSell.id, fills: [], discarded: [], selfTrades: [], triggered: [], outcomes: [] })
+
+      const placedBuy = matcher.addOrder(buyOrder)
+      expect(placedBuy.fills).toHaveLength(1)
+      expect(placedBuy.fills[0]).toMatchObject({ buyer: alice, seller: bob, quantity: 3 })
+      expect(placedBuy.discarded).toEqual([])
+      expect(matcher.getOrdersByAccount(alice)).toEqual([])
+      expect(matcher.getOrder(placedSell.id)).toMatchObject({ quantity: 2 })
+    })
+
+    it('matches orders whose amended price crosses the book', () => {
+      let sellOrder = new Order({
+        account: bob,
+        price: 1000,
+        quantity: 5,
+        action: SELL
+      })
+      let buyOrder = new Order({
+        account: alice,
+        price: 900,
+        quantity: 5,
+        action: BUY
+      })
+      matcher.addOrder(sellOrder)
+      const { id } = matcher.addOrder(buyOrder)
+      expect(matcher.hasFoundOverlap()).toBe(false)
+
+      const amended = matcher.amendOrder(id, alice, { price: 1100 })
+      expect(amended.order).toMatchObject({ id, price: 1100 })
+      expect(amended.fills).toHaveLength(1)
+      expect(amended.outcomes.map(outcome => outcome.type)).toEqual(['fill'])
+      expect(amended.fills[0]).toMatchObject({ buyer: alice, seller: bob, quantity: 5 })
+      expect(matcher.hasFoundOverlap()).toBe(false)
+    })
+  })
+
+  describe('with trading rules', () => {
+    const rejectionOf = order => {
+      try {
+        matcher.addOrder(new Order(order))
+      } catch (e) {
+        expect(e).toBeInstanceOf(TradingRuleError)
+        return e
+      }
+      throw new Error('The order was placed')
+    }
+
+    beforeEach(() => {
+      matcher = new Matcher({
+        clock,
+        autoMatch: true,
+        tradingRules: tradingRules({ minQuantity: 10, maxQuantity: 1000, lotSize: 5, tickSize: 25, priceBand: 10 })
+      })
+      alice = matcher.addUser(150000, 710)
+      bob = matcher.addUser(190000, 170)
+    })
+
+    it('limits the quantity of orders, in whole lots', () => {
+      expect(rejectionOf({ account: alice, price: 1000, quantity: 5, action: BUY }))
+        .toMatchObject({ code: QUANTITY_TOO_SMALL, minQuantity: 10 })
+      expect(rejectionOf({ account: alice, price: 100, quantity: 1005, action: BUY }))
+        .toMatchObject({ code: QUANTITY_TOO_LARGE, maxQuantity: 1000 })
+      expect(rejectionOf({ account: alice, price: 1000, quantity: 12, action: BUY }))
+        .toMatchObject({ code: QUANTITY_NOT_IN_LOTS, lotSize: 5, message: expect.stringContaining('lot size of 5') })
+      expect(matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 15, action: BUY })).id).toBeDefined()
+    })
+
+    it('only takes prices in whole ticks', () => {
+      expect(rejectionOf({ account: alice, price: 1010, quantity: 10, action: BUY }))
+        .toMatchObject({ code: PRICE_NOT_ON_TICK, tickSize: 25 })
+      expect(rejectionOf({ account: bob, stopPrice: 990, quantity: 10, action: SELL, type: STOP }))
+        .toMatchObject({ code: PRICE_NOT_ON_TICK, message: expect.stringContaining('not 990') })
+    })
+
+    it('keeps limit prices near the last price traded', () => {
+      // there is nothing to go by before the first trade
+      matcher.addOrder(new Order({ account: bob, price: 2000, quantity: 10, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 2000, quantity: 10, action: BUY }))
+      expect(rejectionOf({ account: alice, price: 1775, quantity: 10, action: BUY }))
+        .toMatchObject({ code: PRICE_OUTSIDE_BAND, lowest: 1800, highest: 2200 })
+      expect(rejectionOf({ account: bob, price: 2225, quantity: 10, action: SELL }))
+        .toMatchObject({ code: PRICE_OUTSIDE_BAND, message: expect.stringContaining('within 10% of the last price of 2000') })
+      matcher.addOrder(new Order({ account: bob, price: 2200, quantity: 10, action: SELL }))
+      // market orders have no price, and stop limit orders are priced for later
+      matcher.addOrder(new Order({ account: alice, quantity: 10, action: BUY, type: MARKET }))
+      matcher.addOrder(new Order({
+        account: bob, price: 1000, stopPrice: 1500, quantity: 10, action: SELL, type: STOP_LIMIT
+      }))
+    })
+
+    it('applies to amendments, except for the band on a price left alone', () => {
+      const { id } = matcher.addOrder(new Order({ account: alice, price: 1800, quantity: 20, action: BUY }))
+      matcher.addOrder(new Order({ account: bob, price: 2000, quantity: 10, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 2000, quantity: 10, action: BUY }))
+      expect(() => matcher.amendOrder(id, alice, { quantity: 12 })).toThrow(TradingRuleError)
+      expect(() => matcher.amendOrder(id, alice, { price: 1775 })).toThrow('within 10%')
+      matcher.addOrder(new Order({ account: bob, price: 2200, quantity: 10, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 2200, quantity: 10, action: BUY }))
+      // the last price is now 2200, which leaves the order outside the band
+      expect(matcher.amendOrder(id, alice, { quantity: 10 }).order).toMatchObject({ price: 1800, quantity: 10 })
+    })
+  })
+
+  describe('with market states', () => {
+    const rejectionOf = order => {
+      try {
+        matcher.addOrder(new Order(order))
+      } catch (e) {
+        expect(e).toBeInstanceOf(MarketNotOpenError)
+        return e
+      }
+      throw new Error('The order was placed')
+    }
+
+    it('halts trading, still allowing cancels, until it resumes', () => {
+      const rejected = []
+      matcher.on('reject', outcome => rejected.push(outcome))
+      const { id } = matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      const halted = matcher.halt('Unusual trading')
+      expect(halted).toMatchObject({ state: HALTED, reason: 'Unusual trading', fills: [], triggered: [] })
+      expect(halted.outcomes).toEqual([new MarketStateChanged({ state: HALTED, reason: 'Unusual trading' })])
+      expect(matcher.getMarketState()).toEqual({ state: HALTED, reason: 'Unusual trading' })
+
+      expect(rejectionOf({ account: alice, price: 1000, quantity: 1, action: BUY }))
+        .toMatchObject({ state: HALTED, reason: 'Unusual trading', message: 'Trading is halted: Unusual trading' })
+      expect(rejected.map(outcome => outcome.error)).toEqual(['MarketNotOpenError'])
+      expect(() => matcher.amendOrder(id, bob, { quantity: 4 })).toThrow(MarketNotOpenError)
+      expect(() => matcher.processOrder()).toThrow("Orders can't be processed while the market is halted")
+      expect(matcher.matchAll().fills).toEqual([])
+      expect(() => matcher.halt('Again')).toThrow('The market is already halted')
+      matcher.cancelOrder(id, bob)
+      expect(matcher.getOrderStatus(id).status).toBe(CANCELLED)
+
+      expect(matcher.resume()).toMatchObject({ state: OPEN, reason: null })
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 2, action: SELL }))
+      expect(matcher.processOrder().fill).toMatchObject({ buyer: alice, seller: bob, quantity: 2 })
+    })
+
+    it('refuses every new order while closed', () => {
+      matcher.setMarketState(CLOSED, 'Out of hours')
+      expect(rejectionOf({ account: bob, stopPrice: 900, quantity: 1, action: SELL, type: STOP }).message)
+        .toBe('Trading is closed: Out of hours')
+      expect(() => matcher.setMarketState('LUNCH')).toThrow()
+      expect(matcher.getMarketState().state).toBe(CLOSED)
+    })
+
+    it('lets good orders rest in an auction and matches them as it opens', () => {
+      matcher = new Matcher({ clock, autoMatch: true })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      matcher.setMarketState(AUCTION)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 3, action: BUY }))
+      expect(matcher.hasFoundOverlap()).toBe(true)
+      expect(rejectionOf({ account: alice, quantity: 1, action: BUY, type: MARKET }).message)
+        .toContain("Only good 'til cancelled")
+      rejectionOf({ account: alice, price: 1100, quantity: 1, action: BUY, timeInForce: IOC })
+
+      const opened = matcher.resume()
+      expect(opened.fills).toHaveLength(1)
+      expect(opened.fills[0]).toMatchObject({ buyer: alice, seller: bob, price: 1000, quantity: 3 })
+      expect(opened.outcomes.map(outcome => outcome.type)).toEqual(['marketState', 'fill'])
+      expect(matcher.hasFoundOverlap()).toBe(false)
+    })
+
+    describe('and a circuit breaker', () => {
+      let journal
+
+      beforeEach(() => {
+        journal = new MemoryJournal()
+        matcher = new Matcher({
+          clock,
+          journal,
+          autoMatch: true,
+          circuitBreaker: priceMoveBreaker({ percentage: 10, minutes: 5 })
+        })
+        alice = matcher.addUser(15000, 71)
+        bob = matcher.addUser(19000, 17)
+        charlie = matcher.addUser(43000, 0)
+        matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+        matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 1, action: BUY }))
+        clock.tick(60000)
+        ;[1050, 1150, 1200].forEach(price => {
+          matcher.addOrder(new Order({ account: bob, price, quantity: 1, action: SELL }))
+        })
+      })
+
+      it('halts the market when a trade moves the price too far', () => {
+        const events = []
+        matcher.on('marketState', outcome => events.push(outcome))
+        const { id: stop } = matcher.addOrder(new Order({
+          account: charlie, stopPrice: 1100, quantity: 1, action: BUY, type: STOP
+        }))
+        const { fills, discarded, triggered, outcomes } = matcher.addOrder(new Order({
+          account: alice, quantity: 3, action: BUY, type: MARKET
+        }))
+        expect(fills.map(fill => fill.price)).toEqual([1050, 1150])
+        expect(discarded).toEqual([expect.objectContaining({ quantity: 1 })])
+        expect(outcomes.map(outcome => outcome.type)).toEqual(['fill', 'fill', 'marketState', 'discard'])
+        expect(outcomes[3].reason).toBe(MARKET_HALTED)
+        expect(events).toEqual([outcomes[2]])
+        expect(matcher.getMarketState()).toEqual({
+          state: HALTED,
+          reason: 'The price moved from 1000 to 1150, more than 10% within 5 minutes'
+        })
+        // stops set off by trades before the halt wait for the market to resume
+        expect(triggered).toEqual([])
+        expect(matcher.getOrder(stop).type).toBe(STOP)
+
+        // by when the trades that moved the price are too old to count
+        clock.tick(6 * 60000)
+        const resumed = matcher.resume()
+        expect(resumed.triggered).toEqual([expect.objectContaining({ account: charlie, type: MARKET })])
+        expect(resumed.fills).toEqual([expect.objectContaining({ buyer: charlie, price: 1200 })])
+        expect(matcher.getMarketState().state).toBe(OPEN)
+
+        const replayed = Matcher.replay(journal, { autoMatch: true, circuitBreaker: priceMoveBreaker({ percentage: 10 }) })
+        expect(replayed.toSnapshot()).toEqual(matcher.toSnapshot())
+      })
+
+      it('still fills fill or kill orders completely', () => {
+        const { fills, discarded } = matcher.addOrder(new Order({
+          account: alice, price: 1200, quantity: 3, action: BUY, timeInForce: FOK
+        }))
+        expect(fills.map(fill => fill.price)).toEqual([1050, 1150, 1200])
+        expect(discarded).toEqual([])
+        expect(matcher.getMarketState().state).toBe(HALTED)
+      })
+    })
+  })
+
+  describe('with fees', () => {
+    const trade = (buyPrice, sellPrice, quantity) => {
+      // bob's sell order rests on the book, so alice is the taker
+      matcher.addOrder(new Order({ account: bob, price: sellPrice, quantity, action: SELL }))
+      clock.tick(1)
+      matcher.addOrder(new Order({ account: alice, price: buyPrice, quantity, action: BUY }))
+      matcher.processOrder()
+    }
+
+    const useFees = feeSchedule => {
+      matcher = new Matcher({ feeSchedule, clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+    }
+
+    it('charges makers and takers a percentage of the value traded', () => {
+      useFees(percentageFees({ maker: 0.1, taker: 0.25 }))
+      trade(1000, 1000, 10)
+      expect(matcher.getHistory()[0]).toMatchObject({ buyerFee: 25, sellerFee: 10, overhead: 0 })
+      expect(matcher.getUsers()[alice]).toMatchObject({ money: 4975, stock: 81 })
+      expect(matcher.getUsers()[bob]).toMatchObject({ money: 28990, stock: 7 })
+    })
+
+    it('rounds percentage fees up to a whole unit', () => {
+      useFees(percentageFees({ maker: 0.1, taker: 0.1 }))
+      trade(1001, 1001, 1)
+      expect(matcher.getHistory()[0]).toMatchObject({ buyerFee: 2, sellerFee: 2 })
+    })
+
+    it('can charge a fixed fee for each trade', () => {
+      useFees(fixedFees({ maker: 5, taker: 15 }))
+      trade(1000, 1000, 3)
+      expect(matcher.getHistory()[0]).toMatchObject({ buyerFee: 15, sellerFee: 5 })
+      expect(matcher.getUsers()[alice].money).toBe(11985)
+    })
+
+    it('never charges a seller more than they are paid', () => {
+      useFees(fixedFees({ maker: 5000 }))
+      trade(1000, 1000, 1)
+      expect(matcher.getHistory()[0].sellerFee).toBe(1000)
+      expect(matcher.getUsers()[bob].money).toBe(19000)
+    })
+
+    it('pays fees and any spread kept into the fee account', () => {
+      matcher = new Matcher({ feeSchedule: fixedFees({ maker: 5, taker: 15 }), pricePolicy: exchangeKeepsSpread, clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      expect(matcher.getUsers()[FEE_ACCOUNT]).toBeUndefined()
+      trade(1100, 1000, 2)
+      trade(1000, 1000, 1)
+      expect(matcher.getUsers()[FEE_ACCOUNT]).toMatchObject({ money: 240, stock: 0 })
+      expect(matcher.getOverheadMade()).toBe(200)
+    })
+
+    it('can pay fees into another account', () => {
+      const feeAccount = '6e1b1a4c-5d4e-4c1f-9a2b-3c4d5e6f7a8b'
+      matcher = new Matcher({ feeSchedule: fixedFees({ taker: 15 }), feeAccount, clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      trade(1000, 1000, 1)
+      expect(matcher.getUsers()[feeAccount].money).toBe(15)
+      expect(matcher.getUsers()[FEE_ACCOUNT]).toBeUndefined()
+    })
+
+    it('moves accounts into cheaper tiers as they trade more', () => {
+      useFees(tieredFees([
+        { volume: 0, fees: fixedFees({ maker: 20, taker: 20 }) },
+        { volume: 3000, fees: fixedFees({ maker: 10, taker: 10 }) }
+      ], { days: 1 }))
+      trade(1000, 1000, 2)
+      trade(1000, 1000, 1)
+      trade(1000, 1000, 1)
+      expect(matcher.getHistory().map(entry => entry.buyerFee)).toEqual([20, 20, 10])
+
+      // trades fall out of the volume once they are older than the window
+      clock.tick(24 * 60 * 60 * 1000)
+      trade(1000, 1000, 1)
+      expect(matcher.getHistory()[3].buyerFee).toBe(20)
+    })
+
+    it('only buys as many as the buyer can pay the fees on', () => {
+      useFees(fixedFees({ taker: 15 }))
+      dee = matcher.addUser(2020, 0)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: dee, price: 1000, quantity: 2, action: BUY }))
+      matcher.matchAll()
+      // the first trade costs 1015, leaving too little for the second
+      expect(matcher.getHistory()).toHaveLength(1)
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 1005, stock: 1, moneyHeld: 0 })
+    })
+
+    it('counts fees when deciding whether a fill or kill order can fill', () => {
+      useFees(fixedFees({ taker: 15 }))
+      dee = matcher.addUser(2020, 0)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      // enough for the fee on one trade, but not on the two it would take
+      matcher.addOrder(new Order({ account: dee, price: 1000, quantity: 2, action: BUY, timeInForce: FOK }))
+      expect(matcher.getHistory()).toHaveLength(0)
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 2020, moneyHeld: 0 })
+    })
+
+    it('refuses buys that leave too little beside their price to pay the fee', () => {
+      useFees(percentageFees({ maker: 1, taker: 1 }))
+      dee = matcher.addUser(1000, 0)
+      const buy = fields => () => matcher.addOrder(new Order({ account: dee, price: 100, quantity: 10, action: BUY, ...fields }))
+      expect(buy()).toThrow('has 1000 money available but needs 1010')
+      expect(buy({ timeInForce: FOK })).toThrow(InsufficientFundsError)
+      const { id } = matcher.addOrder(new Order({ account: dee, price: 100, quantity: 9, action: BUY }))
+      expect(() => matcher.amendOrder(id, dee, { quantity: 10 })).toThrow('has 100 money available but needs 110')
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 1000, moneyHeld: 900 })
+    })
+
+    it('fills a buyer with exactly enough for the price and the fee', () => {
+      useFees(percentageFees({ maker: 1, taker: 1 }))
+      dee = matcher.addUser(1010, 0)
+      matcher.addOrder(new Order({ account: bob, price: 100, quantity: 10, action: SELL }))
+      matcher.addOrder(new Order({ account: dee, price: 100, quantity: 10, action: BUY, timeInForce: FOK }))
+      expect(matcher.getHistory()).toMatchObject([{ quantity: 10, buyerFee: 10 }])
+      expect(matcher.getUsers()[dee]).toMatchObject({ money: 0, moneyHeld: 0, stock: 10 })
+    })
+  })
+
+  describe('with self-trade prevention', () => {
+    const useSelfTradePolicy = selfTradePolicy => {
+      matcher = new Matcher({ autoMatch: true, selfTradePolicy, clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+    }
+
+    const place = (account, quantity, action, fields) => {
+      clock.tick(1)
+      return matcher.addOrder(new Order({ account, price: 1000, quantity, action, ...fields }))
+    }
+
+    it("cancels an account's newest order rather than trade with itself by default", () => {
+      const sell = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: SELL }))
+      const buy = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 3, action: BUY }))
+      const { fills, discarded, selfTrades } = matcher.matchAll()
+      expect(fills).toEqual([])
+      expect(discarded.map(order => order.id)).toEqual([buy.id])
+      expect(selfTrades).toHaveLength(1)
+      expect(selfTrades[0]).toMatchObject({ account: alice, newestReducedBy: 3, oldestReducedBy: 0 })
+      expect(selfTrades[0].newest.id).toBe(buy.id)
+      expect(selfTrades[0].oldest.id).toBe(sell.id)
+      expect(matcher.getOrder(sell.id).quantity).toBe(5)
+      expect(matcher.getUsers()[alice]).toMatchObject({ money: 15000, moneyHeld: 0, stockHeld: 5 })
+      expect(matcher.getHistory()).toEqual([])
+    })
+
+    it('reports a self-trade prevented by processing one order', () => {
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 3, action: BUY }))
+      const { selfTrade, stops } = matcher.processOrder()
+      expect(selfTrade).toMatchObject({ account: alice, newestReducedBy: 3 })
+      expect(selfTrade.cancelled).toHaveLength(1)
+      expect(stops.triggered).toEqual([])
+    })
+
+    it('can cancel the oldest order and carry on matching', () => {
+      useSelfTradePolicy(cancelOldest)
+      const own = place(alice, 2, SELL)
+      place(bob, 2, SELL)
+      const { id, fills, discarded, selfTrades } = place(alice, 3, BUY)
+      expect(selfTrades).toMatchObject([{ newestReducedBy: 0, oldestReducedBy: 2 }])
+      expect(discarded.map(order => order.id)).toEqual([own.id])
+      expect(fills.map(fill => [fill.seller, fill.quantity])).toEqual([[bob, 2]])
+      expect(matcher.getOrder(id).quantity).toBe(1)
+      expect(matcher.getUsers()[alice]).toMatchObject({ stock: 73, stockHeld: 0 })
+    })
+
+    it('can cancel both orders', () => {
+      useSelfTradePolicy(cancelBoth)
+      place(alice, 2, SELL)
+      const { discarded, selfTrades } = place(alice, 3, BUY)
+      expect(selfTrades[0].cancelled).toHaveLength(2)
+      expect(discarded).toHaveLength(2)
+      expect(matcher.getOrdersByAccount(alice)).toEqual([])
+      expect(matcher.getUsers()[alice]).toMatchObject({ moneyHeld: 0, stockHeld: 0 })
+    })
+
+    it('can take the smaller quantity off both orders', () => {
+      useSelfTradePolicy(decrement)
+      const sell = place(alice, 5, SELL)
+      const { discarded, selfTrades } = place(alice, 3, BUY)
+      expect(selfTrades).toMatchObject([{ newestReducedBy: 3, oldestReducedBy: 3 }])
+      expect(discarded).toHaveLength(1)
+      expect(matcher.getOrder(sell.id).quantity).toBe(2)
+      expect(matcher.getUsers()[alice]).toMatchObject({ moneyHeld: 0, stockHeld: 2 })
+    })
+
+    it('prevents self-trades by orders that must trade immediately', () => {
+      useSelfTradePolicy(decrement)
+      place(alice, 2, SELL)
+      place(bob, 3, SELL)
+      const { fills, discarded, selfTrades } = place(alice, 4, BUY, { timeInForce: IOC })
+      expect(selfTrades).toMatchObject([{ newestReducedBy: 2, oldestReducedBy: 2 }])
+      expect(fills.map(fill => [fill.seller, fill.quantity])).toEqual([[bob, 2]])
+      expect(discarded).toHaveLength(1)
+      expect(matcher.getUsers()[alice]).toMatchObject({ money: 13000, moneyHeld: 0, stock: 73, stockHeld: 0 })
+    })
+
+    it('only fills a fill or kill order if its own orders would not stop it', () => {
+      place(alice, 2, SELL)
+      place(bob, 2, SELL)
+      const killed = place(alice, 2, BUY, { timeInForce: FOK })
+      expect(killed).toMatchObject({ fills: [], selfTrades: [] })
+      expect(matcher.getBestNSellOrders(2).map(order => order.account)).toEqual([alice, bob])
+
+      useSelfTradePolicy(cancelOldest)
+      place(alice, 2, SELL)
+      place(bob, 2, SELL)
+      const { fills } = place(alice, 2, BUY, { timeInForce: FOK })
+      expect(fills.map(fill => fill.seller)).toEqual([bob])
+    })
+
+    it('looks past as many of its own orders as a fill or kill order would cancel', () => {
+      useSelfTradePolicy(cancelOldest)
+      const own = [place(alice, 1, SELL), place(alice, 1, SELL)]
+      place(bob, 5, SELL)
+      const { fills, discarded } = place(alice, 2, BUY, { timeInForce: FOK })
+      expect(fills.map(fill => [fill.seller, fill.quantity])).toEqual([[bob, 2]])
+      expect(discarded.map(order => order.id)).toEqual(own.map(order => order.id))
+      expect(matcher.getBestNSellOrders(2)).toMatchObject([{ account: bob, quantity: 3 }])
+    })
+
+    it('can still let an account trade with itself', () => {
+      useSelfTradePolicy(allowSelfTrades)
+      place(alice, 2, SELL)
+      const { fills, selfTrades } = place(alice, 2, BUY)
+      expect(fills).toMatchObject([{ buyer: alice, seller: alice, quantity: 2 }])
+      expect(selfTrades).toEqual([])
+    })
+  })
+
+  describe('with stop orders', () => {
+    beforeEach(() => {
+      matcher = new Matcher({ autoMatch: true, clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      charlie = matcher.addUser(43000, 0)
+      // the last price is 1000
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 1, action: BUY }))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      clock.tick(1)
+    })
+
+    const trade = price => {
+      // a trade between bob and charlie at a price
+      matcher.addOrder(new Order({ account: charlie, price, quantity: 1, action: BUY }))
+      return matcher.addOrder(new Order({ account: bob, price, quantity: 1, action: SELL }))
+    }
+
+    it('holds stops off the book until a trade reaches their stop price', () => {
+      const { id } = matcher.addOrder(new Order({ account: alice, stopPrice: 950, quantity: 3, action: SELL, type: STOP }))
+      expect(matcher.getBestNSellOrders(Infinity)).toEqual([])
+      expect(matcher.getOrdersByAccount(alice).map(order => order.id)).toEqual([id])
+      expect(matcher.getUsers()[alice]).toMatchObject({ stockHeld: 3 })
+
+      expect(trade(960).triggered).toEqual([])
+      matcher.addOrder(new Order({ account: charlie, price: 940, quantity: 5, action: BUY }))
+      const { fills, triggered } = trade(950)
+      expect(triggered).toHaveLength(1)
+      expect(triggered[0]).toMatchObject({ id, type: MARKET, stopPrice: null, quantity: 3 })
+      expect(fills.map(fill => [fill.seller, fill.price, fill.quantity])).toEqual([[bob, 950, 1], [alice, 940, 3]])
+      expect(matcher.getOrdersByAccount(alice)).toEqual([])
+      expect(matcher.getUsers()[alice]).toMatchObject({ stock: 68, stockHeld: 0, money: 15000 + 2820 })
+    })
+
+    it('is set off by a trade through its stop price, not just at it', () => {
+      const { id } = matcher.addOrder(new Order({ account: charlie, stopPrice: 1050, quantity: 1, action: BUY, type: STOP }))
+      matcher.addOrder(new Order({ account: bob, price: 1100, quantity: 2, action: SELL }))
+      const { triggered, fills } = matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 1, action: BUY }))
+      expect(triggered.map(order => order.id)).toEqual([id])
+      expect(fills.map(fill => fill.buyer)).toEqual([alice, charlie])
+    })
+
+    it('queues triggered stop limit orders behind those already on the book', () => {
+      const stop = matcher.addOrder(new Order({
+        account: charlie, price: 990, stopPrice: 1050, quantity: 1, action: BUY, type: STOP_LIMIT
+      }))
+      expect(matcher.getUsers()[charlie]).toMatchObject({ moneyHeld: 990 })
+      clock.tick(1)
+      const resting = matcher.addOrder(new Order({ account: alice, price: 990, quantity: 1, action: BUY }))
+      clock.tick(1)
+      trade(1050)
+      expect(matcher.getOrder(stop.id)).toMatchObject({ type: LIMIT, price: 990, time: clock() })
+      expect(matcher.getBestNBuyOrders(2).map(order => order.id)).toEqual([resting.id, stop.id])
+    })
+
+    it('triggers stops set off together in the order they were placed', () => {
+      const first = matcher.addOrder(new Order({ account: alice, price: 900, stopPrice: 950, quantity: 1, action: SELL, type: STOP_LIMIT }))
+      const second = matcher.addOrder(new Order({ account: alice, price: 900, stopPrice: 960, quantity: 1, action: SELL, type: STOP_LIMIT }))
+      const { triggered } = trade(950)
+      expect(triggered.map(order => order.id)).toEqual([first.id, second.id])
+      expect(triggered[0].sequence).toBeLessThan(triggered[1].sequence)
+    })
+
+    it('triggers stops set off by the trades of other stops', () => {
+      matcher.addOrder(new Order({ account: charlie, price: 985, quantity: 2, action: BUY }))
+      matcher.addOrder(new Order({ account: charlie, price: 970, quantity: 5, action: BUY }))
+      const first = matcher.addOrder(new Order({ account: alice, stopPrice: 990, quantity: 3, action: SELL, type: STOP }))
+      const second = matcher.addOrder(new Order({ account: bob, stopPrice: 980, quantity: 2, action: SELL, type: STOP }))
+      const { triggered, fills } = trade(990)
+      expect(triggered.map(order => order.id)).toEqual([first.id, second.id])
+      expect(fills.map(fill => [fill.seller, fill.price, fill.quantity])).toEqual([
+        [bob, 990, 1],
+        [alice, 985, 2],
+        [alice, 970, 1],
+        [bob, 970, 2]
+      ])
+    })
+
+    it('reports the stops a single processed trade sets off', () => {
+      matcher = new Matcher({ clock })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 1, action: BUY }))
+      const { id } = matcher.addOrder(new Order({ account: alice, stopPrice: 1000, quantity: 1, action: BUY, type: STOP }))
+      const { fill, stops } = matcher.processOrder()
+      expect(fill).toMatchObject({ price: 1000 })
+      expect(stops.triggered.map(order => order.id)).toEqual([id])
+      expect(stops.fills).toHaveLength(1)
+      expect(matcher.getBestNSellOrders(Infinity)).toEqual([])
+    })
+
+    it('can cancel or amend stops before they are triggered', () => {
+      const { id } = matcher.addOrder(new Order({
+        account: charlie, price: 1100, stopPrice: 1050, quantity: 2, action: BUY, type: STOP_LIMIT
+      }))
+      expect(matcher.amendOrder(id, charlie, { quantity: 3 })).toMatchObject({
+        order: { id, quantity: 3, type: STOP_LIMIT }, fills: [], triggered: []
+      })
+      expect(matcher.getUsers()[charlie]).toMatchObject({ moneyHeld: 3300 })
+      matcher.cancelOrder(id, charlie)
+      expect(() => matcher.getOrder(id)).toThrow()
+      expect(matcher.getUsers()[charlie]).toMatchObject({ moneyHeld: 0 })
+    })
+
+    it('refuses to give stops a price, or take one from a stop limit', () => {
+      const { id: stop } = matcher.addOrder(new Order({ account: charlie, stopPrice: 1050, quantity: 2, action: BUY, type: STOP }))
+      const { id: stopLimit } = matcher.addOrder(new Order({
+        account: charlie, price: 1100, stopPrice: 1050, quantity: 2, action: BUY, type: STOP_LIMIT
+      }))
+      expect(() => matcher.amendOrder(stop, charlie, { price: 5 })).toThrow('Market orders cannot have a price')
+      expect(() => matcher.amendOrder(stopLimit, charlie, { price: null })).toThrow('Limit orders must have a price')
+      expect(matcher.getOrder(stop).price).toBeUndefined()
+      expect(matcher.getOrder(stopLimit)).toMatchObject({ price: 1100 })
+      expect(matcher.getUsers()[charlie]).toMatchObject({ moneyHeld: 2200 })
+    })
+
+    it('rejects stops that the last price would trigger straight away', () => {
+      expect(() => matcher.addOrder(new Order({ account: alice, stopPrice: 1000, quantity: 1, action: SELL, type: STOP })))
+        .toThrow('would be triggered straight away by the last price of 1000')
+      expect(() => matcher.addOrder(new Order({ account: alice, stopPrice: 990, quantity: 1, action: BUY, type: STOP })))
+        .toThrow('would be triggered straight away')
+    })
+
+    it('checks that stops have the prices they need', () => {
+      const place = fields => () => matcher.addOrder(new Order({ account: alice, quantity: 1, action: BUY, ...fields }))
+      expect(place({ type: STOP, price: 1100 })).toThrow('Market orders cannot have a price')
+      expect(place({ type: STOP_LIMIT, stopPrice: 1100 })).toThrow('Limit orders must have a price')
+      expect(place({ type: STOP, price: null })).toThrow('must have a stop price')
+      expect(place({ price: 1100, stopPrice: 1100 })).toThrow('must have a stop price')
+    })
+  })
+
+  describe('with iceberg orders', () => {
+    const iceberg = (quantity, displayQuantity) => {
+      return matcher.addOrder(new Order({ account: bob, price: 1000, quantity, displayQuantity, action: SELL }))
+    }
+
+    it('only shows its display quantity on the book', () => {
+      const { id } = iceberg(10, 3)
+      const shown = matcher.getBestNSellOrders(1)[0]
+      expect(shown).toMatchObject({ id, quantity: 3, displayQuantity: null, visibleQuantity: null })
+      expect(matcher.getBestSellOrder()).toEqual(shown)
+      expect(matcher.getDepth(1).sell).toEqual([{ price: 1000, quantity: 3, orders: 1 }])
+      // but its owner sees all of it, and all of it is held
+      expect(matcher.getOrdersByAccount(bob)[0]).toMatchObject({ quantity: 10, displayQuantity: 3, visibleQuantity: 3 })
+      expect(matcher.getUsers()[bob]).toMatchObject({ stockHeld: 10 })
+    })
+
+    it('shows a new slice at the back of the queue once one is filled', () => {
+      const { id } = iceberg(10, 3)
+      clock.tick(1)
+      const other = matcher.addOrder(new Order({ account: dee, price: 1000, quantity: 2, action: SELL }))
+      clock.tick(1)
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 3, action: BUY }))
+      matcher.matchAll()
+      expect(matcher.getBestNSellOrders(2)).toMatchObject([{ id: other.id }, { id, quantity: 3, time: clock() }])
+
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 4, action: BUY }))
+      matcher.matchAll()
+      expect(matcher.getHistory().map(entry => entry.seller)).toEqual([bob, dee, bob])
+      expect(matcher.getOrder(id)).toMatchObject({ quantity: 5, visibleQuantity: 1 })
+    })
+
+    it('keeps its place while partly filled, like any other order', () => {
+      const { id } = iceberg(10, 3)
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 2, action: BUY }))
+      matcher.matchAll()
+      expect(matcher.getOrder(id)).toMatchObject({ quantity: 8, visibleQuantity: 1, time: clock(), sequence: 1 })
+    })
+
+    it('lets an incoming order take slice after slice at the resting price', () => {
+      matcher = new Matcher({ autoMatch: true, clock })
+      bob = matcher.addUser(19000, 17)
+      charlie = matcher.addUser(43000, 0)
+      const { id } = iceberg(10, 3)
+      clock.tick(1)
+      const { fills } = matcher.addOrder(new Order({ account: charlie, price: 1100, quantity: 7, action: BUY }))
+      expect(fills.map(fill => [fill.quantity, fill.price, fill.aggressor])).toEqual([[3, 1000, BUY], [3, 1000, BUY], [1, 1000, BUY]])
+      expect(matcher.getOrder(id)).toMatchObject({ quantity: 3, visibleQuantity: 2 })
+    })
+
+    it('counts what it hides towards filling a fill or kill order', () => {
+      iceberg(10, 3)
+      const { fills } = matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 8, action: BUY, timeInForce: FOK }))
+      expect(fills.map(fill => fill.quantity)).toEqual([3, 3, 2])
+    })
+
+    it('shows no more than is left when its quantity is reduced', () => {
+      const { id } = iceberg(10, 3)
+      expect(matcher.amendOrder(id, bob, { quantity: 2 }).order).toMatchObject({ quantity: 2, visibleQuantity: 2 })
+      expect(matcher.getDepth(1).sell[0].quantity).toBe(2)
+    })
+
+    it('is kept as it is in snapshots', () => {
+      iceberg(10, 3)
+      const snapshot = matcher.toSnapshot()
+      expect(snapshot.orders[0]).toMatchObject({ quantity: 10, displayQuantity: 3, visibleQuantity: 3 })
+      const loaded = Matcher.fromSnapshot(snapshot)
+      expect(loaded.toSnapshot()).toEqual(snapshot)
+      expect(loaded.getDepth(1).sell[0].quantity).toBe(3)
+    })
+
+    it("only lets good 'til cancelled limit orders hide some of their quantity", () => {
+      const place = fields => () => matcher.addOrder(new Order({ account: bob, quantity: 10, displayQuantity: 3, action: SELL, ...fields }))
+      expect(place({ type: MARKET })).toThrow('Only good')
+      expect(place({ price: 1000, timeInForce: IOC })).toThrow('Only good')
+      expect(place({ price: 1000, displayQuantity: 0 })).toThrow('must show a positive quantity')
+    })
+  })
+
+  describe('with a ledger', () => {
+    it('takes deposits of money and stock', () => {
+      expect(matcher.deposit(dee, { money: 880 })).toMatchObject({ money: 1000, stock: 4 })
+      expect(matcher.deposit(dee, { money: 10, stock: 6 })).toMatchObject({ money: 1010, stock: 10 })
+      expect(() => matcher.deposit(dee, { money: -10 })).toThrow('must be whole, positive amounts')
+      expect(() => matcher.deposit(dee, { money: 0, stock: 0 })).toThrow('must be whole, positive amounts')
+      expect(() => matcher.deposit(dee, { stock: 1.5 })).toThrow('must be whole, positive amounts')
+      expect(() => matcher.deposit('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11', { money: 1 })).toThrow(UnknownAccountError)
+    })
+
+    it('only opens accounts with whole, non-negative money and stock', () => {
+      const users = Object.keys(matcher.getUsers()).length
+      expect(() => matcher.addUser(-100, 5)).toThrow(InvalidTransferError)
+      expect(() => matcher.addUser(100, -5)).toThrow(InvalidTransferError)
+      expect(() => matcher.addUser(100.5, 5)).toThrow(InvalidTransferError)
+      expect(Object.keys(matcher.getUsers())).toHaveLength(users)
+      const empty = matcher.addUser(0, 0)
+      expect(matcher.getUsers()[empty]).toMatchObject({ money: 0, stock: 0 })
+      expect(matcher.reconcile().problems).toEqual([])
+    })
+
+    it('only lets accounts withdraw what is not held for their orders', () => {
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 10, action: BUY }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 70, action: SELL }))
+      expect(() => matcher.withdraw(alice, { money: 5001 })).toThrow(InsufficientFundsError)
+      expect(() => matcher.withdraw(alice, { stock: 2 })).toThrow(InsufficientFundsError)
+      expect(matcher.withdraw(alice, { money: 5000, stock: 1 })).toMatchObject({ money: 10000, stock: 70 })
+      expect(matcher.getAvailableBalance(alice)).toEqual({ money: 0, stock: 0 })
+    })
+
+    it('posts every deposit, withdrawal and trade', () => {
+      matcher.deposit(dee, { money: 880 })
+      matcher.withdraw(dee, { stock: 1 })
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      matcher.processOrder()
+      const ledger = matcher.getLedger()
+      expect(ledger.map(transaction => transaction.type))
+        .toEqual([DEPOSIT, DEPOSIT, DEPOSIT, DEPOSIT, DEPOSIT, WITHDRAWAL, TRADE])
+      expect(ledger[4].postings).toEqual([
+        { account: EXTERNAL_ACCOUNT, asset: 'money', amount: -880 },
+        { account: dee, asset: 'money', amount: 880 }
+      ])
+      expect(ledger[6].postings).toEqual([
+        { account: alice, asset: 'money', amount: -2000 },
+        { account: alice, asset: 'stock', amount: 2 },
+        { account: bob, asset: 'money', amount: 2000 },
+        { account: bob, asset: 'stock', amount: -2 }
+      ])
+      expect(ledger[6].time).toBe(clock())
+    })
+
+    it('reconciles balances, fees and all, against the ledger', () => {
+      matcher = new Matcher({ clock, autoMatch: true, feeSchedule: percentageFees({ maker: 0.1, taker: 0.25 }) })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 3, action: BUY }))
+      matcher.withdraw(bob, { money: 1000 })
+      expect(matcher.reconcile()).toEqual({
+        totals: { money: { held: 33000, deposited: 33000 }, stock: { held: 88, deposited: 88 } },
+        problems: []
+      })
+      const trade = matcher.getLedger().find(transaction => transaction.type === TRADE)
+      expect(trade.postings).toContainEqual({ account: FEE_ACCOUNT, asset: 'money', amount: 11 })
+
+      matcher.balances.set(bob, Balance.update(matcher.getUser(bob), { money: { $set: 0 } }))
+      expect(matcher.reconcile().problems).toEqual([
+        `Account ${bob} has 0 money, but its ledger entries add up to 20997`,
+        'Accounts have 12003 money between them, but 33000 was deposited less withdrawals'
+      ])
+    })
+
+    it('posts in the names of the assets of its instrument', () => {
+      matcher = new Matcher({ clock, instrument: 'BTC/GBP' })
+      alice = matcher.addUser(100, 2)
+      expect(matcher.getLedger()[0].postings.map(posting => posting.asset)).toEqual(['GBP', 'BTC', 'GBP', 'BTC'])
+      expect(matcher.reconcile().totals).toEqual({ GBP: { held: 100, deposited: 100 }, BTC: { held: 2, deposited: 2 } })
+    })
+  })
+
+  describe('outcomes and events', () => {
+    let events
+
+    beforeEach(() => {
+      events = []
+      matcher.on('outcome', outcome => events.push(outcome))
+    })
+
+    it('says what processing an order did', () => {
+      const { id: sellId } = matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      const { id: buyId } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      const { outcomes } = matcher.processOrder()
+      expect(outcomes).toHaveLength(1)
+      expect(outcomes[0]).toBeInstanceOf(Fill)
+      expect(outcomes[0]).toMatchObject({
+        type: 'fill',
+        entry: { buyer: alice, seller: bob, price: 1000, quantity: 2 },
+        buyOrder: buyId,
+        sellOrder: sellId,
+        buyRemaining: 0,
+        sellRemaining: 3
+      })
+      expect(events).toEqual(outcomes)
+    })
+
+    it('says why orders were removed without being filled', () => {
+      matcher = new Matcher({ clock, feeSchedule: fixedFees({ maker: 0, taker: 1 }) })
+      matcher.on('discard', outcome => events.push(outcome))
+      alice = matcher.addUser(1001, 0)
+      bob = matcher.addUser(0, 5)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 1, action: BUY }))
+      // taking out what was left for the fee leaves the buy unable to pay it
+      matcher.withdraw(alice, { money: 1 })
+      const { discarded, outcomes } = matcher.processOrder()
+      expect(discarded).toMatchObject({ id })
+      expect(outcomes).toEqual([expect.any(OrderRemoved)])
+      expect(outcomes[0]).toMatchObject({ type: 'discard', order: { id }, reason: UNAFFORDABLE })
+
+      const ioc = matcher.addOrder(new Order({ account: bob, price: 1100, quantity: 1, action: SELL, timeInForce: IOC }))
+      expect(ioc.outcomes[0].reason).toBe(NOT_FILLED_IMMEDIATELY)
+      const fok = matcher.addOrder(new Order({ account: bob, price: 900, quantity: 1, action: SELL, timeInForce: FOK }))
+      expect(fok.outcomes[0].reason).toBe(NOT_FILLED_COMPLETELY)
+      const { id: resting } = matcher.addOrder(new Order({ account: bob, price: 1100, quantity: 1, action: SELL }))
+      matcher.cancelOrder(resting, bob)
+      expect(events.map(event => event.reason))
+        .toEqual([UNAFFORDABLE, NOT_FILLED_IMMEDIATELY, NOT_FILLED_COMPLETELY, CANCELLED])
+    })
+
+    it('reports prevented self-trades and triggered stops', () => {
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, stopPrice: 1000, quantity: 1, action: BUY, type: STOP }))
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 1, action: BUY }))
+      matcher.processOrder()
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      const { outcomes } = matcher.addOrder(new Order({
+        account: alice, price: 1000, quantity: 2, action: SELL, timeInForce: IOC
+      }))
+      expect(outcomes.map(outcome => outcome.type)).toEqual(['selfTrade', 'discard'])
+      expect(outcomes[0]).toBeInstanceOf(SelfTradePrevented)
+      expect(outcomes[1].reason).toBe(SELF_TRADE_PREVENTED)
+      expect(events.map(event => event.type)).toEqual(['fill', 'trigger', 'discard', 'selfTrade', 'discard'])
+      expect(events[1]).toBeInstanceOf(StopTriggered)
+    })
+
+    it('announces orders it rejects, and still throws', () => {
+      const rejected = []
+      matcher.on('reject', outcome => rejected.push(outcome))
+      const order = new Order({ account: dee, price: 1000, quantity: 1, action: BUY })
+      expect(() => matcher.addOrder(order)).toThrow(InsufficientFundsError)
+      expect(() => matcher.addOrder(Order.update(order, { quantity: { $set: 0 } }))).toThrow('Orders for 0 are not allowed')
+      expect(rejected).toHaveLength(2)
+      expect(rejected[0]).toBeInstanceOf(OrderRejected)
+      expect(rejected[0]).toMatchObject({ type: 'reject', order, error: 'InsufficientFundsError' })
+      expect(rejected[1].reason).toBe('Orders for 0 are not allowed')
+      expect(events).toEqual(rejected)
+    })
+
+    it('only announces what commands did once they are done', () => {
+      const seen = []
+      matcher.on('fill', () => seen.push(matcher.getUsers()[alice]))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      matcher.matchAll()
+      expect(seen).toHaveLength(2)
+      seen.forEach(user => expect(user).toMatchObject({ money: 13000, stock: 73 }))
+    })
+  })
+
+  describe('order statuses', () => {
+    it('follow orders from placement until they are filled', () => {
+      const { id: sellId } = matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      expect(matcher.getOrderStatus(sellId)).toMatchObject({ status: OPEN, filled: 0, remaining: 5, reason: null })
+      const { id: buyId } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      clock.tick(5)
+      matcher.processOrder()
+      expect(matcher.getOrderStatus(sellId)).toMatchObject({ status: PARTIALLY_FILLED, filled: 2, remaining: 3 })
+      expect(matcher.getOrderStatus(buyId)).toMatchObject({ status: FILLED, filled: 2, remaining: 0 })
+      expect(matcher.getOrderStatus(buyId).time).toBe(clock())
+      expect(matcher.getOrderStatus(sellId).order).toMatchObject({ quantity: 5 })
+    })
+
+    it('are kept for orders that have left the book', () => {
+      matcher = new Matcher({ clock, feeSchedule: fixedFees({ maker: 0, taker: 1 }) })
+      alice = matcher.addUser(1001, 0)
+      bob = matcher.addUser(0, 5)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      const { id: dropped } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 1, action: BUY }))
+      matcher.withdraw(alice, { money: 1 })
+      matcher.processOrder()
+      const { id: cancelled } = matcher.addOrder(new Order({ account: bob, price: 1200, quantity: 2, action: SELL }))
+      matcher.cancelOrder(cancelled, bob)
+      expect(matcher.getOrdersByAccount(alice)).toEqual([])
+      expect(matcher.getOrderStatus(dropped)).toMatchObject({ status: REJECTED, reason: UNAFFORDABLE, remaining: 1 })
+      expect(matcher.getOrderStatus(cancelled)).toMatchObject({ status: CANCELLED, reason: null, remaining: 2 })
+    })
+
+    it('are listed for each account, oldest first', () => {
+      const { id: first } = matcher.addOrder(new Order({ account: alice, price: 900, quantity: 4, action: BUY }))
+      matcher.addOrder(new Order({ account: bob, price: 900, quantity: 1, action: SELL }))
+      const { id: second } = matcher.addOrder(new Order({
+        account: alice, stopPrice: 950, quantity: 1, action: SELL, type: STOP
+      }))
+      matcher.amendOrder(first, alice, { quantity: 2 })
+      const statuses = matcher.getOrderStatuses(alice)
+      expect(statuses.map(status => status.order.id)).toEqual([first, second])
+      expect(statuses[0]).toBeInstanceOf(OrderStatus)
+      expect(statuses[0]).toMatchObject({ status: OPEN, order: { quantity: 2 }, remaining: 2 })
+      expect(matcher.getOrderStatuses(charlie)).toEqual([])
+      expect(() => matcher.getOrderStatuses('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11')).toThrow(UnknownAccountError)
+      expect(() => matcher.getOrderStatus('0c0e6fba-3a3b-4d5a-9a8e-4b3f0f6a2c11')).toThrow("There isn't an order")
+    })
+
+    it('count what self-trade prevention cuts off orders', () => {
+      matcher = new Matcher({ clock, autoMatch: true, selfTradePolicy: decrement })
+      alice = matcher.addUser(15000, 71)
+      const { id: resting } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 5, action: SELL }))
+      const { id } = matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      expect(matcher.getOrderStatus(resting)).toMatchObject({ status: OPEN, remaining: 3 })
+      expect(matcher.getOrderStatus(id)).toMatchObject({ status: REJECTED, reason: SELF_TRADE_PREVENTED, remaining: 2 })
+    })
+  })
+
+  describe('with a journal', () => {
+    let journal
+
+    // everything about a matcher that a restart would lose
+    const stateOf = matcher => JSON.stringify({
+      users: matcher.getUsers(),
+      buyOrders: matcher.getBestNBuyOrders(Infinity),
+      sellOrders: matcher.getBestNSellOrders(Infinity),
+      history: matcher.getHistory(),
+      overheadMade: matcher.getOverheadMade()
+    })
+
+    beforeEach(() => {
+      journal = new MemoryJournal()
+      matcher = new Matcher({ autoMatch: true, journal })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      charlie = matcher.addUser(43000, 0)
+    })
+
+    it('journals each command along with its fills and discards', () => {
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      const { id } = matcher.addOrder(new Order({
+        account: alice,
+        price: 1000,
+        quantity: 8,
+        action: BUY,
+        timeInForce: IOC
+      }))
+      const entries = journal.read()
+      expect(entries.map(entry => entry.type)).toEqual(['addUser', 'addUser', 'addUser', 'addOrder', 'addOrder'])
+      expect(entries[0]).toMatchObject({ account: alice, money: 15000, stock: 71, outcomes: [] })
+      expect(entries[4].order).toMatchObject({ id, account: alice, price: 1000, quantity: 8 })
+      expect(entries[4].outcomes).toEqual([
+        expect.objectContaining({ type: 'fill', entry: expect.objectContaining({ buyer: alice, seller: bob, quantity: 5 }) }),
+        expect.objectContaining({ type: 'discard', order: expect.objectContaining({ id, quantity: 3 }) })
+      ])
+    })
+
+    it('does not journal commands that fail', () => {
+      expect(() => matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 1, action: SELL })))
+        .toThrow(InsufficientFundsError)
+      expect(() => matcher.cancelOrder('not an order', alice)).toThrow()
+      expect(journal.read()).toHaveLength(3)
+    })
+
+    it('replays the journal to the same state', () => {
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: bob, price: 1100, quantity: 5, action: SELL }))
+      const { id } = matcher.addOrder(new Order({ account: alice, price: 900, quantity: 4, action: BUY }))
+      matcher.addOrder(new Order({ account: charlie, quantity: 7, action: BUY, type: MARKET }))
+      matcher.amendOrder(id, alice, { price: 1100 })
+      const { id: cancelled } = matcher.addOrder(new Order({ account: charlie, price: 800, quantity: 2, action: BUY }))
+      matcher.cancelOrder(cancelled, charlie)
+      matcher.addOrder(new Order({ account: alice, price: 1200, quantity: 50, action: SELL, timeInForce: FOK }))
+
+      const replayed = Matcher.replay(journal, { autoMatch: true })
+      expect(stateOf(replayed)).toBe(stateOf(matcher))
+      expect(replayed.getHistory()).toHaveLength(3)
+    })
+
+    it('replays orders matched by hand', () => {
+      journal = new MemoryJournal()
+      matcher = new Matcher({ journal })
+      alice = matcher.addUser(15000, 71)
+      bob = matcher.addUser(19000, 17)
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 2, action: BUY }))
+      matcher.addOrder(new Order({ account: alice, price: 1000, quantity: 2, action: BUY }))
+      matcher.processOrder()
+      matcher.matchAll()
+
+      const replayed = Matcher.replay(journal)
+      expect(stateOf(replayed)).toBe(stateOf(matcher))
+      expect(replayed.getHistory()).toHaveLength(2)
+    })
+
+    it('replays stops and the trades they set off', () => {
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 1, action: SELL }))
+      matcher.addOrder(new Order({ account: charlie, price: 1000, quantity: 1, action: BUY }))
+      matcher.addOrder(new Order({ account: alice, stopPrice: 990, quantity: 2, action: SELL, type: STOP }))
+      matcher.addOrder(new Order({ account: bob, stopPrice: 1100, quantity: 2, action: BUY, type: STOP }))
+      matcher.addOrder(new Order({ account: charlie, price: 990, quantity: 3, action: BUY }))
+      matcher.addOrder(new Order({ account: bob, price: 990, quantity: 1, action: SELL }))
+      const last = journal.read().pop()
+      expect(last.outcomes.map(outcome => outcome.type)).toEqual(['fill', 'trigger', 'fill'])
+
+      const replayed = Matcher.replay(journal, { autoMatch: true })
+      expect(replayed.toSnapshot()).toEqual(matcher.toSnapshot())
+      expect(replayed.toSnapshot().stops).toHaveLength(1)
+    })
+
+    it('replays deposits and withdrawals', () => {
+      matcher.deposit(charlie, { stock: 3 })
+      matcher.withdraw(alice, { money: 1000 })
+      expect(journal.read().slice(3).map(entry => entry.type)).toEqual(['deposit', 'withdraw'])
+
+      const replayed = Matcher.replay(journal, { autoMatch: true })
+      expect(stateOf(replayed)).toBe(stateOf(matcher))
+      expect(JSON.stringify(replayed.getLedger())).toBe(JSON.stringify(matcher.getLedger()))
+    })
+
+    it('carries on journaling after a replay', () => {
+      const replayed = Matcher.replay(journal, { autoMatch: true })
+      replayed.addUser(100, 0)
+      expect(stateOf(Matcher.replay(journal, { autoMatch: true }))).toBe(stateOf(replayed))
+      expect(journal.read()).toHaveLength(4)
+    })
+
+    it('refuses to replay a journal that matches differently', () => {
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 5, action: BUY }))
+      expect(() => Matcher.replay(journal, { autoMatch: true, pricePolicy: exchangeKeepsSpread }))
+        .toThrow('did not come to the same fills and discards')
+    })
+  })
+
+  describe('snapshots', () => {
+    let snapshot
+
+    beforeEach(() => {
+      matcher.addOrder(new Order({ account: bob, price: 1000, quantity: 5, action: SELL }))
+      clock.tick(1)
+      matcher.addOrder(new Order({ account: alice, price: 1100, quantity: 2, action: BUY }))
+      matcher.processOrder()
+      matcher.addOrder(new Order({ account: alice, price: 900, quantity: 3, action: BUY }))
+      matcher.addOrder(new Order({ account: charlie, price: 900, quantity: 1, action: BUY }))
+      matcher.addOrder(new Order({ account: dee, price: 1000, quantity: 2, action: SELL }))
+      snapshot = matcher.toSnapshot()
+    })
+
+    // a copy of the snapshot with a change made to it
+    const alter = change => {
+      const altered = JSON.parse(JSON.stringify(snapshot))
+      change(altered)
+      return altered
+    }
+
+    const problemsWith = altered => {
+      try {
+        Matcher.fromSnapshot(altered)
+      } catch (e) {
+        expect(e).toBeInstanceOf(InvalidSnapshotError)
+        return e.problems
+      }
+      throw new Error('The snapshot was loaded')
+    }
+
+    it('is plain JSON, with times as ISO strings', () => {
+      expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot)
+      expect(snapshot).toMatchObject({ version: SNAPSHOT_VERSION, sequence: 5, overheadMade: 0 })
+      expect(snapshot.history[0].time).toBe('2017-06-01T10:00:00.001Z')
+      expect(snapshot.orders.map(order => order.price)).toEqual([900, 900, 1000, 1000])
+    })
+
+    it('loads back to the same state', () => {
+      const loaded = Matcher.fromSnapshot(snapshot)
+      expect(loaded.toSnapshot()).toEqual(snapshot)
+      expect(loaded.getUsers()).toEqual(matcher.getUsers())
+      expect(loaded.getHistory()[0].time.isSame(matcher.getHistory()[0].time)).toBe(true)
+    })
+
+    it('carries on matching as the original would', () => {
+      const loaded = Matcher.fromSnapshot(snapshot, { clock })
+      ;[matcher, loaded].forEach(m => {
+        m.addOrder(new Order({ account: bob, price: 900, quantity: 4, action: SELL }))
+        m.matchAll()
+      })
+      // the new orders were given ids of their own
+      const withoutNewIds = ({ statuses, ...rest }) => ({ ...rest, statuses: statuses.map(status => status.status) })
+      expect(withoutNewIds(loaded.toSnapshot())).toEqual(withoutNewIds(matcher.toSnapshot()))
+      expect(loaded.getHistory().map(entry => entry.buyer)).toEqual([alice, alice, charlie])
+    })
+
+    it('keeps stops waiting to be triggered', () => {
+      const { id } = matcher.addOrder(new Order({
+        account: alice, price: 1100, stopPrice: 1050, quantity: 1, action: BUY, type: STOP_LIMIT
+      }))
+      snapshot = matcher.toSnapshot()
+      expect(snapshot.stops.map(order => order.id)).toEqual([id])
+      const loaded = Matcher.fromSnapshot(snapshot)
+      expect(loaded.toSnapshot()).toEqual(snapshot)
+      expect(loaded.getOrder(id)).toMatchObject({ type: STOP_LIMIT, stopPrice: 1050 })
+
+      expect(problemsWith(alter(s => { s.stops[0].type = LIMIT })))
+        .toEqual([`Stop 0 (${id}) isn't a stop order for a positive quantity, so can't wait to be triggered`])
+      expect(problemsWith(alter(s => { s.stops = [] })))
+        .toEqual([`Account ${alice} holds 3800 money and 0 stock, but its orders need 2700 money and 0 stock`])
+    })
+
+    it('keeps the ledger, and checks balances against it', () => {
+      expect(snapshot.ledger.map(transaction => transaction.type)).toEqual([DEPOSIT, DEPOSIT, DEPOSIT, DEPOSIT, TRADE])
+      expect(Matcher.fromSnapshot(snapshot).toSnapshot().ledger).toEqual(snapshot.ledger)
+
+      expect(problemsWith(alter(s => { s.users[charlie].money += 100 }))).toEqual([
+        `Account ${charlie} has 43100 money, but its ledger entries add up to 43000`,
+        'Accounts have 77220 money between them, but 77120 was deposited less withdrawals'
+      ])
+      expect(problemsWith(alter(s => { s.ledger[4].postings[0].amount -= 1 }))).toEqual([
+        "Ledger transaction 4: A TRADE transaction must balance, but doesn't for money",
+        `Account ${alice} has 13000 money, but its ledger entries add up to 15000`,
+        `Account ${bob} has 21000 money, but its ledger entries add up to 19000`,
+        `Account ${alice} has 73 stock, but its ledger entries add up to 71`,
+        `Account ${bob} has 15 stock, but its ledger entries add up to 17`
+      ])
+    })
+
+    it('keeps the status of every order, and checks them against the book', () => {
+      expect(snapshot.statuses.map(status => status.status)).toEqual([PARTIALLY_FILLED, FILLED, OPEN, OPEN, OPEN])
+      const loaded = Matcher.fromSnapshot(snapshot)
+      expect(loaded.getOrderStatuses(alice)).toEqual(matcher.getOrderStatuses(alice).map(status => expect.objectContaining({
+        order: expect.objectContaining({ id: status.order.id }), status: status.status
+      })))
+
+      const id = snapshot.statuses[3].order.id
+      expect(problemsWith(alter(s => { s.statuses[3].status = FILLED })))
+        .toEqual([`Order ${id} is waiting to be filled, but its status doesn't say so`])
+      expect(problemsWith(alter(s => { s.statuses[1].status = OPEN })))
+        .toEqual([`Order ${snapshot.statuses[1].order.id} isn't waiting to be filled, but its status says it is`])
+      expect(problemsWith(alter(s => { s.statuses[0].time = 'later' })))
+        .toEqual([expect.stringMatching('/statuses/0/time')])
+    })
+
+    it('keeps the state of the market', () => {
+      matcher.halt('Maintenance')
+      snapshot = matcher.toSnapshot()
+      expect(snapshot.market).toEqual({ state: HALTED, reason: 'Maintenance' })
+      expect(Matcher.fromSnapshot(snapshot).getMarketState()).toEqual({ state: HALTED, reason: 'Maintenance' })
+      expect(problemsWith(alter(s => { s.market.state = 'LUNCH' })))
+        .toEqual([expect.stringMatching('/market/state')])
+    })
+
+    it('rejects other versions', () => {
+      expect(problemsWith(alter(s => { s.version = SNAPSHOT_VERSION + 1 })))
+        .toEqual([`Version ${SNAPSHOT_VERSION + 1} snapshots can't be loaded, only version ${SNAPSHOT_VERSION}`])
+    })
+
+    it('rejects anything that is not a snapshot', () => {
+      expect(() => Matcher.fromSnapshot({ users: {} })).toThrow(InvalidSnapshotError)
+      expect(() => Matcher.fromSnapshot('snapshot')).toThrow(InvalidSnapshotError)
+    })
+
+    it('says where values are of the wrong type', () => {
+      const problems = problemsWith(alter(s => {
+        s.users[alice].money = '15000'
+        s.orders[0].action = 'HOLD'
+        s.history[0].time = 'yesterday'
+      }))
+      expect(problems).toHaveLength(3)
+      expect(problems[0]).toMatch('/history/0/time')
+      expect(problems[1]).toMatch(`/users/${alice}/money`)
+      expect(problems[2]).toMatch('/orders/0/action')
+    })
+
+    it('rejects orders for accounts it does not have', () => {
+      const problems = problemsWith(alter(s => { delete s.users[charlie] }))
+      expect(problems).toEqual([expect.stringMatching(`belongs to account ${charlie}, which isn't in the snapshot`)])
+    })
+
+    it('rejects holds that do not match the orders', () => {
+      const problems = problemsWith(alter(s => { s.orders.pop() }))
+      expect(problems).toEqual([expect.stringMatching(`Account ${dee} holds 0 money and 2 stock, but its orders need 0`)])
+    })
+
+    it('rejects orders that could not be resting on the book', () => {
+      const problems = problemsWith(alter(s => {
+        s.orders[1].id = s.orders[0].id
+        s.orders[2].timeInForce = IOC
+        delete s.orders[3].sequence
+      }))
+      expect(problems).toHaveLength(3)
+      expect(problems[0]).toMatch('same id or sequence number as another order')
+      expect(problems[1]).toMatch("can't rest on the book")
+      expect(problems[2]).toMatch('no id or sequence number')
+    })
+
+    it('rejects an overhead that the trades do not add up to', () => {
+      expect(problemsWith(alter(s => { s.overheadMade = 200 })))
+        .toEqual(['The overhead made is 200, but the trades add up to 0'])
+    })
   })
 })
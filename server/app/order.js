@@ -1,15 +1,86 @@
 import t from 'tcomb'
 import {uuid} from './extraTcombTypes'
 
+// Instruments are named by the asset traded and the asset it is priced in,
+// so BTC/GBP is bitcoin priced in pounds
+export const Asset = t.refinement(t.String, s => /^[A-Z0-9]+$/.test(s), 'Asset')
+export const Instrument = t.refinement(
+  t.String,
+  s => /^[A-Z0-9]+\/[A-Z0-9]+$/.test(s) && s.split('/')[0] !== s.split('/')[1],
+  'Instrument'
+)
+
+export const assetsOf = instrument => {
+  const [base, quote] = instrument.split('/')
+  return { base, quote }
+}
+
 export const BUY = 'BUY'
 export const SELL = 'SELL'
 
-const action = t.enums.of([BUY, SELL], 'Order Action')
+export const Action = t.enums.of([BUY, SELL], 'Order Action')
+
+// Limit orders trade at their price or better, market orders take whatever
+// the other side of the book offers. Stop and stop limit orders wait off the
+// book until a trade at or through their stop price, then become market and
+// limit orders.
+export const LIMIT = 'LIMIT'
+export const MARKET = 'MARKET'
+export const STOP = 'STOP'
+export const STOP_LIMIT = 'STOP_LIMIT'
+
+export const OrderType = t.enums.of([LIMIT, MARKET, STOP, STOP_LIMIT], 'Order Type')
+
+export const isStop = order => {
+  return order.type === STOP || order.type === STOP_LIMIT
+}
+
+// Good 'til cancelled orders rest on the book, immediate or cancel orders
+// discard whatever can't be filled straight away and fill or kill orders are
+// discarded unless they can be filled in full straight away
+export const GTC = 'GTC'
+export const IOC = 'IOC'
+export const FOK = 'FOK'
+
+export const TimeInForce = t.enums.of([GTC, IOC, FOK], 'Time In Force')
 
 export const Order = t.struct({
+  id: t.maybe(uuid),
   account: uuid,
-  price: t.Integer,
+  instrument: t.maybe(Instrument),
+  price: t.maybe(t.Integer),
+  stopPrice: t.maybe(t.Integer),
   quantity: t.Integer,
-  action,
-  time: t.Any
-})
+  displayQuantity: t.maybe(t.Integer),
+  visibleQuantity: t.maybe(t.Integer),
+  action: Action,
+  type: OrderType,
+  timeInForce: TimeInForce,
+  time: t.Any,
+  sequence: t.maybe(t.Integer)
+}, { name: 'Order', defaultProps: { type: LIMIT, timeInForce: GTC } })
+
+// Iceberg orders only show part of their quantity, up to their display
+// quantity, at a time. The rest is hidden until what is shown has been filled.
+export const isIceberg = order => {
+  return order.displayQuantity != null
+}
+
+export const visibleQuantityOf = order => {
+  return isIceberg(order) ? order.visibleQuantity : order.quantity
+}
+
+// Buy stops are set off by the price rising to their stop price, to limit a
+// loss on a short position or buy into a rising market, and sell stops by it
+// falling to theirs
+export const triggeredBy = (order, price) => {
+  return order.action === BUY ? price >= order.stopPrice : price <= order.stopPrice
+}
+
+// Whether one order arrived before another. Orders placed at the same time
+// arrived in the order of their sequence numbers, which the matcher gives out
+// one after another as it stamps them.
+export const arrivedBefore = (order, other) => {
+  return order.time.isBefore(other.time) ||
+    (order.time.isSame(other.time) && order.sequence < other.sequence)
+}
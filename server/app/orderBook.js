@@ -0,0 +1,229 @@
+import { BUY, arrivedBefore, visibleQuantityOf } from './order'
+
+// A binary heap of prices, best first. Prices whose level has emptied are
+// left in the heap and skipped over when they reach the top. Each price is
+// only in the heap once, so a level emptied and filled again over and over
+// doesn't make it grow.
+class PriceHeap {
+  constructor (isBetter) {
+    this.isBetter = isBetter
+    this.prices = []
+    this.included = new Set()
+  }
+
+  peek = () => {
+    return this.prices[0]
+  };
+
+  push = price => {
+    if (this.included.has(price)) {
+      return
+    }
+    this.included.add(price)
+    const prices = this.prices
+    prices.push(price)
+    let i = prices.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this.isBetter(prices[i], prices[parent])) {
+        break
+      }
+      [prices[i], prices[parent]] = [prices[parent], prices[i]]
+      i = parent
+    }
+  };
+
+  pop = () => {
+    const prices = this.prices
+    const top = prices[0]
+    this.included.delete(top)
+    const last = prices.pop()
+    if (prices.length > 0) {
+      prices[0] = last
+      let i = 0
+      for (;;) {
+        const left = 2 * i + 1
+        const right = left + 1
+        let best = i
+        if (left < prices.length && this.isBetter(prices[left], prices[best])) {
+          best = left
+        }
+        if (right < prices.length && this.isBetter(prices[right], prices[best])) {
+          best = right
+        }
+        if (best === i) {
+          break
+        }
+        [prices[i], prices[best]] = [prices[best], prices[i]]
+        i = best
+      }
+    }
+    return top
+  };
+}
+
+// All the orders resting at one price, oldest first, as a doubly linked list
+// so that any of them can be removed without searching. The quantity is only
+// what can be seen, so leaves out what iceberg orders hide.
+class PriceLevel {
+  constructor (price) {
+    this.price = price
+    this.head = null
+    this.tail = null
+    this.count = 0
+    this.quantity = 0
+  }
+
+  insert = node => {
+    // orders normally arrive in time order, but one being put back with an
+    // older timestamp goes in behind the last order that arrived before it
+    let after = this.tail
+    while (after && arrivedBefore(node.order, after.order)) {
+      after = after.prev
+    }
+    node.prev = after
+    node.next = after ? after.next : this.head
+    if (node.next) {
+      node.next.prev = node
+    } else {
+      this.tail = node
+    }
+    if (after) {
+      after.next = node
+    } else {
+      this.head = node
+    }
+    this.count += 1
+    this.quantity += visibleQuantityOf(node.order)
+  };
+
+  remove = node => {
+    if (node.prev) {
+      node.prev.next = node.next
+    } else {
+      this.head = node.next
+    }
+    if (node.next) {
+      node.next.prev = node.prev
+    } else {
+      this.tail = node.prev
+    }
+    this.count -= 1
+    this.quantity -= visibleQuantityOf(node.order)
+  };
+}
+
+// One side of the book. Orders are kept in price levels, best price first,
+// each holding its orders in the order they arrived.
+export default class OrderBook {
+  constructor (action) {
+    this.action = action
+    this.heap = new PriceHeap(action === BUY ? (a, b) => a > b : (a, b) => a < b)
+    this.levels = new Map()
+    this.nodes = new Map()
+  }
+
+  get size () {
+    return this.nodes.size
+  }
+
+  add = order => {
+    if (this.nodes.has(order.id)) {
+      throw new Error(`Order ${order.id} is already on the book`)
+    }
+    let level = this.levels.get(order.price)
+    if (!level) {
+      level = new PriceLevel(order.price)
+      this.levels.set(order.price, level)
+      this.heap.push(order.price)
+    }
+    const node = { order, prev: null, next: null }
+    level.insert(node)
+    this.nodes.set(order.id, node)
+  };
+
+  get = id => {
+    const node = this.nodes.get(id)
+    return node && node.order
+  };
+
+  replace = order => {
+    // swaps in a new version of an order at the same price, keeping its place
+    const node = this.nodes.get(order.id)
+    if (!node || node.order.price !== order.price) {
+      throw new Error(`Order ${order.id} can't be replaced in place`)
+    }
+    this.levels.get(order.price).quantity += visibleQuantityOf(order) - visibleQuantityOf(node.order)
+    node.order = order
+  };
+
+  remove = id => {
+    const node = this.nodes.get(id)
+    if (!node) {
+      return undefined
+    }
+    const level = this.levels.get(node.order.price)
+    level.remove(node)
+    if (level.count === 0) {
+      this.levels.delete(level.price)
+    }
+    this.nodes.delete(id)
+    return node.order
+  };
+
+  bestLevel = () => {
+    while (this.heap.peek() !== undefined && !this.levels.has(this.heap.peek())) {
+      this.heap.pop()
+    }
+    return this.levels.get(this.heap.peek())
+  };
+
+  best = () => {
+    const level = this.bestLevel()
+    return level && level.head.order
+  };
+
+  bestLevels = n => {
+    // the best n price levels, best first. Only needed for queries, so sorting
+    // the prices is cheap enough.
+    const isBetter = this.heap.isBetter
+    return Array.from(this.levels.keys())
+      .sort((a, b) => isBetter(a, b) ? -1 : 1)
+      .slice(0, n)
+      .map(price => this.levels.get(price))
+  };
+
+  bestN = n => {
+    const orders = []
+    if (n <= 0) {
+      return orders
+    }
+    const level = this.bestLevel()
+    if (level && level.count >= n) {
+      // the common case of only needing the first level
+      for (let node = level.head; orders.length < n; node = node.next) {
+        orders.push(node.order)
+      }
+      return orders
+    }
+    for (const level of this.bestLevels(this.levels.size)) {
+      for (let node = level.head; node && orders.length < n; node = node.next) {
+        orders.push(node.order)
+      }
+      if (orders.length >= n) {
+        break
+      }
+    }
+    return orders
+  };
+
+  filter = predicate => {
+    const orders = []
+    this.nodes.forEach(node => {
+      if (predicate(node.order)) {
+        orders.push(node.order)
+      }
+    })
+    return orders
+  };
+}
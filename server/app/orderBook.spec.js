@@ -0,0 +1,149 @@
+import moment from 'moment'
+import uuidv4 from 'uuid/v4'
+
+import OrderBook from './orderBook'
+import { Order, BUY, SELL } from './order'
+
+describe('OrderBook', () => {
+  let account, clock, sequence
+
+  const makeOrder = (price, quantity, action) => {
+    // each order is a millisecond younger than the last
+    clock = clock.clone().add(1, 'ms')
+    sequence += 1
+    return new Order({ id: uuidv4(), account, price, quantity, action, time: clock, sequence })
+  }
+
+  beforeEach(() => {
+    account = uuidv4()
+    clock = moment()
+    sequence = 0
+  })
+
+  it('starts empty', () => {
+    const book = new OrderBook(BUY)
+    expect(book.size).toBe(0)
+    expect(book.best()).toBeUndefined()
+    expect(book.bestN(3)).toEqual([])
+  })
+
+  it('puts the highest buy order first', () => {
+    const book = new OrderBook(BUY)
+    const orders = [1300, 1500, 1400, 1200].map(price => makeOrder(price, 1, BUY))
+    orders.forEach(book.add)
+    expect(book.best()).toBe(orders[1])
+    expect(book.bestN(4).map(o => o.price)).toEqual([1500, 1400, 1300, 1200])
+  })
+
+  it('puts the lowest sell order first', () => {
+    const book = new OrderBook(SELL)
+    const orders = [1300, 1500, 1400, 1200].map(price => makeOrder(price, 1, SELL))
+    orders.forEach(book.add)
+    expect(book.best()).toBe(orders[3])
+    expect(book.bestN(4).map(o => o.price)).toEqual([1200, 1300, 1400, 1500])
+  })
+
+  it('keeps orders at the same price in the order they arrived', () => {
+    const book = new OrderBook(SELL)
+    const orders = [1, 2, 3].map(quantity => makeOrder(1000, quantity, SELL))
+    orders.forEach(book.add)
+    expect(book.bestN(3)).toEqual(orders)
+  })
+
+  it('puts orders with older timestamps ahead of younger ones', () => {
+    const book = new OrderBook(BUY)
+    const older = makeOrder(1000, 1, BUY)
+    const younger = makeOrder(1000, 2, BUY)
+    book.add(younger)
+    book.add(older)
+    expect(book.bestN(2)).toEqual([older, younger])
+  })
+
+  it('puts orders with the same timestamp in sequence', () => {
+    const book = new OrderBook(BUY)
+    const first = makeOrder(1000, 1, BUY)
+    const second = Order.update(makeOrder(1000, 2, BUY), { time: { $set: first.time } })
+    book.add(second)
+    book.add(first)
+    expect(book.bestN(2)).toEqual([first, second])
+  })
+
+  it('removes orders from anywhere in the book', () => {
+    const book = new OrderBook(BUY)
+    const orders = [1000, 1000, 1000, 1100].map(price => makeOrder(price, 1, BUY))
+    orders.forEach(book.add)
+    expect(book.remove(orders[1].id)).toBe(orders[1])
+    expect(book.remove(orders[3].id)).toBe(orders[3])
+    expect(book.remove(orders[3].id)).toBeUndefined()
+    expect(book.size).toBe(2)
+    expect(book.get(orders[1].id)).toBeUndefined()
+    expect(book.bestN(3)).toEqual([orders[0], orders[2]])
+  })
+
+  it('moves on to the next price once a level is empty', () => {
+    const book = new OrderBook(SELL)
+    const orders = [1000, 1100, 1000].map(price => makeOrder(price, 1, SELL))
+    orders.forEach(book.add)
+    book.remove(orders[0].id)
+    book.remove(orders[2].id)
+    expect(book.best()).toBe(orders[1])
+
+    // and comes back to it if it fills up again
+    const returning = makeOrder(1000, 5, SELL)
+    book.add(returning)
+    expect(book.best()).toBe(returning)
+  })
+
+  it('keeps each price once however often its level empties and fills', () => {
+    const book = new OrderBook(BUY)
+    book.add(makeOrder(1000, 1, BUY))
+    for (let i = 0; i < 1000; i++) {
+      const order = makeOrder(900, 1, BUY)
+      book.add(order)
+      book.remove(order.id)
+    }
+    book.add(makeOrder(900, 1, BUY))
+    expect(book.heap.prices).toHaveLength(2)
+    expect(book.bestN(2).map(order => order.price)).toEqual([1000, 900])
+  })
+
+  it('replaces orders without losing their place', () => {
+    const book = new OrderBook(BUY)
+    const orders = [1000, 1000].map(price => makeOrder(price, 5, BUY))
+    orders.forEach(book.add)
+    const smaller = Order.update(orders[0], { quantity: { $set: 2 } })
+    book.replace(smaller)
+    expect(book.bestN(2)).toEqual([smaller, orders[1]])
+    expect(book.bestLevels(1)[0]).toMatchObject({ price: 1000, count: 2, quantity: 7 })
+
+    const moved = Order.update(orders[0], { price: { $set: 1100 } })
+    expect(() => book.replace(moved)).toThrow()
+  })
+
+  it('refuses to add the same order twice', () => {
+    const book = new OrderBook(BUY)
+    const order = makeOrder(1000, 1, BUY)
+    book.add(order)
+    expect(() => book.add(order)).toThrow()
+  })
+
+  it('only counts what iceberg orders show in its levels', () => {
+    const book = new OrderBook(SELL)
+    const iceberg = Order.update(makeOrder(1000, 10, SELL), { displayQuantity: { $set: 3 }, visibleQuantity: { $set: 3 } })
+    book.add(iceberg)
+    book.add(makeOrder(1000, 2, SELL))
+    expect(book.bestLevels(1)[0]).toMatchObject({ count: 2, quantity: 5 })
+    book.replace(Order.update(iceberg, { quantity: { $set: 9 }, visibleQuantity: { $set: 2 } }))
+    expect(book.bestLevels(1)[0]).toMatchObject({ count: 2, quantity: 4 })
+  })
+
+  it('summarises its best price levels', () => {
+    const book = new OrderBook(BUY)
+    const orders = [1000, 1200, 1000, 1100, 1200].map(price => makeOrder(price, 2, BUY))
+    orders.forEach(book.add)
+    const levels = book.bestLevels(2)
+    expect(levels).toHaveLength(2)
+    expect(levels[0]).toMatchObject({ price: 1200, count: 2, quantity: 4 })
+    expect(levels[1]).toMatchObject({ price: 1100, count: 1, quantity: 2 })
+  })
+})
@@ -0,0 +1,24 @@
+import { BUY } from './order'
+
+// A price policy decides what a matched buy and sell order trade at. It is
+// given both orders and the side of the order that arrived last (the
+// aggressor), and returns the price per unit the seller receives plus any
+// spread per unit the buyer pays on top, which the exchange keeps.
+
+// The price of the order that was already resting on the book, as on most
+// real exchanges
+export const restingOrderPrice = (buyOrder, sellOrder, aggressor) => {
+  const restingOrder = aggressor === BUY ? sellOrder : buyOrder
+  return { price: restingOrder.price, spread: 0 }
+}
+
+// Halfway between the two prices, rounded down to a whole unit
+export const midpointPrice = (buyOrder, sellOrder) => {
+  return { price: Math.floor((buyOrder.price + sellOrder.price) / 2), spread: 0 }
+}
+
+// The buyer pays their price, the seller gets theirs and the exchange keeps
+// the difference
+export const exchangeKeepsSpread = (buyOrder, sellOrder) => {
+  return { price: sellOrder.price, spread: buyOrder.price - sellOrder.price }
+}
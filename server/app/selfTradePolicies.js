@@ -0,0 +1,29 @@
+// A self-trade policy decides what happens when an account's order would
+// trade with another of its own, which would move nothing between accounts
+// but still show up as volume. It is given the newest order, which crossed the
+// book, and the oldest, which was resting there, and returns how much to take
+// off each instead of trading. Orders left with nothing are cancelled.
+
+// Lets an account trade with itself, as it always could before
+export const allowSelfTrades = () => {
+  return null
+}
+
+export const cancelNewest = newest => {
+  return { newest: newest.quantity, oldest: 0 }
+}
+
+export const cancelOldest = (newest, oldest) => {
+  return { newest: 0, oldest: oldest.quantity }
+}
+
+export const cancelBoth = (newest, oldest) => {
+  return { newest: newest.quantity, oldest: oldest.quantity }
+}
+
+// Takes the smaller order's quantity off both, which cancels the smaller (or
+// both, if they are the same size) and leaves the rest of the larger to trade
+export const decrement = (newest, oldest) => {
+  const quantity = Math.min(newest.quantity, oldest.quantity)
+  return { newest: quantity, oldest: quantity }
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto'
+import http from 'http'
+import socketIo from 'socket.io'
+import t from 'tcomb'
+
+import createApi, { accountTokens, sameToken } from './api'
+import { NotAllowedError } from './errors'
+import Matcher, { Balance, MARKET_STATE } from './matcher'
+import { Order } from './order'
+
+// how many price levels of the book are pushed to clients
+export const DEPTH_LEVELS = 10
+
+// Wraps a command handler so that clients get node-style acknowledgements:
+// (null, result) when it succeeds, or ({ name, code, message }) when it
+// throws. Only errors for broken trading rules have a code.
+// Commands without a payload can be sent with just the acknowledgement.
+const command = handler => (payload, ack) => {
+  if (typeof payload === 'function') {
+    ack = payload
+    payload = {}
+  }
+  if (typeof ack !== 'function') {
+    return
+  }
+  try {
+    ack(null, handler(payload || {}))
+  } catch (e) {
+    ack({ name: e.name, code: e.code, message: e.message })
+  }
+}
+
+// A trade as anyone may see it, without the accounts involved
+const publicTrade = ({ price, quantity, aggressor, time }) => ({ price, quantity, aggressor, time })
+
+// An http server hosting a Matcher over socket.io, alongside its REST API.
+// Socket clients register (or identify as an existing account, with the token
+// registering gave them) and can then place and cancel orders and query their
+// balances, orders and what became of every order they placed. Anyone can ask
+// for candles and statistics of the market's trading. Fills and discarded
+// orders are pushed to the accounts they belong to, and every client is sent
+// trades and the depth of the book as they change, whichever way the orders
+// behind them came in, and the state of the market whenever it halts or
+// resumes. The admin token, if there is one, lets the REST API change it.
+export default function createServer ({
+  matcher = new Matcher({ autoMatch: true }),
+  adminToken = null,
+  secret = crypto.randomBytes(32)
+} = {}) {
+  // socket clients identify with the same tokens as the REST API's
+  const tokenFor = accountTokens(secret)
+
+  const server = http.createServer(createApi({ matcher, adminToken, tokenFor, publish: result => publish(result) }))
+  const io = socketIo(server)
+
+  matcher.on(MARKET_STATE, ({ state, reason }) => {
+    io.emit('market', { state, reason })
+  })
+
+  const publish = ({ fills, discarded }) => {
+    fills.forEach(fill => {
+      io.to(fill.buyer).to(fill.seller).emit('fill', fill)
+      io.emit('trade', publicTrade(fill))
+    })
+    discarded.forEach(order => {
+      io.to(order.account).emit('discarded', order)
+    })
+    io.emit('book', matcher.getDepth(DEPTH_LEVELS))
+  }
+
+  io.on('connection', socket => {
+    let account = null
+
+    const signIn = id => {
+      // a socket acts for one account at a time, so stops hearing about the
+      // last one's fills and discarded orders
+      if (account) {
+        socket.leave(account)
+      }
+      account = id
+      socket.join(account)
+      return { account, token: tokenFor(account) }
+    }
+
+    const signedIn = () => {
+      if (!account) {
+        throw new NotAllowedError('Register or identify an account first')
+      }
+      return account
+    }
+
+    socket.on('register', command(({ money, stock }) => {
+      const balance = new Balance({ money, stock })
+      return signIn(matcher.addUser(balance.money, balance.stock))
+    }))
+
+    socket.on('identify', command(({ account, token }) => {
+      if (!t.String.is(account) || !t.String.is(token) || !sameToken(token, tokenFor(account))) {
+        throw new NotAllowedError("That token isn't for that account")
+      }
+      matcher.getUser(account)
+      return signIn(account)
+    }))
+
+    socket.on('placeOrder', command(({ price, stopPrice, quantity, displayQuantity, action, type, timeInForce }) => {
+      const order = new Order({
+        account: signedIn(), price, stopPrice, quantity, displayQuantity, action, type, timeInForce
+      })
+      const result = matcher.addOrder(order)
+      publish(result)
+      return result
+    }))
+
+    socket.on('cancelOrder', command(({ id }) => {
+      const order = matcher.cancelOrder(id, signedIn())
+      publish({ fills: [], discarded: [] })
+      return order
+    }))
+
+    socket.on('getBalances', command(() => ({
+      ...matcher.getUsers()[signedIn()],
+      available: matcher.getAvailableBalance(account)
+    })))
+
+    socket.on('getOrders', command(() => matcher.getOrdersByAccount(signedIn())))
+
+    socket.on('getOrderStatuses', command(() => matcher.getOrderStatuses(signedIn())))
+
+    socket.on('getCandles', command(({ interval, from, to, limit }) => matcher.getCandles(interval, { from, to, limit })))
+
+    socket.on('getStats', command(() => matcher.getDailyStats()))
+
+    socket.emit('book', matcher.getDepth(DEPTH_LEVELS))
+    socket.emit('market', matcher.getMarketState())
+  })
+
+  return { server, io, matcher }
+}
@@ -0,0 +1,237 @@
+/**
+ * @jest-environment node
+ */
+import ioClient from 'socket.io-client'
+import supertest from 'supertest'
+
+import createServer from './server'
+import { BUY, SELL } from './order'
+
+// sends a command and resolves with its result, or rejects with its error
+const request = (client, command, payload) => new Promise((resolve, reject) => {
+  client.emit(command, payload, (error, result) => error ? reject(error) : resolve(result))
+})
+
+// resolves with the next event of a kind a client receives
+const nextEvent = (client, event) => new Promise(resolve => client.once(event, resolve))
+
+describe('server', () => {
+  let exchange, url, clients
+
+  const connect = () => {
+    const client = ioClient(url, { transports: ['websocket'], forceNew: true })
+    clients.push(client)
+    return nextEvent(client, 'connect').then(() => client)
+  }
+
+  const connectAs = (money, stock) => connect().then(client =>
+    request(client, 'register', { money, stock }).then(({ account, token }) => {
+      client.account = account
+      client.token = token
+      return client
+    })
+  )
+
+  beforeEach(done => {
+    clients = []
+    exchange = createServer()
+    exchange.server.listen(0, () => {
+      url = `http://localhost:${exchange.server.address().port}`
+      done()
+    })
+  })
+
+  afterEach(done => {
+    clients.forEach(client => client.close())
+    exchange.io.close(() => done())
+  })
+
+  it('registers new accounts', async () => {
+    const client = await connectAs(1000, 10)
+    expect(exchange.matcher.getUsers()[client.account]).toMatchObject({ money: 1000, stock: 10 })
+    const balances = await request(client, 'getBalances')
+    expect(balances).toMatchObject({ money: 1000, stock: 10, available: { money: 1000, stock: 10 } })
+  })
+
+  it('rejects malformed registrations', async () => {
+    const client = await connect()
+    await expect(request(client, 'register', { money: 'lots', stock: 10 })).rejects.toMatchObject({
+      message: expect.stringContaining('money')
+    })
+  })
+
+  it('lets clients identify as an existing account with its token', async () => {
+    const registered = await connect()
+    const { account, token } = await request(registered, 'register', { money: 500, stock: 5 })
+    const other = await request(registered, 'register', { money: 100, stock: 1 })
+    const client = await connect()
+    await request(client, 'identify', { account, token })
+    expect(await request(client, 'getBalances')).toMatchObject({ money: 500, stock: 5 })
+    await expect(request(client, 'identify', { account })).rejects.toMatchObject({ name: 'NotAllowedError' })
+    await expect(request(client, 'identify', { account, token: other.token })).rejects.toMatchObject({
+      name: 'NotAllowedError',
+      message: "That token isn't for that account"
+    })
+  })
+
+  it('keeps tokens working across restarts given the same secret', async () => {
+    const restart = () => new Promise(resolve => exchange.io.close(() => {
+      exchange = createServer({ matcher: exchange.matcher, secret: 'not telling' })
+      exchange.server.listen(0, () => {
+        url = `http://localhost:${exchange.server.address().port}`
+        resolve()
+      })
+    }))
+    await restart()
+    const { account, token } = await connect().then(client => request(client, 'register', { money: 500, stock: 5 }))
+    await restart()
+    const client = await connect()
+    expect(await request(client, 'identify', { account, token })).toEqual({ account, token })
+  })
+
+  it('refuses to trade before an account is registered', async () => {
+    const client = await connect()
+    await expect(request(client, 'placeOrder', { price: 100, quantity: 1, action: BUY })).rejects.toMatchObject({
+      name: 'NotAllowedError',
+      message: 'Register or identify an account first'
+    })
+  })
+
+  it('places orders and lists them', async () => {
+    const client = await connectAs(1000, 10)
+    const { id, fills } = await request(client, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+    expect(fills).toEqual([])
+    const orders = await request(client, 'getOrders')
+    expect(orders).toHaveLength(1)
+    expect(orders[0]).toMatchObject({ id, account: client.account, price: 100, quantity: 2, action: BUY })
+  })
+
+  it('gives anyone candles and statistics for the market', async () => {
+    const seller = await connectAs(0, 10)
+    const buyer = await connectAs(1000, 0)
+    await request(seller, 'placeOrder', { price: 100, quantity: 2, action: SELL })
+    await request(buyer, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+    const client = await connect()
+    const candles = await request(client, 'getCandles', { interval: '1m' })
+    expect(candles).toMatchObject([{ open: 100, close: 100, volume: 2 }])
+    expect(await request(client, 'getStats')).toMatchObject({ lastPrice: 100, volume: 2, trades: 1 })
+  })
+
+  it('reports invalid orders and orders it cannot afford', async () => {
+    const client = await connectAs(1000, 10)
+    await expect(request(client, 'placeOrder', { price: 100, quantity: 2, action: 'DANCE' })).rejects.toMatchObject({
+      message: expect.stringContaining('action')
+    })
+    await expect(request(client, 'placeOrder', { price: 1000, quantity: 2, action: BUY })).rejects.toMatchObject({
+      name: 'InsufficientFundsError'
+    })
+    await expect(request(client, 'placeOrder', { price: 100, quantity: -2, action: SELL })).rejects.toMatchObject({
+      name: 'TradingRuleError',
+      code: 'INVALID_QUANTITY'
+    })
+  })
+
+  it('cancels orders', async () => {
+    const client = await connectAs(1000, 10)
+    const { id } = await request(client, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+    const cancelled = await request(client, 'cancelOrder', { id })
+    expect(cancelled).toMatchObject({ id })
+    expect(await request(client, 'getOrders')).toEqual([])
+    expect(await request(client, 'getBalances')).toMatchObject({ moneyHeld: 0 })
+    expect(await request(client, 'getOrderStatuses')).toMatchObject([{ order: { id }, status: 'CANCELLED', remaining: 2 }])
+  })
+
+  it("refuses to cancel another account's orders", async () => {
+    const alice = await connectAs(1000, 10)
+    const bob = await connectAs(1000, 10)
+    const { id } = await request(alice, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+    await expect(request(bob, 'cancelOrder', { id })).rejects.toBeDefined()
+    expect(await request(alice, 'getOrders')).toHaveLength(1)
+  })
+
+  it('pushes changes to the book to every client', async () => {
+    const alice = await connectAs(1000, 10)
+    const watcher = await connect()
+    const book = nextEvent(watcher, 'book')
+    await request(alice, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+    expect(await book).toEqual({
+      buy: [{ price: 100, quantity: 2, orders: 1 }],
+      sell: [],
+      spread: null,
+      midPrice: null
+    })
+  })
+
+  it('tells both sides about fills and everyone about trades', async () => {
+    const alice = await connectAs(1000, 10)
+    const bob = await connectAs(1000, 10)
+    const watcher = await connect()
+    await request(alice, 'placeOrder', { price: 100, quantity: 2, action: BUY })
+
+    const aliceFill = nextEvent(alice, 'fill')
+    const bobFill = nextEvent(bob, 'fill')
+    const trade = nextEvent(watcher, 'trade')
+    watcher.on('fill', () => { throw new Error('Only the two sides should hear about a fill') })
+    const { fills } = await request(bob, 'placeOrder', { price: 100, quantity: 2, action: SELL })
+
+    expect(fills).toHaveLength(1)
+    const expectedFill = { buyer: alice.account, seller: bob.account, price: 100, quantity: 2, aggressor: SELL }
+    expect(await aliceFill).toMatchObject(expectedFill)
+    expect(await bobFill).toMatchObject(expectedFill)
+    const publicTrade = await trade
+    expect(publicTrade).toMatchObject({ price: 100, quantity: 2, aggressor: SELL })
+    expect(publicTrade).not.toHaveProperty('buyer')
+    expect(publicTrade).not.toHaveProperty('seller')
+    expect(await request(alice, 'getBalances')).toMatchObject({ money: 800, stock: 12 })
+  })
+
+  it('streams the results of orders placed over HTTP', async () => {
+    const alice = await connectAs(1000, 10)
+    const book = nextEvent(alice, 'book')
+    await supertest(exchange.server)
+      .post('/orders')
+      .set('Authorization', `Bearer ${alice.token}`)
+      .send({ account: alice.account, price: 100, quantity: 2, action: SELL })
+      .expect(201)
+    expect(await book).toMatchObject({ sell: [{ price: 100, quantity: 2, orders: 1 }] })
+  })
+
+  it('tells clients when what is left of their order is discarded', async () => {
+    const alice = await connectAs(1000, 10)
+    const discarded = nextEvent(alice, 'discarded')
+    await request(alice, 'placeOrder', { price: 100, quantity: 2, action: BUY, timeInForce: 'IOC' })
+    expect(await discarded).toMatchObject({ account: alice.account, quantity: 2 })
+  })
+
+  it('only tells a client about the account it last signed in as', async () => {
+    const client = await connect()
+    const first = await request(client, 'register', { money: 1000, stock: 10 })
+    const second = await request(client, 'register', { money: 1000, stock: 10 })
+    const heard = []
+    client.on('discarded', order => heard.push(order))
+    const other = await connect()
+    await request(other, 'identify', first)
+    const discarded = nextEvent(other, 'discarded')
+    await request(other, 'placeOrder', { price: 100, quantity: 2, action: BUY, timeInForce: 'IOC' })
+    await discarded
+    const own = nextEvent(client, 'discarded')
+    await request(client, 'placeOrder', { price: 100, quantity: 3, action: BUY, timeInForce: 'IOC' })
+    expect(await own).toMatchObject({ account: second.account, quantity: 3 })
+    expect(heard).toHaveLength(1)
+  })
+
+  it('tells everyone when the market halts or resumes', async () => {
+    const alice = await connectAs(1000, 10)
+    // the state of the market is also sent as clients connect
+    const stateIs = state => new Promise(resolve => alice.on('market', market => market.state === state && resolve(market)))
+    const halted = stateIs('HALTED')
+    exchange.matcher.halt('Investigating a fault')
+    expect(await halted).toEqual({ state: 'HALTED', reason: 'Investigating a fault' })
+    await expect(request(alice, 'placeOrder', { price: 100, quantity: 2, action: SELL })).rejects.toMatchObject({
+      name: 'MarketNotOpenError'
+    })
+    const resumed = stateIs('OPEN')
+    exchange.matcher.resume()
+    expect(await resumed).toEqual({ state: 'OPEN', reason: null })
+  })
+})
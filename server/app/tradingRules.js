@@ -0,0 +1,69 @@
+import { TradingRuleError } from './errors'
+
+// Trading rules decide which orders a market accepts. They are given an order
+// being placed or amended and the last price traded, if there has been a
+// trade, and throw a TradingRuleError for an order that breaks them. Each rule
+// has a code, so that callers can tell which was broken without reading the
+// message. Every market needs positive quantities and prices, whatever its
+// rules.
+export const INVALID_QUANTITY = 'INVALID_QUANTITY'
+export const INVALID_PRICE = 'INVALID_PRICE'
+export const QUANTITY_TOO_SMALL = 'QUANTITY_TOO_SMALL'
+export const QUANTITY_TOO_LARGE = 'QUANTITY_TOO_LARGE'
+export const QUANTITY_NOT_IN_LOTS = 'QUANTITY_NOT_IN_LOTS'
+export const PRICE_NOT_ON_TICK = 'PRICE_NOT_ON_TICK'
+export const PRICE_OUTSIDE_BAND = 'PRICE_OUTSIDE_BAND'
+
+export const noRules = () => {}
+
+// Limits on the quantity of an order, which must also be a whole number of
+// lots; prices (and stop prices) in whole ticks; and, once something has
+// traded, limit prices no more than a percentage either side of the last
+// price, so that a mistyped order can't move the market far in one go.
+export const tradingRules = ({
+  minQuantity = 1,
+  maxQuantity = Infinity,
+  lotSize = 1,
+  tickSize = 1,
+  priceBand = null
+}) => {
+  return (order, { lastPrice }) => {
+    const { quantity, price, stopPrice } = order
+    if (quantity < minQuantity) {
+      throw new TradingRuleError(
+        `Orders must be for at least ${minQuantity}, not ${quantity}`,
+        { code: QUANTITY_TOO_SMALL, minQuantity }
+      )
+    }
+    if (quantity > maxQuantity) {
+      throw new TradingRuleError(
+        `Orders can be for at most ${maxQuantity}, not ${quantity}`,
+        { code: QUANTITY_TOO_LARGE, maxQuantity }
+      )
+    }
+    if (quantity % lotSize !== 0) {
+      throw new TradingRuleError(
+        `Orders must be for a multiple of the lot size of ${lotSize}, not ${quantity}`,
+        { code: QUANTITY_NOT_IN_LOTS, lotSize }
+      )
+    }
+    const offTick = [price, stopPrice].find(price => price != null && price % tickSize !== 0)
+    if (offTick !== undefined) {
+      throw new TradingRuleError(
+        `Prices must be a multiple of the tick size of ${tickSize}, not ${offTick}`,
+        { code: PRICE_NOT_ON_TICK, tickSize }
+      )
+    }
+    if (priceBand !== null && lastPrice !== null && price != null && stopPrice == null) {
+      // stop limit orders are priced for when they are triggered, not now
+      const lowest = Math.ceil(lastPrice * (100 - priceBand) / 100)
+      const highest = Math.floor(lastPrice * (100 + priceBand) / 100)
+      if (price < lowest || price > highest) {
+        throw new TradingRuleError(
+          `Prices must be between ${lowest} and ${highest}, within ${priceBand}% of the last price of ${lastPrice}, not ${price}`,
+          { code: PRICE_OUTSIDE_BAND, lowest, highest }
+        )
+      }
+    }
+  }
+}
@@ -0,0 +1,505 @@
+// The Matcher as it was before its book was split into price levels, when
+// every best order lookup sorted the whole book. Only kept so that
+// bench/matching.js has something to compare against, and given the same
+// in-place history and balances as the real one so that only the books differ.
+import moment from 'moment'
+import t from 'tcomb'
+import uuidv4 from 'uuid/v4'
+
+import { InsufficientFundsError, UnknownAccountError } from '../app/errors'
+import { uuid } from '../app/extraTcombTypes'
+import { Order, Action, BUY, SELL, MARKET, GTC, FOK } from '../app/order'
+import { exchangeKeepsSpread } from '../app/pricePolicies'
+
+// money and stock are everything an account owns, the held amounts are the
+// parts of those set aside for its open orders
+const Balance = t.struct(
+  { money: t.Integer, stock: t.Integer, moneyHeld: t.Integer, stockHeld: t.Integer },
+  { name: 'Account Balance', defaultProps: { moneyHeld: 0, stockHeld: 0 } }
+)
+const Balances = t.dict(uuid, Balance, 'Account Balances')
+
+const HistoryEntry = t.struct({
+  buyer: uuid,
+  seller: uuid,
+  price: t.Integer,
+  quantity: t.Integer,
+  aggressor: Action,
+  overhead: t.Integer,
+  time: t.Any
+})
+
+const History = t.list(HistoryEntry)
+
+// Whether an incoming order is willing to trade with a resting order
+const crosses = (order, resting) => {
+  if (order.type === MARKET) {
+    return true
+  }
+  return order.action === BUY
+    ? order.price >= resting.price
+    : order.price <= resting.price
+}
+
+// The money or stock an order needs set aside so that it can always be filled.
+// Market buys have no price to go by, so spend whatever is available as they
+// trade instead.
+const holdFor = order => {
+  if (order.action === SELL) {
+    return { money: 0, stock: order.quantity }
+  }
+  if (order.type === MARKET) {
+    return { money: 0, stock: 0 }
+  }
+  return { money: order.price * order.quantity, stock: 0 }
+}
+
+// What's left of an order once some of it has been filled, if anything
+const remainderOf = (order, filled) => {
+  if (filled >= order.quantity) {
+    return null
+  }
+  return Order.update(order, { quantity: { $set: order.quantity - filled } })
+}
+
+export default class Matcher {
+  constructor ({ autoMatch = false, pricePolicy = exchangeKeepsSpread } = {}) {
+    // in auto-match mode every order placed is matched straight away instead
+    // of waiting for processOrder or matchAll to be called
+    this.autoMatch = autoMatch
+    this.pricePolicy = pricePolicy
+    this.buyOrders = []
+    this.sellOrders = []
+    this.overheadMade = 0
+    // each account's Balance is replaced as it changes rather than copying
+    // every account's balance each time, which slowed down every trade
+    this.users = {}
+    this.history = []
+  }
+
+  getHistory = () => {
+    return History(this.history.slice())
+  }
+
+  getOverheadMade = () => {
+    return this.overheadMade
+  };
+
+  addUser = (money, stock) => {
+    const userid = uuidv4()
+    this.users[userid] = new Balance({ money, stock })
+    return userid
+  };
+
+  getUsers = () => {
+    return Balances({ ...this.users })
+  };
+
+  getUser = account => {
+    const user = this.users[account]
+    if (!user) {
+      throw new UnknownAccountError(`There isn't an account with id ${account}`, { account })
+    }
+    return user
+  };
+
+  getAvailableBalance = account => {
+    const user = this.getUser(account)
+    return { money: user.money - user.moneyHeld, stock: user.stock - user.stockHeld }
+  };
+
+  adjustBalance = (account, changes) => {
+    // applies changes to each of an account's balances in turn, so that an
+    // account on both sides of a trade is handled correctly
+    const user = this.getUser(account)
+    const patch = {}
+    Object.keys(changes).forEach(key => {
+      patch[key] = { $set: user[key] + changes[key] }
+    })
+    this.users[account] = Balance.update(user, patch)
+  };
+
+  hold = (account, { money, stock }) => {
+    const available = this.getAvailableBalance(account)
+    if (money > available.money) {
+      throw new InsufficientFundsError(
+        `Account ${account} has ${available.money} money available but needs ${money}`,
+        { account, asset: 'money', available: available.money, needed: money }
+      )
+    }
+    if (stock > available.stock) {
+      throw new InsufficientFundsError(
+        `Account ${account} has ${available.stock} stock available but needs ${stock}`,
+        { account, asset: 'stock', available: available.stock, needed: stock }
+      )
+    }
+    this.adjustBalance(account, { moneyHeld: money, stockHeld: stock })
+  };
+
+  release = (account, { money, stock }) => {
+    this.adjustBalance(account, { moneyHeld: -money, stockHeld: -stock })
+  };
+
+  addOrder = order => {
+    order = Order.update(order, {
+      id: { $set: uuidv4() },
+      time: { $set: moment() }
+    })
+    this.checkOrder(order)
+    this.hold(order.account, holdFor(order))
+    if (order.type === MARKET || order.timeInForce !== GTC) {
+      // these never rest on the book
+      return { id: order.id, ...this.executeImmediately(order) }
+    }
+    this.addOrderPreservingTimestamp(order)
+    if (this.autoMatch) {
+      return { id: order.id, ...this.matchAll() }
+    }
+    return { id: order.id, fills: [], discarded: [] }
+  };
+
+  checkOrder = order => {
+    if (!(order instanceof Order)) {
+      throw new Error('Asked to add something other than an Order')
+    }
+    if (order.quantity === 0) {
+      throw new Error('Orders for 0 are not allowed')
+    }
+    if (order.type === MARKET && order.price != null) {
+      throw new Error('Market orders cannot have a price')
+    }
+    if (order.type !== MARKET && order.price == null) {
+      throw new Error('Limit orders must have a price')
+    }
+  };
+
+  addOrderPreservingTimestamp = order => {
+    // This function is not part of the external API
+    // It's possible to pass garbage in as a timestamp and break things
+    this.checkOrder(order)
+    if (order.action === BUY) {
+      this.buyOrders.push(order)
+    } else if (order.action === SELL) {
+      this.sellOrders.push(order)
+    } else {
+      throw new Error('Unexpected order action')
+    }
+  };
+
+  getOrder = id => {
+    const order = this.buyOrders.concat(this.sellOrders).find(o => o.id === id)
+    if (!order) {
+      throw new Error(`There isn't an order with id ${id}`)
+    }
+    return order
+  };
+
+  getOwnOrder = (id, account) => {
+    const order = this.getOrder(id)
+    if (order.account !== account) {
+      throw new Error(`Order ${id} does not belong to account ${account}`)
+    }
+    return order
+  };
+
+  removeOrder = order => {
+    const orders = order.action === BUY ? this.buyOrders : this.sellOrders
+    orders.splice(orders.findIndex(o => o.id === order.id), 1)
+  };
+
+  cancelOrder = (id, account) => {
+    const order = this.getOwnOrder(id, account)
+    this.removeOrder(order)
+    this.release(order.account, holdFor(order))
+    return order
+  };
+
+  discardOrder = order => {
+    // removes an order that can't be filled, or what's left of one that
+    // couldn't be filled straight away, freeing up what it held
+    this.removeOrder(order)
+    this.release(order.account, holdFor(order))
+  };
+
+  amendOrder = (id, account, { price, quantity }) => {
+    const order = this.getOwnOrder(id, account)
+    const amended = Order.update(order, {
+      price: { $set: price === undefined ? order.price : price },
+      quantity: { $set: quantity === undefined ? order.quantity : quantity }
+    })
+    if (amended.quantity <= 0) {
+      throw new Error('Orders must be amended to a positive quantity')
+    }
+    const before = holdFor(order)
+    const after = holdFor(amended)
+    this.hold(account, { money: after.money - before.money, stock: after.stock - before.stock })
+
+    if (amended.price === order.price && amended.quantity <= order.quantity) {
+      // reducing the quantity keeps the order's place in the queue
+      const orders = order.action === BUY ? this.buyOrders : this.sellOrders
+      orders[orders.findIndex(o => o.id === id)] = amended
+      return amended
+    }
+    // any other change goes to the back of the queue, as if newly placed
+    this.removeOrder(order)
+    const requeued = Order.update(amended, { time: { $set: moment() } })
+    this.addOrderPreservingTimestamp(requeued)
+    if (this.autoMatch) {
+      // a new price may cross the book
+      return { order: requeued, ...this.matchAll() }
+    }
+    return requeued
+  };
+
+  getOrdersByAccount = account => {
+    const buyOrders = this.buyOrders.filter(o => o.account === account)
+    const sellOrders = this.sellOrders.filter(o => o.account === account)
+    return buyOrders.concat(sellOrders)
+  };
+
+  getBestBuyOrder = () => {
+    // the best buy order is the largest price, followed by the most recent
+    this.buyOrders.sort((a, b) => {
+      if (0 !== b.price - a.price) {
+        return b.price - a.price
+      } else {
+        return a.time.diff(b.time)
+      }
+    })
+    const bestOrder = this.buyOrders[0]
+    if (!bestOrder) {
+      throw new Error("There aren't any buy orders")
+    } else {
+      return bestOrder
+    }
+  };
+
+  getBestNBuyOrders = n => {
+    // call to sort
+    try {
+      this.getBestBuyOrder()
+    } catch (e) {
+      return []
+    }
+    return this.buyOrders.slice(0, n)
+  };
+
+  getBestSellOrder = () => {
+    // the best sell order is the lowest price, followed by the most recent
+    this.sellOrders.sort((a, b) => {
+      if (0 !== a.price - b.price) {
+        return a.price - b.price
+      } else {
+        return a.time.diff(b.time)
+      }
+    })
+    const bestOrder = this.sellOrders[0]
+    if (!bestOrder) {
+      throw new Error("There aren't any sell orders")
+    } else {
+      return bestOrder
+    }
+  };
+
+  getBestNSellOrders = n => {
+    try {
+      this.getBestSellOrder()
+    } catch (e) {
+      return []
+    }
+    return this.sellOrders.slice(0, n)
+  };
+
+  hasFoundOverlap = () => {
+    try {
+      const bestBuyOrder = this.getBestBuyOrder()
+      const bestSellOrder = this.getBestSellOrder()
+      return bestBuyOrder.price >= bestSellOrder.price
+    } catch (e) {
+      return false
+    }
+  };
+
+  processOrder = () => {
+    if (!this.hasFoundOverlap()) {
+      throw new Error("Can't process orders when they don't overlap")
+    }
+    const bestBuyOrder = this.getBestBuyOrder()
+    const bestSellOrder = this.getBestSellOrder()
+    // the order that arrived last is the one that crossed the book
+    const aggressor = bestBuyOrder.time.isAfter(bestSellOrder.time) ? BUY : SELL
+
+    const { fill, unfillable } = this.executeTrade(bestBuyOrder, bestSellOrder, aggressor)
+    if (unfillable) {
+      // an order that can never be filled will clog the market, remove it
+      this.discardOrder(unfillable)
+      return { discarded: unfillable }
+    }
+
+    // Add new partial orders if necessary, making sure not to modify the time
+    const remainders = [
+      remainderOf(bestBuyOrder, fill.quantity),
+      remainderOf(bestSellOrder, fill.quantity)
+    ]
+    // Remove the old orders
+    this.buyOrders.shift()
+    this.sellOrders.shift()
+    remainders.filter(o => o).forEach(this.addOrderPreservingTimestamp)
+    return { fill }
+  };
+
+  executeImmediately = order => {
+    // match an incoming order against the other side of the book until it is
+    // filled or stops crossing, then discard whatever is left of it
+    const fills = []
+    const discarded = []
+    if (order.timeInForce === FOK && this.getFillableQuantity(order) < order.quantity) {
+      // leave the book untouched
+      this.release(order.account, holdFor(order))
+      return { fills, discarded: [order] }
+    }
+
+    let remaining = order
+    while (remaining) {
+      const resting = order.action === BUY
+        ? this.getBestNSellOrders(1)[0]
+        : this.getBestNBuyOrders(1)[0]
+      if (!resting || !crosses(remaining, resting)) {
+        break
+      }
+      const { fill, unfillable } = order.action === BUY
+        ? this.executeTrade(remaining, resting, BUY)
+        : this.executeTrade(resting, remaining, SELL)
+      if (unfillable === resting) {
+        this.discardOrder(resting)
+        discarded.push(resting)
+        continue
+      } else if (unfillable) {
+        break
+      }
+      fills.push(fill)
+      const restingRemainder = remainderOf(resting, fill.quantity)
+      this.removeOrder(resting)
+      if (restingRemainder) {
+        this.addOrderPreservingTimestamp(restingRemainder)
+      }
+      remaining = remainderOf(remaining, fill.quantity)
+    }
+
+    if (remaining) {
+      // it was never on the book, but still holds funds
+      this.release(remaining.account, holdFor(remaining))
+      discarded.push(remaining)
+    }
+    return { fills, discarded }
+  };
+
+  getFillableQuantity = order => {
+    // how much of an incoming order could be filled by the book right now
+    const restingOrders = order.action === BUY
+      ? this.getBestNSellOrders(this.sellOrders.length)
+      : this.getBestNBuyOrders(this.buyOrders.length)
+    // the order's own hold is available to it
+    const balance = this.getAvailableBalance(order.account)
+    const held = holdFor(order)
+    let available = order.action === BUY
+      ? balance.money + held.money
+      : balance.stock + held.stock
+    let quantity = 0
+    for (const resting of restingOrders) {
+      if (quantity >= order.quantity || !crosses(order, resting)) {
+        break
+      }
+      let fillable = Math.min(resting.quantity, order.quantity - quantity)
+      if (order.action === BUY) {
+        const { price, spread } = this.priceTrade(order, resting, BUY)
+        fillable = Math.min(fillable, Math.floor(available / (price + spread)))
+        available -= fillable * (price + spread)
+      } else {
+        fillable = Math.min(fillable, available)
+        available -= fillable
+      }
+      quantity += fillable
+    }
+    return quantity
+  };
+
+  priceTrade = (buyOrder, sellOrder, aggressor) => {
+    // market orders take the price of the limit order they trade against
+    if (buyOrder.type === MARKET) {
+      return { price: sellOrder.price, spread: 0 }
+    }
+    if (sellOrder.type === MARKET) {
+      return { price: buyOrder.price, spread: 0 }
+    }
+    return this.pricePolicy(buyOrder, sellOrder, aggressor)
+  };
+
+  executeTrade = (buyOrder, sellOrder, aggressor) => {
+    // Moves money and stock between the owners of two crossing orders and
+    // records the trade. Returns the fill, or the order that can't be filled
+    // at all without touching any balances.
+    let stockDelta = Math.min(buyOrder.quantity, sellOrder.quantity)
+
+    const { price, spread } = this.priceTrade(buyOrder, sellOrder, aggressor)
+
+    // the buyer can spend what is held for the order, plus anything available
+    const spendable = this.getAvailableBalance(buyOrder.account).money + holdFor(buyOrder).money
+    let singleBuyCost = price + spread
+    let totalBuyCost = singleBuyCost * stockDelta
+    if (spendable < singleBuyCost) {
+      // not enough money to buy even one
+      return { unfillable: buyOrder }
+    }
+
+    if (spendable < totalBuyCost) {
+      // if we don't have enough money for all, how many can we buy?
+      stockDelta = Math.floor(spendable / singleBuyCost)
+      totalBuyCost = singleBuyCost * stockDelta
+    }
+    // Now we've ruled out useless orders and limited the buyer, we can proceed
+    const totalSellCost = stockDelta * price
+    const overhead = totalBuyCost - totalSellCost
+
+    this.overheadMade += overhead
+
+    const buyerHold = holdFor(Order.update(buyOrder, { quantity: { $set: stockDelta } }))
+    this.adjustBalance(buyOrder.account, {
+      money: -totalBuyCost,
+      moneyHeld: -buyerHold.money,
+      stock: stockDelta
+    })
+    this.adjustBalance(sellOrder.account, {
+      money: totalSellCost,
+      stock: -stockDelta,
+      stockHeld: -stockDelta
+    })
+
+    const entry = new HistoryEntry({
+      buyer: buyOrder.account,
+      seller: sellOrder.account,
+      price,
+      quantity: stockDelta,
+      aggressor,
+      overhead,
+      time: moment()
+    })
+    this.history.push(entry)
+    return { fill: entry }
+  };
+
+  matchAll = () => {
+    // process orders until the book is uncrossed, collecting what happened
+    const fills = []
+    const discarded = []
+    while (this.hasFoundOverlap()) {
+      const { fill, discarded: order } = this.processOrder()
+      if (fill) {
+        fills.push(fill)
+      } else {
+        discarded.push(order)
+      }
+    }
+    return { fills, discarded }
+  };
+}
@@ -0,0 +1,61 @@
+import Matcher from '../app/matcher'
+import ArrayMatcher from './arrayMatcher'
+import { Order, BUY, SELL } from '../app/order'
+import { exchangeKeepsSpread } from '../app/pricePolicies'
+import { allowSelfTrades } from '../app/selfTradePolicies'
+
+// Times placing a stream of random limit orders in auto-match mode, with the
+// price-level book and with the old sorted arrays.
+//
+//   npm run bench -- [orders] [array orders]
+//
+// The sorted arrays get fewer orders by default, since they slow down with
+// every order left resting on the book, so the price-level book is also timed
+// placing that many for a like-for-like comparison. For that it is set up as
+// the old matcher was, which let accounts trade with themselves, kept any
+// spread and kept neither a ledger nor candles.
+const orderCount = Number(process.argv[2]) || 100000
+const arrayOrderCount = Number(process.argv[3]) || 10000
+const accountCount = 100
+const likeArrays = {
+  selfTradePolicy: allowSelfTrades,
+  pricePolicy: exchangeKeepsSpread,
+  candleIntervals: [],
+  ledger: { post: () => {} }
+}
+
+// the same pseudo-random orders every run, so runs can be compared
+const random = (seed => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648
+  return seed / 2147483648
+})(42)
+
+const orderSpecs = Array.from({ length: Math.max(orderCount, arrayOrderCount) }, () => ({
+  account: Math.floor(random() * accountCount),
+  price: 10000 + Math.floor(random() * 400) - 200,
+  quantity: 1 + Math.floor(random() * 10),
+  action: random() < 0.5 ? BUY : SELL
+}))
+
+const run = (name, MatcherClass, count, options = {}) => {
+  const matcher = new MatcherClass({ ...options, autoMatch: true })
+  const accounts = Array.from({ length: accountCount }, () => matcher.addUser(1e12, 1e8))
+  const orders = orderSpecs.slice(0, count).map(spec => new Order({ ...spec, account: accounts[spec.account] }))
+
+  let fills = 0
+  const start = process.hrtime()
+  orders.forEach(order => {
+    fills += matcher.addOrder(order).fills.length
+  })
+  const [seconds, nanoseconds] = process.hrtime(start)
+  const elapsed = seconds + nanoseconds / 1e9
+
+  console.log(
+    `${name}: ${count} orders in ${(elapsed * 1000).toFixed(0)}ms, ` +
+    `${Math.round(count / elapsed)} orders/s, ${fills} fills`
+  )
+}
+
+run('price levels', Matcher, orderCount)
+run('price levels, set up like the sorted arrays', Matcher, arrayOrderCount, likeArrays)
+run('sorted arrays', ArrayMatcher, arrayOrderCount)